@@ -0,0 +1,166 @@
+// Federal tax parameters for tax year 2022 (Rev. Proc. 2021-45)
+module.exports = {
+    taxYear: 2022,
+    standardDeduction: {
+        single: 12950,
+        'married-joint': 25900,
+        'married-separate': 12950,
+        'head-of-household': 19400
+    },
+    // Upper bound of each bracket; the last bracket is open-ended
+    brackets: {
+        single: [
+            { upTo: 10275, rate: 0.10 },
+            { upTo: 41775, rate: 0.12 },
+            { upTo: 89075, rate: 0.22 },
+            { upTo: 170050, rate: 0.24 },
+            { upTo: 215950, rate: 0.32 },
+            { upTo: 539900, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-joint': [
+            { upTo: 20550, rate: 0.10 },
+            { upTo: 83550, rate: 0.12 },
+            { upTo: 178150, rate: 0.22 },
+            { upTo: 340100, rate: 0.24 },
+            { upTo: 431900, rate: 0.32 },
+            { upTo: 647850, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-separate': [
+            { upTo: 10275, rate: 0.10 },
+            { upTo: 41775, rate: 0.12 },
+            { upTo: 89075, rate: 0.22 },
+            { upTo: 170050, rate: 0.24 },
+            { upTo: 215950, rate: 0.32 },
+            { upTo: 323925, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'head-of-household': [
+            { upTo: 14650, rate: 0.10 },
+            { upTo: 55900, rate: 0.12 },
+            { upTo: 89050, rate: 0.22 },
+            { upTo: 170050, rate: 0.24 },
+            { upTo: 215950, rate: 0.32 },
+            { upTo: 539900, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ]
+    },
+    // Qualified dividends and long-term capital gains are taxed at 0% up to the
+    // first taxable income threshold, 15% up to the second and 20% above
+    capitalGainRates: {
+        zeroUpTo: {
+            single: 41675,
+            'married-joint': 83350,
+            'married-separate': 41675,
+            'head-of-household': 55800
+        },
+        fifteenUpTo: {
+            single: 459750,
+            'married-joint': 517200,
+            'married-separate': 258600,
+            'head-of-household': 488500
+        }
+    },
+    saltCap: {
+        single: 10000,
+        'married-joint': 10000,
+        'married-separate': 5000,
+        'head-of-household': 10000
+    },
+    // Home mortgage interest is deductible on acquisition debt up to these
+    // limits. Debt taken out before December 16, 2017 keeps the higher limit.
+    mortgageDebtLimit: {
+        before2018: {
+            single: 1000000,
+            'married-joint': 1000000,
+            'married-separate': 500000,
+            'head-of-household': 1000000
+        },
+        after2017: {
+            single: 750000,
+            'married-joint': 750000,
+            'married-separate': 375000,
+            'head-of-household': 750000
+        }
+    },
+    // Mortgage insurance premiums (1098 box 5) are not deductible this year
+    mortgageInsurancePremiums: null,
+    // Schedule A: medical expenses count above this share of AGI; charitable
+    // gifts to public charities are limited to these shares of AGI
+    itemizedDeductions: {
+        medicalAgiFloor: 0.075,
+        charityCashLimit: 0.60,
+        charityNoncashLimit: 0.30
+    },
+    // Student loan interest deduction; not available when married filing separately
+    studentLoanInterest: {
+        maxDeduction: 2500,
+        phaseOut: {
+            single: { start: 70000, end: 85000 },
+            'married-joint': { start: 145000, end: 175000 },
+            'head-of-household': { start: 70000, end: 85000 },
+            'qualifying-widow': { start: 70000, end: 85000 }
+        }
+    },
+    // Schedule C: standard mileage rate per business mile, the simplified home
+    // office rate per square foot (up to 300 square feet) and the deductible
+    // share of business meals
+    scheduleC: {
+        // The rate rose from 58.5 to 62.5 cents on July 1, 2022
+        standardMileageRate: 0.585,
+        standardMileageRateFromJuly: 0.625,
+        homeOfficeRate: 5,
+        homeOfficeMaxSquareFeet: 300,
+        // Restaurant meals were fully deductible in 2021 and 2022
+        mealsDeductible: 1.0
+    },
+    // Schedule SE: tax is figured on 92.35% of net profit, and not at all when
+    // that is under $400. The social security part stops at the wage base,
+    // less the owner's W-2 social security wages.
+    selfEmploymentTax: {
+        netEarningsRate: 0.9235,
+        socialSecurityRate: 0.124,
+        medicareRate: 0.029,
+        minimumNetEarnings: 400
+    },
+    // Qualified business income deduction (Form 8995/8995-A). Above the
+    // threshold the W-2 wage/property limit and the specified service rules
+    // phase in over phaseInRange.
+    qualifiedBusinessIncome: {
+        rate: 0.20,
+        threshold: {
+            single: 170050,
+            'married-joint': 340100,
+            'married-separate': 170050,
+            'head-of-household': 170050
+        },
+        phaseInRange: {
+            single: 50000,
+            'married-joint': 100000,
+            'married-separate': 50000,
+            'head-of-household': 50000
+        }
+    },
+    socialSecurityWageBase: 147000,
+    childTaxCredit: {
+        perChild: 2000,
+        perOtherDependent: 500,
+        maxChildAge: 16,
+        phaseOutStart: {
+            single: 200000,
+            'married-joint': 400000,
+            'married-separate': 200000,
+            'head-of-household': 200000
+        },
+        // Credit is reduced by $50 for each $1,000 (or part) of MAGI over the threshold
+        phaseOutRate: 50,
+        // Additional Child Tax Credit: up to this much per child is refundable,
+        // limited to 15% of earned income above $2,500
+        refundablePerChild: 1500,
+        earnedIncomeThreshold: 2500,
+        refundableRate: 0.15
+    },
+    // A qualifying relative's gross income must be below this
+    qualifyingRelativeIncomeLimit: 4400
+};
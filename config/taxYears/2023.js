@@ -0,0 +1,163 @@
+// Federal tax parameters for tax year 2023 (Rev. Proc. 2022-38)
+module.exports = {
+    taxYear: 2023,
+    standardDeduction: {
+        single: 13850,
+        'married-joint': 27700,
+        'married-separate': 13850,
+        'head-of-household': 20800
+    },
+    // Upper bound of each bracket; the last bracket is open-ended
+    brackets: {
+        single: [
+            { upTo: 11000, rate: 0.10 },
+            { upTo: 44725, rate: 0.12 },
+            { upTo: 95375, rate: 0.22 },
+            { upTo: 182100, rate: 0.24 },
+            { upTo: 231250, rate: 0.32 },
+            { upTo: 578125, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-joint': [
+            { upTo: 22000, rate: 0.10 },
+            { upTo: 89450, rate: 0.12 },
+            { upTo: 190750, rate: 0.22 },
+            { upTo: 364200, rate: 0.24 },
+            { upTo: 462500, rate: 0.32 },
+            { upTo: 693750, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-separate': [
+            { upTo: 11000, rate: 0.10 },
+            { upTo: 44725, rate: 0.12 },
+            { upTo: 95375, rate: 0.22 },
+            { upTo: 182100, rate: 0.24 },
+            { upTo: 231250, rate: 0.32 },
+            { upTo: 346875, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'head-of-household': [
+            { upTo: 15700, rate: 0.10 },
+            { upTo: 59850, rate: 0.12 },
+            { upTo: 95350, rate: 0.22 },
+            { upTo: 182100, rate: 0.24 },
+            { upTo: 231250, rate: 0.32 },
+            { upTo: 578100, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ]
+    },
+    // Qualified dividends and long-term capital gains are taxed at 0% up to the
+    // first taxable income threshold, 15% up to the second and 20% above
+    capitalGainRates: {
+        zeroUpTo: {
+            single: 44625,
+            'married-joint': 89250,
+            'married-separate': 44625,
+            'head-of-household': 59750
+        },
+        fifteenUpTo: {
+            single: 492300,
+            'married-joint': 553850,
+            'married-separate': 276900,
+            'head-of-household': 523050
+        }
+    },
+    saltCap: {
+        single: 10000,
+        'married-joint': 10000,
+        'married-separate': 5000,
+        'head-of-household': 10000
+    },
+    // Home mortgage interest is deductible on acquisition debt up to these
+    // limits. Debt taken out before December 16, 2017 keeps the higher limit.
+    mortgageDebtLimit: {
+        before2018: {
+            single: 1000000,
+            'married-joint': 1000000,
+            'married-separate': 500000,
+            'head-of-household': 1000000
+        },
+        after2017: {
+            single: 750000,
+            'married-joint': 750000,
+            'married-separate': 375000,
+            'head-of-household': 750000
+        }
+    },
+    // Mortgage insurance premiums (1098 box 5) are not deductible this year
+    mortgageInsurancePremiums: null,
+    // Schedule A: medical expenses count above this share of AGI; charitable
+    // gifts to public charities are limited to these shares of AGI
+    itemizedDeductions: {
+        medicalAgiFloor: 0.075,
+        charityCashLimit: 0.60,
+        charityNoncashLimit: 0.30
+    },
+    // Student loan interest deduction; not available when married filing separately
+    studentLoanInterest: {
+        maxDeduction: 2500,
+        phaseOut: {
+            single: { start: 75000, end: 90000 },
+            'married-joint': { start: 155000, end: 185000 },
+            'head-of-household': { start: 75000, end: 90000 },
+            'qualifying-widow': { start: 75000, end: 90000 }
+        }
+    },
+    // Schedule C: standard mileage rate per business mile, the simplified home
+    // office rate per square foot (up to 300 square feet) and the deductible
+    // share of business meals
+    scheduleC: {
+        standardMileageRate: 0.655,
+        homeOfficeRate: 5,
+        homeOfficeMaxSquareFeet: 300,
+        mealsDeductible: 0.5
+    },
+    // Schedule SE: tax is figured on 92.35% of net profit, and not at all when
+    // that is under $400. The social security part stops at the wage base,
+    // less the owner's W-2 social security wages.
+    selfEmploymentTax: {
+        netEarningsRate: 0.9235,
+        socialSecurityRate: 0.124,
+        medicareRate: 0.029,
+        minimumNetEarnings: 400
+    },
+    // Qualified business income deduction (Form 8995/8995-A). Above the
+    // threshold the W-2 wage/property limit and the specified service rules
+    // phase in over phaseInRange.
+    qualifiedBusinessIncome: {
+        rate: 0.20,
+        threshold: {
+            single: 182100,
+            'married-joint': 364200,
+            'married-separate': 182100,
+            'head-of-household': 182100
+        },
+        phaseInRange: {
+            single: 50000,
+            'married-joint': 100000,
+            'married-separate': 50000,
+            'head-of-household': 50000
+        }
+    },
+    socialSecurityWageBase: 160200,
+    childTaxCredit: {
+        perChild: 2000,
+        perOtherDependent: 500,
+        maxChildAge: 16,
+        phaseOutStart: {
+            single: 200000,
+            'married-joint': 400000,
+            'married-separate': 200000,
+            'head-of-household': 200000
+        },
+        // Credit is reduced by $50 for each $1,000 (or part) of MAGI over the threshold
+        phaseOutRate: 50,
+        // Additional Child Tax Credit: up to this much per child is refundable,
+        // limited to 15% of earned income above $2,500
+        refundablePerChild: 1600,
+        earnedIncomeThreshold: 2500,
+        refundableRate: 0.15
+    },
+    // A qualifying relative's gross income must be below this
+    qualifyingRelativeIncomeLimit: 4700
+};
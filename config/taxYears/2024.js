@@ -0,0 +1,163 @@
+// Federal tax parameters for tax year 2024 (Rev. Proc. 2023-34)
+module.exports = {
+    taxYear: 2024,
+    standardDeduction: {
+        single: 14600,
+        'married-joint': 29200,
+        'married-separate': 14600,
+        'head-of-household': 21900
+    },
+    // Upper bound of each bracket; the last bracket is open-ended
+    brackets: {
+        single: [
+            { upTo: 11600, rate: 0.10 },
+            { upTo: 47150, rate: 0.12 },
+            { upTo: 100525, rate: 0.22 },
+            { upTo: 191950, rate: 0.24 },
+            { upTo: 243725, rate: 0.32 },
+            { upTo: 609350, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-joint': [
+            { upTo: 23200, rate: 0.10 },
+            { upTo: 94300, rate: 0.12 },
+            { upTo: 201050, rate: 0.22 },
+            { upTo: 383900, rate: 0.24 },
+            { upTo: 487450, rate: 0.32 },
+            { upTo: 731200, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-separate': [
+            { upTo: 11600, rate: 0.10 },
+            { upTo: 47150, rate: 0.12 },
+            { upTo: 100525, rate: 0.22 },
+            { upTo: 191950, rate: 0.24 },
+            { upTo: 243725, rate: 0.32 },
+            { upTo: 365600, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'head-of-household': [
+            { upTo: 16550, rate: 0.10 },
+            { upTo: 63100, rate: 0.12 },
+            { upTo: 100500, rate: 0.22 },
+            { upTo: 191950, rate: 0.24 },
+            { upTo: 243700, rate: 0.32 },
+            { upTo: 609350, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ]
+    },
+    // Qualified dividends and long-term capital gains are taxed at 0% up to the
+    // first taxable income threshold, 15% up to the second and 20% above
+    capitalGainRates: {
+        zeroUpTo: {
+            single: 47025,
+            'married-joint': 94050,
+            'married-separate': 47025,
+            'head-of-household': 63000
+        },
+        fifteenUpTo: {
+            single: 518900,
+            'married-joint': 583750,
+            'married-separate': 291850,
+            'head-of-household': 551350
+        }
+    },
+    saltCap: {
+        single: 10000,
+        'married-joint': 10000,
+        'married-separate': 5000,
+        'head-of-household': 10000
+    },
+    // Home mortgage interest is deductible on acquisition debt up to these
+    // limits. Debt taken out before December 16, 2017 keeps the higher limit.
+    mortgageDebtLimit: {
+        before2018: {
+            single: 1000000,
+            'married-joint': 1000000,
+            'married-separate': 500000,
+            'head-of-household': 1000000
+        },
+        after2017: {
+            single: 750000,
+            'married-joint': 750000,
+            'married-separate': 375000,
+            'head-of-household': 750000
+        }
+    },
+    // Mortgage insurance premiums (1098 box 5) are not deductible this year
+    mortgageInsurancePremiums: null,
+    // Schedule A: medical expenses count above this share of AGI; charitable
+    // gifts to public charities are limited to these shares of AGI
+    itemizedDeductions: {
+        medicalAgiFloor: 0.075,
+        charityCashLimit: 0.60,
+        charityNoncashLimit: 0.30
+    },
+    // Student loan interest deduction; not available when married filing separately
+    studentLoanInterest: {
+        maxDeduction: 2500,
+        phaseOut: {
+            single: { start: 80000, end: 95000 },
+            'married-joint': { start: 165000, end: 195000 },
+            'head-of-household': { start: 80000, end: 95000 },
+            'qualifying-widow': { start: 80000, end: 95000 }
+        }
+    },
+    // Schedule C: standard mileage rate per business mile, the simplified home
+    // office rate per square foot (up to 300 square feet) and the deductible
+    // share of business meals
+    scheduleC: {
+        standardMileageRate: 0.67,
+        homeOfficeRate: 5,
+        homeOfficeMaxSquareFeet: 300,
+        mealsDeductible: 0.5
+    },
+    // Schedule SE: tax is figured on 92.35% of net profit, and not at all when
+    // that is under $400. The social security part stops at the wage base,
+    // less the owner's W-2 social security wages.
+    selfEmploymentTax: {
+        netEarningsRate: 0.9235,
+        socialSecurityRate: 0.124,
+        medicareRate: 0.029,
+        minimumNetEarnings: 400
+    },
+    // Qualified business income deduction (Form 8995/8995-A). Above the
+    // threshold the W-2 wage/property limit and the specified service rules
+    // phase in over phaseInRange.
+    qualifiedBusinessIncome: {
+        rate: 0.20,
+        threshold: {
+            single: 191950,
+            'married-joint': 383900,
+            'married-separate': 191950,
+            'head-of-household': 191950
+        },
+        phaseInRange: {
+            single: 50000,
+            'married-joint': 100000,
+            'married-separate': 50000,
+            'head-of-household': 50000
+        }
+    },
+    socialSecurityWageBase: 168600,
+    childTaxCredit: {
+        perChild: 2000,
+        perOtherDependent: 500,
+        maxChildAge: 16,
+        phaseOutStart: {
+            single: 200000,
+            'married-joint': 400000,
+            'married-separate': 200000,
+            'head-of-household': 200000
+        },
+        // Credit is reduced by $50 for each $1,000 (or part) of MAGI over the threshold
+        phaseOutRate: 50,
+        // Additional Child Tax Credit: up to this much per child is refundable,
+        // limited to 15% of earned income above $2,500
+        refundablePerChild: 1700,
+        earnedIncomeThreshold: 2500,
+        refundableRate: 0.15
+    },
+    // A qualifying relative's gross income must be below this
+    qualifyingRelativeIncomeLimit: 5050
+};
@@ -0,0 +1,180 @@
+// Federal tax parameters for tax year 2025 (Rev. Proc. 2024-40, as amended by Pub. L. 119-21)
+module.exports = {
+    taxYear: 2025,
+    standardDeduction: {
+        single: 15750,
+        'married-joint': 31500,
+        'married-separate': 15750,
+        'head-of-household': 23625
+    },
+    // Upper bound of each bracket; the last bracket is open-ended
+    brackets: {
+        single: [
+            { upTo: 11925, rate: 0.10 },
+            { upTo: 48475, rate: 0.12 },
+            { upTo: 103350, rate: 0.22 },
+            { upTo: 197300, rate: 0.24 },
+            { upTo: 250525, rate: 0.32 },
+            { upTo: 626350, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-joint': [
+            { upTo: 23850, rate: 0.10 },
+            { upTo: 96950, rate: 0.12 },
+            { upTo: 206700, rate: 0.22 },
+            { upTo: 394600, rate: 0.24 },
+            { upTo: 501050, rate: 0.32 },
+            { upTo: 751600, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'married-separate': [
+            { upTo: 11925, rate: 0.10 },
+            { upTo: 48475, rate: 0.12 },
+            { upTo: 103350, rate: 0.22 },
+            { upTo: 197300, rate: 0.24 },
+            { upTo: 250525, rate: 0.32 },
+            { upTo: 375800, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ],
+        'head-of-household': [
+            { upTo: 17000, rate: 0.10 },
+            { upTo: 64850, rate: 0.12 },
+            { upTo: 103350, rate: 0.22 },
+            { upTo: 197300, rate: 0.24 },
+            { upTo: 250500, rate: 0.32 },
+            { upTo: 626350, rate: 0.35 },
+            { upTo: Infinity, rate: 0.37 }
+        ]
+    },
+    // Qualified dividends and long-term capital gains are taxed at 0% up to the
+    // first taxable income threshold, 15% up to the second and 20% above
+    capitalGainRates: {
+        zeroUpTo: {
+            single: 48350,
+            'married-joint': 96700,
+            'married-separate': 48350,
+            'head-of-household': 64750
+        },
+        fifteenUpTo: {
+            single: 533400,
+            'married-joint': 600050,
+            'married-separate': 300000,
+            'head-of-household': 566700
+        }
+    },
+    saltCap: {
+        single: 40000,
+        'married-joint': 40000,
+        'married-separate': 20000,
+        'head-of-household': 40000
+    },
+    // The SALT cap is reduced by 30% of modified AGI over the threshold, but
+    // not below $10,000 ($5,000 married filing separately)
+    saltPhaseDown: {
+        threshold: {
+            single: 500000,
+            'married-joint': 500000,
+            'married-separate': 250000,
+            'head-of-household': 500000
+        },
+        rate: 0.30,
+        floor: {
+            single: 10000,
+            'married-joint': 10000,
+            'married-separate': 5000,
+            'head-of-household': 10000
+        }
+    },
+    // Home mortgage interest is deductible on acquisition debt up to these
+    // limits. Debt taken out before December 16, 2017 keeps the higher limit.
+    mortgageDebtLimit: {
+        before2018: {
+            single: 1000000,
+            'married-joint': 1000000,
+            'married-separate': 500000,
+            'head-of-household': 1000000
+        },
+        after2017: {
+            single: 750000,
+            'married-joint': 750000,
+            'married-separate': 375000,
+            'head-of-household': 750000
+        }
+    },
+    // Mortgage insurance premiums (1098 box 5) are not deductible this year
+    mortgageInsurancePremiums: null,
+    // Schedule A: medical expenses count above this share of AGI; charitable
+    // gifts to public charities are limited to these shares of AGI
+    itemizedDeductions: {
+        medicalAgiFloor: 0.075,
+        charityCashLimit: 0.60,
+        charityNoncashLimit: 0.30
+    },
+    // Student loan interest deduction; not available when married filing separately
+    studentLoanInterest: {
+        maxDeduction: 2500,
+        phaseOut: {
+            single: { start: 85000, end: 100000 },
+            'married-joint': { start: 170000, end: 200000 },
+            'head-of-household': { start: 85000, end: 100000 },
+            'qualifying-widow': { start: 85000, end: 100000 }
+        }
+    },
+    // Schedule C: standard mileage rate per business mile, the simplified home
+    // office rate per square foot (up to 300 square feet) and the deductible
+    // share of business meals
+    scheduleC: {
+        standardMileageRate: 0.70,
+        homeOfficeRate: 5,
+        homeOfficeMaxSquareFeet: 300,
+        mealsDeductible: 0.5
+    },
+    // Schedule SE: tax is figured on 92.35% of net profit, and not at all when
+    // that is under $400. The social security part stops at the wage base,
+    // less the owner's W-2 social security wages.
+    selfEmploymentTax: {
+        netEarningsRate: 0.9235,
+        socialSecurityRate: 0.124,
+        medicareRate: 0.029,
+        minimumNetEarnings: 400
+    },
+    // Qualified business income deduction (Form 8995/8995-A). Above the
+    // threshold the W-2 wage/property limit and the specified service rules
+    // phase in over phaseInRange.
+    qualifiedBusinessIncome: {
+        rate: 0.20,
+        threshold: {
+            single: 197300,
+            'married-joint': 394600,
+            'married-separate': 197300,
+            'head-of-household': 197300
+        },
+        phaseInRange: {
+            single: 50000,
+            'married-joint': 100000,
+            'married-separate': 50000,
+            'head-of-household': 50000
+        }
+    },
+    socialSecurityWageBase: 176100,
+    childTaxCredit: {
+        perChild: 2200,
+        perOtherDependent: 500,
+        maxChildAge: 16,
+        phaseOutStart: {
+            single: 200000,
+            'married-joint': 400000,
+            'married-separate': 200000,
+            'head-of-household': 200000
+        },
+        // Credit is reduced by $50 for each $1,000 (or part) of MAGI over the threshold
+        phaseOutRate: 50,
+        // Additional Child Tax Credit: up to this much per child is refundable,
+        // limited to 15% of earned income above $2,500
+        refundablePerChild: 1700,
+        earnedIncomeThreshold: 2500,
+        refundableRate: 0.15
+    },
+    // A qualifying relative's gross income must be below this
+    qualifyingRelativeIncomeLimit: 5200
+};
@@ -0,0 +1,33 @@
+// Per-year federal tax tables. Add a new file for each supported tax year
+// and register it here; routes and services never hard-code rates.
+const TAX_TABLES = {
+    2022: require('./2022'),
+    2023: require('./2023'),
+    2024: require('./2024'),
+    2025: require('./2025')
+};
+
+const SUPPORTED_TAX_YEARS = Object.keys(TAX_TABLES).map(Number);
+
+// Qualifying widow(er) uses the married-filing-jointly brackets, standard
+// deduction and credit thresholds
+function statusKey(filingStatus) {
+    return filingStatus === 'qualifying-widow' ? 'married-joint' : filingStatus;
+}
+
+function getTaxTable(taxYear) {
+    return TAX_TABLES[taxYear] || null;
+}
+
+// Returns are prepared in the spring for the previous calendar year. Evaluated
+// per call so a long-running server rolls over on January 1st.
+function defaultTaxYear() {
+    return new Date().getFullYear() - 1;
+}
+
+module.exports = {
+    SUPPORTED_TAX_YEARS,
+    getTaxTable,
+    defaultTaxYear,
+    statusKey
+};
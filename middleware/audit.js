@@ -0,0 +1,46 @@
+const { runWithContext, recordEvent } = require('../services/audit');
+
+// Makes the request available to the audit hooks on the models. Mounted once
+// in server.js; multipart routes mount it again after multer, whose stream
+// callbacks run outside the original async context.
+function auditContext(req, res, next) {
+    if (!req.auditContext) {
+        req.auditContext = { req };
+    }
+    runWithContext(req.auditContext, next);
+}
+
+// Record a 'view' of taxpayer data once the response has been sent without an
+// error. Use after `auth` (and requireClientAccess on preparer routes, so the
+// subject is the client rather than the preparer).
+// A list of entity types records one event for each, for routes that read
+// several models at once.
+//   router.get('/:id', auth, auditView('W2Form', { idParam: 'id' }), ...)
+function auditView(entityType, { idParam = null } = {}) {
+    const entityTypes = [].concat(entityType);
+    return function (req, res, next) {
+        const events = entityTypes.map((type) => ({
+            action: 'view',
+            entityType: type,
+            entityId: idParam ? req.params[idParam] : null,
+            subjectUserId: req.clientId || req.user.id,
+            metadata: { method: req.method, path: req.originalUrl }
+        }));
+
+        res.on('finish', () => {
+            if (res.statusCode >= 400) {
+                return;
+            }
+            events.forEach((event) => {
+                runWithContext(req.auditContext || { req }, () => recordEvent(event))
+                    .catch((error) => console.error('Audit view error:', error));
+            });
+        });
+        next();
+    };
+}
+
+module.exports = {
+    auditContext,
+    auditView
+};
@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { verifyAccessToken, isActive } = require('../services/sessions');
 
-module.exports = function (req, res, next) {
+async function auth(req, res, next) {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -10,16 +12,56 @@ module.exports = function (req, res, next) {
     }
 
     // Verify token
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+        decoded = verifyAccessToken(token);
+    } catch (err) {
+        console.error('JWT verification error:', err.message);
+        return res.status(401).json({
+            message: err.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid',
+            code: err.name === 'TokenExpiredError' ? 'token_expired' : 'token_invalid'
+        });
+    }
+
+    try {
+        // Access tokens are tied to a session so logout and revocation take
+        // effect immediately rather than when the token expires
+        const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+        if (!isActive(session) || session.userId !== decoded.user.id) {
+            return res.status(401).json({ message: 'Session has ended, please sign in again', code: 'session_revoked' });
+        }
 
-        // Set req.user to the user object from JWT payload
-        // JWT payload is now { user: { id: ..., email: ... } }
+        // JWT payload is { user: { id, email, role }, sid }
         req.user = decoded.user;
+        req.sessionId = decoded.sid;
+        req.authSession = session;
 
         next();
     } catch (err) {
-        console.error('JWT verification error:', err);
-        res.status(401).json({ message: 'Token is not valid' });
+        console.error('Session lookup error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+}
+
+// For sensitive routes: the session must have been signed in with a second
+// factor. Use after `auth`, e.g. router.post('/', auth, auth.requireTwoFactor, ...)
+auth.requireTwoFactor = async function (req, res, next) {
+    if (req.authSession && req.authSession.twoFactorVerified) {
+        return next();
+    }
+
+    try {
+        const user = await User.findByPk(req.user.id);
+        res.status(403).json({
+            message: user && user.totpEnabled
+                ? 'Please sign in again with your authentication code to continue'
+                : 'Please enable two-factor authentication to continue',
+            code: user && user.totpEnabled ? 'two_factor_required' : 'two_factor_not_enabled'
+        });
+    } catch (err) {
+        console.error('Two-factor check error:', err);
+        res.status(500).json({ message: 'Server error' });
     }
 };
+
+module.exports = auth;
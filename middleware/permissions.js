@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const ClientAssignment = require('../models/ClientAssignment');
+
+// Role and client-access checks. Use after `auth`; roles are read from the
+// database so a role change takes effect on the next request.
+
+async function loadRole(req) {
+    if (!req.userRole) {
+        const user = await User.findByPk(req.user.id, { attributes: ['id', 'role'] });
+        req.userRole = user ? user.role : null;
+    }
+    return req.userRole;
+}
+
+// Allow only the given roles, e.g. requireRole('admin')
+function requireRole(...roles) {
+    return async function (req, res, next) {
+        try {
+            const role = await loadRole(req);
+            if (!roles.includes(role)) {
+                return res.status(403).json({ message: 'You do not have permission to do this' });
+            }
+            next();
+        } catch (error) {
+            console.error('Role check error:', error);
+            res.status(500).json({ message: 'Server error' });
+        }
+    };
+}
+
+async function hasClientAccess(userId, role, clientId) {
+    if (userId === clientId || role === 'admin') {
+        return true;
+    }
+    if (role !== 'preparer') {
+        return false;
+    }
+    const assignment = await ClientAssignment.findOne({
+        where: { preparerId: userId, clientId, revokedAt: null }
+    });
+    return Boolean(assignment);
+}
+
+// The client named by req.params[param] must be the caller, a client assigned
+// to the calling preparer, or any client for an admin. Sets req.clientId.
+function requireClientAccess(param = 'clientId') {
+    return async function (req, res, next) {
+        try {
+            const clientId = req.params[param];
+            const role = await loadRole(req);
+            if (!(await hasClientAccess(req.user.id, role, clientId))) {
+                return res.status(403).json({ message: 'You do not have access to this client' });
+            }
+            req.clientId = clientId;
+            next();
+        } catch (error) {
+            console.error('Client access check error:', error);
+            res.status(500).json({ message: 'Server error' });
+        }
+    };
+}
+
+module.exports = {
+    requireRole,
+    requireClientAccess,
+    hasClientAccess
+};
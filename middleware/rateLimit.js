@@ -0,0 +1,56 @@
+const { getStore } = require('../services/rateLimitStore');
+
+// Fixed-window rate limit. Counters are kept in the configured store so limits
+// hold across instances. Defaults to limiting per client IP.
+function rateLimit({ name, windowMs, max, keyGenerator = (req) => req.ip, message = 'Too many requests, please try again later' }) {
+    return async function (req, res, next) {
+        try {
+            const key = `${name}:${keyGenerator(req)}`;
+            const { count, resetAt } = await getStore().increment(key, windowMs);
+            const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+            res.set('RateLimit-Reset', String(retryAfter));
+
+            if (count > max) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ message, retryAfter });
+            }
+
+            next();
+        } catch (error) {
+            // A broken counter store should not take sign-in down with it
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+}
+
+const MINUTE = 60 * 1000;
+
+// Sign-in, sign-up, password/verification and two-factor code flows, per IP
+rateLimit.auth = rateLimit({
+    name: 'auth',
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 20,
+    message: 'Too many attempts from this address, please try again later'
+});
+
+// Token refresh happens in the background every few minutes per device
+rateLimit.refresh = rateLimit({
+    name: 'refresh',
+    windowMs: 15 * MINUTE,
+    max: 60
+});
+
+// File uploads, per user (uploads always come after `auth`)
+rateLimit.upload = rateLimit({
+    name: 'upload',
+    windowMs: 60 * MINUTE,
+    max: parseInt(process.env.UPLOAD_RATE_LIMIT, 10) || 30,
+    keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+    message: 'Too many uploads, please try again later'
+});
+
+module.exports = rateLimit;
@@ -0,0 +1,38 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { lockedFor, registerFailedLogin, lockedResponse } = require('../services/accountLockout');
+
+// Re-authentication for sensitive actions: on top of a valid token the request
+// must carry the user's current password. Use after `auth`.
+module.exports = async function (req, res, next) {
+    try {
+        const { password } = req.body;
+        if (!password) {
+            return res.status(401).json({ message: 'Please confirm your password to continue' });
+        }
+
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.status(401).json({ message: 'Password is incorrect' });
+        }
+
+        // Guesses here count towards the same lockout as at sign-in
+        const retryAfter = lockedFor(user);
+        if (retryAfter > 0) {
+            return lockedResponse(res, retryAfter);
+        }
+
+        if (!(await bcrypt.compare(password, user.password))) {
+            const lockedSeconds = await registerFailedLogin(user);
+            if (lockedSeconds > 0) {
+                return lockedResponse(res, lockedSeconds);
+            }
+            return res.status(401).json({ message: 'Password is incorrect' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Re-authentication error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
@@ -0,0 +1,54 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+const W2_UPLOAD_DIR = path.join(UPLOADS_ROOT, 'w2');
+
+const allowedTypes = [
+    'application/pdf',
+    'image/jpeg',
+    'image/png',
+    'image/jpg',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Configure multer to store uploads under uploads/<subdirectory> as <prefix>-<unique>.<ext>
+function createUpload(subdirectory, prefix) {
+    const uploadDir = path.join(UPLOADS_ROOT, subdirectory);
+
+    const storage = multer.diskStorage({
+        destination: function (req, file, cb) {
+            if (!fs.existsSync(uploadDir)) {
+                fs.mkdirSync(uploadDir, { recursive: true });
+            }
+            cb(null, uploadDir);
+        },
+        filename: function (req, file, cb) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, prefix + '-' + uniqueSuffix + path.extname(file.originalname));
+        }
+    });
+
+    return multer({
+        storage: storage,
+        limits: {
+            fileSize: 10 * 1024 * 1024 // 10MB limit
+        },
+        fileFilter: (req, file, cb) => {
+            console.log('Uploaded file mimetype:', file.mimetype); // For debugging
+            if (allowedTypes.includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only PDF, JPG, PNG, DOC, DOCX files are allowed'), false);
+            }
+        }
+    });
+}
+
+const upload = createUpload('w2', 'w2');
+
+module.exports = upload;
+module.exports.createUpload = createUpload;
+module.exports.W2_UPLOAD_DIR = W2_UPLOAD_DIR;
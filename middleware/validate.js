@@ -0,0 +1,19 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+
+// Reject the request with the express-validator errors collected so far. A file
+// uploaded with a rejected request is removed.
+module.exports = function (req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+    next();
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Who viewed or changed which taxpayer record, and from where. Rows are never
+// updated or deleted, and actor/subject are plain ids rather than foreign keys
+// so the trail outlives the accounts it mentions.
+const AuditEvent = sequelize.define('AuditEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    // User who did it; null for system jobs and unauthenticated requests
+    actorId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // User whose data was touched
+    subjectUserId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    action: {
+        type: DataTypes.ENUM('create', 'update', 'delete', 'view', 'reveal'),
+        allowNull: false
+    },
+    // Model name, e.g. 'W2Form'
+    entityType: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    entityId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // { field: { from, to } } with sensitive values replaced by '[redacted]'
+    changes: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Extra context, e.g. the route for views or the field for reveals
+    metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'audit_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['subjectUserId', 'createdAt']
+        },
+        {
+            fields: ['actorId', 'createdAt']
+        },
+        {
+            fields: ['entityType', 'entityId']
+        }
+    ]
+});
+
+// Append-only
+function rejectChange() {
+    throw new Error('Audit events cannot be changed or deleted');
+}
+AuditEvent.addHook('beforeUpdate', rejectChange);
+AuditEvent.addHook('beforeDestroy', rejectChange);
+AuditEvent.addHook('beforeBulkUpdate', rejectChange);
+AuditEvent.addHook('beforeBulkDestroy', rejectChange);
+
+module.exports = AuditEvent;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Single-use tokens sent by email. The signed token carries this row's id; the
+// row records when it was used so it cannot be replayed.
+const AuthToken = sequelize.define('AuthToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    purpose: {
+        type: DataTypes.ENUM('password_reset', 'email_verification'),
+        allowNull: false
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'auth_tokens',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['userId', 'purpose']
+        }
+    ]
+});
+
+module.exports = AuthToken;
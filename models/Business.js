@@ -0,0 +1,211 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+const { defaultTaxYear } = require('../config/taxYears');
+
+// Schedule C, Part II expense lines. Car and truck expenses (line 9) come from
+// the vehicle fields and business use of the home (line 30) from the home
+// office fields, so neither is entered here.
+const EXPENSE_CATEGORIES = [
+    'advertising', // line 8
+    'commissions_fees', // line 10
+    'contract_labor', // line 11
+    'depletion', // line 12
+    'depreciation', // line 13
+    'employee_benefits', // line 14
+    'insurance', // line 15: other than health
+    'mortgage_interest', // line 16a: paid to banks on business property
+    'other_interest', // line 16b
+    'legal_professional', // line 17
+    'office_expense', // line 18
+    'pension_profit_sharing', // line 19
+    'rent_vehicles_equipment', // line 20a
+    'rent_other', // line 20b: other business property
+    'repairs_maintenance', // line 21
+    'supplies', // line 22
+    'taxes_licenses', // line 23
+    'travel', // line 24a
+    'meals', // line 24b: before the deductible share is applied
+    'utilities', // line 25
+    'wages', // line 26: less employment credits
+    'other' // line 27a
+];
+
+// One sole proprietorship or single-member LLC on Schedule C. Income reported
+// on a 1099-NEC is linked through Form1099NEC.businessId and is not entered
+// again in grossReceipts.
+const Business = sequelize.define('Business', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: defaultTaxYear
+    },
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Whose business this is on a joint return; SE tax is figured per person
+    owner: {
+        type: DataTypes.ENUM('taxpayer', 'spouse'),
+        allowNull: false,
+        defaultValue: 'taxpayer'
+    },
+    // Lines A-F
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    ein: encryptedAttribute('ein'),
+    principalBusinessCode: {
+        type: DataTypes.STRING(6),
+        allowNull: true
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    accountingMethod: {
+        type: DataTypes.ENUM('cash', 'accrual'),
+        allowNull: false,
+        defaultValue: 'cash'
+    },
+    // Part I: receipts not reported on a 1099-NEC, returns, cost of goods sold
+    // and other business income
+    grossReceipts: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    returnsAndAllowances: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    costOfGoodsSold: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    otherIncome: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Part II: amount per expense category, e.g. { advertising: 1200, supplies: 340.5 }
+    expenses: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
+    // Line 9: standard mileage rate, or the business share of actual costs
+    vehicleMethod: {
+        type: DataTypes.ENUM('none', 'standard_mileage', 'actual'),
+        allowNull: false,
+        defaultValue: 'none'
+    },
+    businessMiles: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // 2022 only: the standard mileage rate went up on July 1, so miles driven
+    // from July on are counted at the higher rate
+    businessMilesFromJuly: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    totalMiles: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Actual method: gas, repairs, insurance, registration, lease payments and
+    // depreciation for the year, before the business-use share
+    vehicleExpenses: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Parking and tolls are deductible under either method
+    parkingAndTolls: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Line 30: simplified ($5 per square foot) or regular (Form 8829) method
+    homeOfficeMethod: {
+        type: DataTypes.ENUM('none', 'simplified', 'regular'),
+        allowNull: false,
+        defaultValue: 'none'
+    },
+    homeOfficeSquareFeet: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    homeSquareFeet: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Regular method: mortgage interest or rent, real estate taxes, insurance,
+    // utilities, repairs and depreciation for the whole home
+    homeExpenses: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Regular method: expenses disallowed by the income limit last year
+    homeOfficeCarryover: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // QBI deduction: specified service trades (law, health, consulting...)
+    // lose the deduction at higher incomes; W-2 wages and property basis limit
+    // it for everyone else
+    isSpecifiedService: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    qualifiedPropertyBasis: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'businesses',
+    timestamps: true
+});
+
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(Business, ['ein']);
+
+Business.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
+
+module.exports = Business;
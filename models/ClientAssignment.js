@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Grants a preparer access to one client's returns and documents. Revoking
+// keeps the row so there is a record of who had access and when.
+const ClientAssignment = sequelize.define('ClientAssignment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    preparerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    clientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    assignedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'client_assignments',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['preparerId', 'clientId']
+        }
+    ]
+});
+
+module.exports = ClientAssignment;
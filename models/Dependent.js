@@ -1,5 +1,25 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+
+// Relationship to the taxpayer, grouped the way the qualifying child and
+// qualifying relative tests read them
+const RELATIONSHIPS = [
+    'child', // son, daughter or legally adopted child
+    'stepchild',
+    'foster_child',
+    'sibling',
+    'half_sibling',
+    'step_sibling',
+    'grandchild',
+    'niece_nephew',
+    'parent',
+    'stepparent',
+    'grandparent',
+    'aunt_uncle',
+    'in_law',
+    'other_household_member'
+];
 
 const Dependent = sequelize.define('Dependent', {
     id: {
@@ -20,21 +40,68 @@ const Dependent = sequelize.define('Dependent', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    // One of RELATIONSHIPS; older rows may still hold free text until edited
     relationship: {
         type: DataTypes.STRING,
         allowNull: false
     },
-    ssn: {
-        type: DataTypes.STRING,
+    ssn: encryptedAttribute('ssn'),
+    // Kind of number in ssn, set when it is saved
+    tinType: {
+        type: DataTypes.ENUM('ssn', 'itin', 'atin'),
         allowNull: true
     },
     birthDate: {
         type: DataTypes.DATE,
         allowNull: true
+    },
+    // 0-12; a child born or who died during the year counts the months alive
+    monthsLivedWithTaxpayer: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Full-time student for some part of at least five months of the year
+    isFullTimeStudent: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    isPermanentlyDisabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // Share (0-100) of the dependent's total support the taxpayer paid for
+    supportProvidedPercent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true
+    },
+    // A qualifying child must not have paid for more than half of their own support
+    paidOverHalfOwnSupport: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // The dependent's own gross income for the year (qualifying relative test)
+    grossIncome: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+    },
+    // Filed a joint return with their own spouse (other than only to claim a refund)
+    filesJointReturn: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // U.S. citizen, national or resident, or a resident of Canada or Mexico
+    isCitizenOrResident: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
     }
 }, {
     tableName: 'dependents',
     timestamps: true
 });
 
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(Dependent, ['ssn']);
+
+Dependent.RELATIONSHIPS = RELATIONSHIPS;
+
 module.exports = Dependent;
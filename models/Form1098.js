@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+const { defaultTaxYear } = require('../config/taxYears');
 
 const Form1098 = sequelize.define('Form1098', {
     id: {
@@ -25,10 +27,7 @@ const Form1098 = sequelize.define('Form1098', {
         type: DataTypes.TEXT,
         allowNull: true
     },
-    lenderTIN: {
-        type: DataTypes.STRING,
-        allowNull: true
-    },
+    lenderTIN: encryptedAttribute('lenderTIN'),
     lenderPhone: {
         type: DataTypes.STRING,
         allowNull: true
@@ -38,10 +37,7 @@ const Form1098 = sequelize.define('Form1098', {
         type: DataTypes.STRING,
         allowNull: false
     },
-    borrowerSSN: {
-        type: DataTypes.STRING,
-        allowNull: true
-    },
+    borrowerSSN: encryptedAttribute('borrowerSSN'),
     borrowerAddress: {
         type: DataTypes.TEXT,
         allowNull: true
@@ -119,11 +115,45 @@ const Form1098 = sequelize.define('Form1098', {
         allowNull: true,
         defaultValue: 0.00
     },
+    // Average balance for the year (Pub. 936); box 2 is used when not entered
+    averageBalance: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+    },
+    // Home equity debt only counts if the money bought, built or substantially
+    // improved the home that secures it
+    usedToBuyBuildOrImprove: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    // Box 4 normally refunds interest deducted in an earlier year. Set when it
+    // refunds interest paid this year that box 1 still includes.
+    refundOfCurrentYearInterest: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
     // Tax year for this form
     taxYear: {
         type: DataTypes.INTEGER,
         allowNull: false,
-        defaultValue: new Date().getFullYear()
+        defaultValue: defaultTaxYear
+    },
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Whose document this is on a joint return
+    owner: {
+        type: DataTypes.ENUM('taxpayer', 'spouse'),
+        allowNull: false,
+        defaultValue: 'taxpayer'
     },
     // Form generation details
     generatedDate: {
@@ -154,4 +184,7 @@ const Form1098 = sequelize.define('Form1098', {
     timestamps: true
 });
 
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(Form1098, ['lenderTIN', 'borrowerSSN']);
+
 module.exports = Form1098;
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+const { defaultTaxYear } = require('../config/taxYears');
+
+const Form1098E = sequelize.define('Form1098E', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // Lender Information
+    lenderName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    lenderAddress: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    lenderTIN: encryptedAttribute('lenderTIN'),
+    // Borrower Information
+    borrowerName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    borrowerSSN: encryptedAttribute('borrowerSSN'),
+    accountNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Box 1: Student loan interest received by lender
+    studentLoanInterest: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    // Box 2: If checked, box 1 does not include loan origination fees
+    // and/or capitalized interest for loans made before September 1, 2004
+    excludesOriginationFees: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // 1098-Es are issued in January for the previous tax year
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: defaultTaxYear
+    },
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Whose document this is on a joint return
+    owner: {
+        type: DataTypes.ENUM('taxpayer', 'spouse'),
+        allowNull: false,
+        defaultValue: 'taxpayer'
+    },
+    // Uploaded statement, if the user provided one
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    filePath: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    source: {
+        type: DataTypes.ENUM('manual', 'upload'),
+        defaultValue: 'manual'
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'form1098es',
+    timestamps: true
+});
+
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(Form1098E, ['lenderTIN', 'borrowerSSN']);
+
+module.exports = Form1098E;
@@ -0,0 +1,21 @@
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-DIV: Dividends and Distributions
+const Form1099DIV = defineForm1099('Form1099DIV', 'form1099_divs', {
+    // Box 1a: Total ordinary dividends
+    ordinaryDividends: moneyBox(),
+    // Box 1b: Qualified dividends (included in box 1a)
+    qualifiedDividends: moneyBox(),
+    // Box 2a: Total capital gain distributions
+    capitalGainDistributions: moneyBox(),
+    // Box 3: Nondividend distributions (return of capital)
+    nondividendDistributions: moneyBox(),
+    // Box 5: Section 199A dividends
+    section199ADividends: moneyBox(),
+    // Box 7: Foreign tax paid
+    foreignTaxPaid: moneyBox(),
+    // Box 12: Exempt-interest dividends
+    exemptInterestDividends: moneyBox()
+});
+
+module.exports = Form1099DIV;
@@ -0,0 +1,19 @@
+const { DataTypes } = require('sequelize');
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-G: Certain Government Payments
+const Form1099G = defineForm1099('Form1099G', 'form1099_gs', {
+    // Box 1: Unemployment compensation
+    unemploymentCompensation: moneyBox(),
+    // Box 2: State or local income tax refunds, credits, or offsets
+    stateTaxRefund: moneyBox(),
+    // Box 3: Tax year the box 2 refund is for
+    refundTaxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Box 6: Taxable grants
+    taxableGrants: moneyBox()
+});
+
+module.exports = Form1099G;
@@ -0,0 +1,19 @@
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-INT: Interest Income
+const Form1099INT = defineForm1099('Form1099INT', 'form1099_ints', {
+    // Box 1: Interest income
+    interestIncome: moneyBox(),
+    // Box 2: Early withdrawal penalty
+    earlyWithdrawalPenalty: moneyBox(),
+    // Box 3: Interest on U.S. Savings Bonds and Treasury obligations
+    treasuryInterest: moneyBox(),
+    // Box 6: Foreign tax paid
+    foreignTaxPaid: moneyBox(),
+    // Box 8: Tax-exempt interest
+    taxExemptInterest: moneyBox(),
+    // Box 9: Specified private activity bond interest
+    privateActivityBondInterest: moneyBox()
+});
+
+module.exports = Form1099INT;
@@ -0,0 +1,13 @@
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-MISC: Miscellaneous Information
+const Form1099MISC = defineForm1099('Form1099MISC', 'form1099_miscs', {
+    // Box 1: Rents
+    rents: moneyBox(),
+    // Box 2: Royalties
+    royalties: moneyBox(),
+    // Box 3: Other income
+    otherIncome: moneyBox()
+});
+
+module.exports = Form1099MISC;
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-NEC: Nonemployee Compensation
+const Form1099NEC = defineForm1099('Form1099NEC', 'form1099_necs', {
+    // Box 1: Nonemployee compensation
+    nonemployeeCompensation: moneyBox(),
+    // Box 2: Direct sales of $5,000 or more of consumer products for resale
+    directSales: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // Schedule C business the income belongs to. Unlinked income goes on the
+    // owner's first business, or on a Schedule C of its own if there is none.
+    businessId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'businesses',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+});
+
+module.exports = Form1099NEC;
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const { defineForm1099, moneyBox } = require('./form1099');
+
+// Form 1099-R: Distributions From Pensions, Annuities, Retirement or
+// Profit-Sharing Plans, IRAs, Insurance Contracts, etc.
+const Form1099R = defineForm1099('Form1099R', 'form1099_rs', {
+    // Box 1: Gross distribution
+    grossDistribution: moneyBox(),
+    // Box 2a: Taxable amount
+    taxableAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true
+    },
+    // Box 2b: Taxable amount not determined / Total distribution
+    taxableAmountNotDetermined: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    totalDistribution: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // Box 5: Employee contributions or insurance premiums
+    employeeContributions: moneyBox(),
+    // Box 7: Distribution code(s), e.g. '7' normal, '1' early, 'G' direct rollover
+    distributionCode: {
+        type: DataTypes.STRING(2),
+        allowNull: true
+    },
+    // Box 7: IRA/SEP/SIMPLE checkbox
+    isIraSepSimple: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    }
+});
+
+module.exports = Form1099R;
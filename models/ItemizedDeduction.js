@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { defaultTaxYear } = require('../config/taxYears');
+
+// Schedule A expenses the user enters by hand. Mortgage interest, points and
+// real estate taxes on a 1098 and state/local tax withheld on a W-2 come from
+// those documents and are not entered again here.
+const CATEGORIES = [
+    'medical', // line 1: medical and dental expenses
+    'state_local_income_tax', // line 5a: estimated payments, prior-year balance paid
+    'general_sales_tax', // line 5a: instead of income taxes
+    'real_estate_tax', // line 5b: not reported on a 1098
+    'personal_property_tax', // line 5c: e.g. vehicle registration based on value
+    'other_tax', // line 6
+    'mortgage_interest', // line 8b: not reported on a 1098
+    'mortgage_points', // line 8c: not reported on a 1098
+    'charity_cash', // line 11
+    'charity_noncash', // line 12
+    'charity_carryover', // line 13: from a prior year
+    'other' // line 16
+];
+
+const ItemizedDeduction = sequelize.define('ItemizedDeduction', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: defaultTaxYear
+    },
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Who paid the expense on a joint return
+    owner: {
+        type: DataTypes.ENUM('taxpayer', 'spouse'),
+        allowNull: false,
+        defaultValue: 'taxpayer'
+    },
+    category: {
+        type: DataTypes.ENUM(...CATEGORIES),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Who was paid: the provider, taxing authority or charity
+    payee: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    paidDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'itemized_deductions',
+    timestamps: true
+});
+
+ItemizedDeduction.CATEGORIES = CATEGORIES;
+
+module.exports = ItemizedDeduction;
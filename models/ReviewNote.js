@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A preparer's comment on a client's return or on one of its documents
+const ReviewNote = sequelize.define('ReviewNote', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    clientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    authorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // What the note is about; documentId is null for notes on the whole return
+    documentType: {
+        type: DataTypes.ENUM('tax_return', 'w2_form', 'form1098', 'form1098e', 'form1099int', 'form1099div', 'form1099nec', 'form1099misc', 'form1099r', 'form1099g', 'business'),
+        allowNull: false,
+        defaultValue: 'tax_return'
+    },
+    documentId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    resolvedById: {
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+}, {
+    tableName: 'review_notes',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['clientId', 'taxYear']
+        }
+    ]
+});
+
+module.exports = ReviewNote;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A signed-in device. The refresh token itself is never stored, only its hash;
+// it changes on every refresh, so an old token showing up again means it was stolen.
+const Session = sequelize.define('Session', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    refreshTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    // Device info captured at sign-in
+    deviceName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Whether sign-in for this session included a second factor
+    twoFactorVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedReason: {
+        type: DataTypes.ENUM('logout', 'logout_all', 'revoked', 'token_reuse', 'password_change'),
+        allowNull: true
+    }
+}, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['userId']
+        }
+    ]
+});
+
+// Never expose the token hash
+Session.prototype.toJSON = function () {
+    const { refreshTokenHash, ...json } = this.get({ plain: true });
+    return json;
+};
+
+module.exports = Session;
@@ -0,0 +1,106 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { decryptField, maskValue, encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+
+// One return per user per tax year. Year-specific answers live here rather than
+// on User so a returning customer's new year never overwrites last year's data.
+const TaxReturn = sequelize.define('TaxReturn', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('in_progress', 'completed', 'filed'),
+        defaultValue: 'in_progress'
+    },
+    filingStatus: {
+        type: DataTypes.ENUM('single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'),
+        allowNull: true
+    },
+    income: {
+        type: DataTypes.JSONB, // e.g., { otherIncome: 0 }
+        allowNull: true,
+        defaultValue: {}
+    },
+    deductions: {
+        type: DataTypes.JSONB, // Schedule A amounts are ItemizedDeduction rows
+        allowNull: true,
+        defaultValue: {}
+    },
+    // Dependents as they stood for this year (see snapshotDependents), with ssn
+    // encrypted like Dependent.ssn
+    dependentsSnapshot: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+    },
+    // Spouse on a married return. Their W-2s and other documents are the
+    // user's documents with owner 'spouse'.
+    spouseFirstName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    spouseLastName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    spouseSsn: encryptedAttribute('spouseSsn'),
+    spouseBirthDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Output of computeTaxReturn from the last time the return was computed
+    results: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    computedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Year the profile data was copied forward from, if any
+    copiedFromYear: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    tableName: 'tax_returns',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['userId', 'taxYear']
+        }
+    ]
+});
+
+// Dependent SSNs in the snapshot are shown to the last four digits only
+const toJSON = TaxReturn.prototype.toJSON;
+TaxReturn.prototype.toJSON = function () {
+    const json = toJSON.call(this);
+    if (Array.isArray(json.dependentsSnapshot)) {
+        json.dependentsSnapshot = json.dependentsSnapshot.map((dependent) => ({
+            ...dependent,
+            ssn: maskValue(decryptField(dependent.ssn))
+        }));
+    }
+    return json;
+};
+
+maskSensitiveFields(TaxReturn, ['spouseSsn']);
+
+module.exports = TaxReturn;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
 
 const User = sequelize.define('User', {
     id: {
@@ -19,6 +20,47 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: false,
     },
+    // client: self-service; preparer: works on assigned clients; admin: manages users
+    role: {
+        type: DataTypes.ENUM('client', 'preparer', 'admin'),
+        allowNull: false,
+        defaultValue: 'client',
+    },
+    // Set once the user follows the link sent to their email address
+    emailVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+    },
+    emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // Two-factor authentication (TOTP). The secret is set at enrollment and
+    // only takes effect once a first code has been verified.
+    totpEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+    },
+    totpEnabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    totpSecret: encryptedAttribute('totpSecret'),
+    // Time step of the last accepted code, so a code cannot be used twice
+    totpLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // [{ hash, usedAt }] for one-time backup codes
+    totpBackupCodes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: [],
+    },
     firstName: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -40,14 +82,8 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: true,
     },
-    ssn: {
-        type: DataTypes.STRING,
-        allowNull: true,
-    },
-    ein: {
-        type: DataTypes.STRING,
-        allowNull: true,
-    },
+    ssn: encryptedAttribute('ssn'),
+    ein: encryptedAttribute('ein'),
     address: {
         type: DataTypes.JSONB, // Store address as a JSON object
         allowNull: true,
@@ -59,9 +95,9 @@ const User = sequelize.define('User', {
         defaultValue: {} // e.g., { w2Wages: 0, otherIncome: 0 }
     },
     deductions: {
-        type: DataTypes.JSONB, // Store deductions as a JSON object
+        type: DataTypes.JSONB, // Legacy; deductions are per year on TaxReturn and ItemizedDeduction
         allowNull: true,
-        defaultValue: {} // e.g., { studentLoanInterest: 0, medicalExpenses: 0 }
+        defaultValue: {}
     },
     w9Uploaded: {
         type: DataTypes.BOOLEAN,
@@ -97,9 +133,32 @@ const User = sequelize.define('User', {
         type: DataTypes.DATE,
         allowNull: true,
     },
+    // Brute-force protection, see services/accountLockout.js
+    failedLoginCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    lastFailedLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
 }, {
     tableName: 'users',
     timestamps: true,
 });
 
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(User, ['ssn', 'ein']);
+
+// Second-factor secrets never leave the server
+const maskedToJSON = User.prototype.toJSON;
+User.prototype.toJSON = function () {
+    const { totpSecret, totpLastUsedStep, totpBackupCodes, ...json } = maskedToJSON.call(this);
+    return json;
+};
+
 module.exports = User;
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+const { defaultTaxYear } = require('../config/taxYears');
 
 const W2Form = sequelize.define('W2Form', {
     id: {
@@ -16,6 +18,28 @@ const W2Form = sequelize.define('W2Form', {
         },
         onDelete: 'CASCADE'
     },
+    // W-2s are issued in January for the previous tax year
+    taxYear: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: defaultTaxYear
+    },
+    // Tax return for (userId, taxYear); kept in sync by services/taxReturns.js
+    taxReturnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'tax_returns',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Whose document this is on a joint return
+    owner: {
+        type: DataTypes.ENUM('taxpayer', 'spouse'),
+        allowNull: false,
+        defaultValue: 'taxpayer'
+    },
     fileName: {
         type: DataTypes.STRING,
         allowNull: true
@@ -24,6 +48,10 @@ const W2Form = sequelize.define('W2Form', {
         type: DataTypes.STRING,
         allowNull: true
     },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
     // Employer Information
     employer: {
         type: DataTypes.STRING,
@@ -42,10 +70,7 @@ const W2Form = sequelize.define('W2Form', {
         type: DataTypes.STRING,
         allowNull: true
     },
-    employeeSSN: {
-        type: DataTypes.STRING,
-        allowNull: true
-    },
+    employeeSSN: encryptedAttribute('employeeSSN'),
     employeeAddress: {
         type: DataTypes.TEXT,
         allowNull: true
@@ -165,4 +190,7 @@ const W2Form = sequelize.define('W2Form', {
     timestamps: true
 });
 
+// Stored encrypted, masked to the last four digits in API responses
+maskSensitiveFields(W2Form, ['employeeSSN']);
+
 module.exports = W2Form;
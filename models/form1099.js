@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const { encryptedAttribute, maskSensitiveFields } = require('../services/fieldEncryption');
+const { defaultTaxYear } = require('../config/taxYears');
+
+// Columns shared by every Form 1099 variant: payer, recipient, box 4 federal
+// withholding, state withholding and the uploaded file. Each variant adds its
+// own boxes.
+
+// Dollar box on a 1099
+function moneyBox() {
+    return {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        defaultValue: 0.00
+    };
+}
+
+function defineForm1099(modelName, tableName, boxes) {
+    const Model = sequelize.define(modelName, {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Payer Information
+        payerName: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        payerAddress: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        payerTIN: encryptedAttribute('payerTIN'),
+        // Recipient Information
+        recipientName: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        recipientTIN: encryptedAttribute('recipientTIN'),
+        accountNumber: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        ...boxes,
+        // Box 4 on every variant: federal income tax withheld
+        federalTaxWithheld: moneyBox(),
+        // State boxes (first state only)
+        state: {
+            type: DataTypes.STRING(2),
+            allowNull: true
+        },
+        stateTaxWithheld: moneyBox(),
+        // 1099s are issued in January for the previous tax year
+        taxYear: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: defaultTaxYear
+        },
+        taxReturnId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'tax_returns',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        // Whose document this is on a joint return
+        owner: {
+            type: DataTypes.ENUM('taxpayer', 'spouse'),
+            allowNull: false,
+            defaultValue: 'taxpayer'
+        },
+        // Uploaded statement, if the user provided one
+        fileName: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        filePath: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        mimeType: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        source: {
+            type: DataTypes.ENUM('manual', 'upload'),
+            defaultValue: 'manual'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName,
+        timestamps: true
+    });
+
+    // Stored encrypted, masked to the last four digits in API responses
+    maskSensitiveFields(Model, ['payerTIN', 'recipientTIN']);
+
+    return Model;
+}
+
+module.exports = {
+    defineForm1099,
+    moneyBox
+};
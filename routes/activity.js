@@ -0,0 +1,38 @@
+const express = require('express');
+const { query } = require('express-validator');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { eventFilter } = require('../services/audit');
+
+const router = express.Router();
+
+const activityFilters = [
+    query('action').optional().isIn(AuditEvent.rawAttributes.action.values).withMessage('Invalid action'),
+    query('entityType').optional().isString(),
+    query('from').optional().isISO8601().withMessage('from must be a date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be a date').toDate(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+// GET /api/dashboard/activity?action=&entityType=&from=&to=&limit=&offset= - Who viewed or changed the user's data
+router.get('/', auth, activityFilters, validate, async (req, res) => {
+    try {
+        const { rows, count } = await AuditEvent.findAndCountAll({
+            where: { ...eventFilter(req.query), subjectUserId: req.user.id },
+            include: [{ model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName', 'role'] }],
+            order: [['createdAt', 'DESC']],
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({ events: rows, total: count });
+    } catch (error) {
+        console.error('Get activity error:', error);
+        res.status(500).json({ message: 'Failed to fetch activity' });
+    }
+});
+
+module.exports = router;
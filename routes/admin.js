@@ -0,0 +1,305 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const ClientAssignment = require('../models/ClientAssignment');
+const AuditEvent = require('../models/AuditEvent');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { requireRole } = require('../middleware/permissions');
+const { revokeAllSessions } = require('../services/sessions');
+const { eventFilter } = require('../services/audit');
+
+const router = express.Router();
+
+router.use(auth, requireRole('admin'));
+
+const USER_ATTRIBUTES = [
+    'id', 'email', 'firstName', 'lastName', 'role', 'emailVerified', 'totpEnabled',
+    'failedLoginCount', 'lockedUntil', 'createdAt', 'updatedAt'
+];
+
+const ROLES = ['client', 'preparer', 'admin'];
+
+const userParam = param('id').isUUID().withMessage('Invalid user id');
+
+// GET /api/admin/users?role=&search=&limit=&offset= - List users
+router.get('/users', [
+    query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+    query('search').optional().trim(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.role) {
+            where.role = req.query.role;
+        }
+        if (req.query.search) {
+            const pattern = `%${req.query.search}%`;
+            where[Op.or] = [
+                { email: { [Op.iLike]: pattern } },
+                { firstName: { [Op.iLike]: pattern } },
+                { lastName: { [Op.iLike]: pattern } }
+            ];
+        }
+
+        const { rows, count } = await User.findAndCountAll({
+            where,
+            attributes: USER_ATTRIBUTES,
+            order: [['createdAt', 'DESC']],
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        });
+
+        res.json({ users: rows, total: count });
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ message: 'Failed to fetch users' });
+    }
+});
+
+// GET /api/admin/users/:id - One user with their client assignments
+router.get('/users/:id', [userParam], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: USER_ATTRIBUTES });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const assignments = await ClientAssignment.findAll({
+            where: {
+                revokedAt: null,
+                [Op.or]: [{ preparerId: user.id }, { clientId: user.id }]
+            },
+            order: [['createdAt', 'DESC']]
+        });
+
+        res.json({ user, assignments });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({ message: 'Failed to fetch user' });
+    }
+});
+
+// PUT /api/admin/users/:id - Change a user's role or name, mark the email verified or unlock the account
+router.put('/users/:id', [
+    userParam,
+    body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+    body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+    body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+    body('emailVerified').optional().isBoolean().toBoolean(),
+    body('unlock').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Stops the last admin from locking everyone out of user management
+        if (req.body.role && req.body.role !== 'admin' && user.id === req.user.id) {
+            return res.status(400).json({ message: 'You cannot remove your own admin role' });
+        }
+
+        const updates = {};
+        for (const field of ['role', 'firstName', 'lastName']) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+        if (req.body.emailVerified !== undefined) {
+            updates.emailVerified = req.body.emailVerified;
+            updates.emailVerifiedAt = req.body.emailVerified ? new Date() : null;
+        }
+        if (req.body.unlock) {
+            updates.failedLoginCount = 0;
+            updates.lockedUntil = null;
+        }
+
+        const previousRole = user.role;
+        await user.update(updates);
+
+        // A preparer who is no longer one keeps no client access
+        if (previousRole === 'preparer' && user.role !== 'preparer') {
+            await ClientAssignment.update(
+                { revokedAt: new Date() },
+                { where: { preparerId: user.id, revokedAt: null } }
+            );
+        }
+
+        res.json({
+            message: 'User updated successfully',
+            user: await User.findByPk(user.id, { attributes: USER_ATTRIBUTES })
+        });
+    } catch (error) {
+        console.error('Admin update user error:', error);
+        res.status(500).json({ message: 'Failed to update user' });
+    }
+});
+
+// POST /api/admin/users/:id/revoke-sessions - Sign a user out everywhere
+router.post('/users/:id/revoke-sessions', [userParam], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const count = await revokeAllSessions(user.id, 'revoked');
+        res.json({
+            message: 'Sessions revoked',
+            sessionsEnded: count
+        });
+    } catch (error) {
+        console.error('Admin revoke sessions error:', error);
+        res.status(500).json({ message: 'Failed to revoke sessions' });
+    }
+});
+
+// DELETE /api/admin/users/:id - Delete a user and everything they own
+router.delete('/users/:id', [userParam], validate, async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ message: 'You cannot delete your own account here' });
+        }
+
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await user.destroy();
+        res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('Admin delete user error:', error);
+        res.status(500).json({ message: 'Failed to delete user' });
+    }
+});
+
+// GET /api/admin/assignments?preparerId=&clientId=&includeRevoked= - Preparer/client assignments
+router.get('/assignments', [
+    query('preparerId').optional().isUUID().withMessage('Invalid preparer id'),
+    query('clientId').optional().isUUID().withMessage('Invalid client id'),
+    query('includeRevoked').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.preparerId) {
+            where.preparerId = req.query.preparerId;
+        }
+        if (req.query.clientId) {
+            where.clientId = req.query.clientId;
+        }
+        if (!req.query.includeRevoked) {
+            where.revokedAt = null;
+        }
+
+        const assignments = await ClientAssignment.findAll({
+            where,
+            include: [
+                { model: User, as: 'preparer', attributes: ['id', 'email', 'firstName', 'lastName'] },
+                { model: User, as: 'client', attributes: ['id', 'email', 'firstName', 'lastName'] }
+            ],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json(assignments);
+    } catch (error) {
+        console.error('Admin list assignments error:', error);
+        res.status(500).json({ message: 'Failed to fetch assignments' });
+    }
+});
+
+// POST /api/admin/assignments - Give a preparer access to a client
+router.post('/assignments', [
+    body('preparerId').isUUID().withMessage('Invalid preparer id'),
+    body('clientId').isUUID().withMessage('Invalid client id'),
+    body('notes').optional().trim()
+], validate, async (req, res) => {
+    try {
+        const { preparerId, clientId } = req.body;
+
+        const [preparer, client] = await Promise.all([
+            User.findByPk(preparerId, { attributes: ['id', 'role'] }),
+            User.findByPk(clientId, { attributes: ['id', 'role'] })
+        ]);
+        if (!preparer || preparer.role !== 'preparer') {
+            return res.status(400).json({ message: 'Assignments must be made to a user with the preparer role' });
+        }
+        if (!client) {
+            return res.status(404).json({ message: 'Client not found' });
+        }
+        if (preparerId === clientId) {
+            return res.status(400).json({ message: 'A preparer cannot be assigned to themselves' });
+        }
+
+        const existing = await ClientAssignment.findOne({
+            where: { preparerId, clientId, revokedAt: null }
+        });
+        if (existing) {
+            return res.status(409).json({ message: 'This preparer is already assigned to the client', assignment: existing });
+        }
+
+        const assignment = await ClientAssignment.create({
+            preparerId,
+            clientId,
+            assignedById: req.user.id,
+            notes: req.body.notes || null
+        });
+
+        res.status(201).json(assignment);
+    } catch (error) {
+        console.error('Admin create assignment error:', error);
+        res.status(500).json({ message: 'Failed to create assignment' });
+    }
+});
+
+// DELETE /api/admin/assignments/:id - Revoke a preparer's access to a client
+router.delete('/assignments/:id', [
+    param('id').isUUID().withMessage('Invalid assignment id')
+], validate, async (req, res) => {
+    try {
+        const assignment = await ClientAssignment.findByPk(req.params.id);
+        if (!assignment || assignment.revokedAt) {
+            return res.status(404).json({ message: 'Assignment not found' });
+        }
+
+        await assignment.update({ revokedAt: new Date() });
+        res.json({ message: 'Assignment revoked successfully' });
+    } catch (error) {
+        console.error('Admin revoke assignment error:', error);
+        res.status(500).json({ message: 'Failed to revoke assignment' });
+    }
+});
+
+// GET /api/admin/audit-events - Search the audit log
+// Filters: actorId, subjectUserId, entityType, entityId, action, ipAddress, from, to, limit, offset
+router.get('/audit-events', [
+    query('actorId').optional().isUUID().withMessage('Invalid actor id'),
+    query('subjectUserId').optional().isUUID().withMessage('Invalid user id'),
+    query('entityId').optional().isUUID().withMessage('Invalid entity id'),
+    query('entityType').optional().isString(),
+    query('action').optional().isIn(AuditEvent.rawAttributes.action.values).withMessage('Invalid action'),
+    query('ipAddress').optional().isIP().withMessage('Invalid IP address'),
+    query('from').optional().isISO8601().withMessage('from must be a date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be a date').toDate(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, async (req, res) => {
+    try {
+        const { rows, count } = await AuditEvent.findAndCountAll({
+            where: eventFilter(req.query, ['actorId', 'subjectUserId', 'entityType', 'entityId', 'action', 'ipAddress']),
+            include: [{ model: User, as: 'actor', attributes: ['id', 'email', 'firstName', 'lastName', 'role'] }],
+            order: [['createdAt', 'DESC']],
+            limit: req.query.limit || 100,
+            offset: req.query.offset || 0
+        });
+
+        res.json({ events: rows, total: count });
+    } catch (error) {
+        console.error('Admin audit query error:', error);
+        res.status(500).json({ message: 'Failed to fetch audit events' });
+    }
+});
+
+module.exports = router;
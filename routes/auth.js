@@ -1,14 +1,69 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isActive
+} = require('../services/sessions');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail, verificationEmail } = require('../services/mail/templates');
+const { verifySecondFactor, signChallengeToken, verifyChallengeToken, remainingBackupCodes } = require('../services/twoFactor');
+const { lockedFor, registerFailedLogin, registerSuccessfulLogin, lockedResponse } = require('../services/accountLockout');
+const { recordEvent } = require('../services/audit');
 
 const router = express.Router();
 
+// Email failures are logged rather than failing the request; the user can ask
+// for another email
+async function sendVerificationEmail(user) {
+    try {
+        const { token } = await issueToken(user, 'email_verification');
+        await sendMail(verificationEmail(user, token));
+    } catch (error) {
+        console.error('Verification email error:', error);
+    }
+}
+
+// Issue tokens for a fully authenticated user
+async function completeLogin(user, req, res, { twoFactorVerified = false } = {}) {
+    await registerSuccessfulLogin(user);
+
+    // Update last login
+    await user.update({ lastLogin: new Date() });
+
+    // Short-lived access token plus a rotating refresh token for this device
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(user, req, { twoFactorVerified });
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
+        user: {
+            id: user.id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            twoFactorEnabled: user.totpEnabled
+        }
+    });
+}
+
 // User Registration
-router.post('/signup', [
+router.post('/signup', rateLimit.auth, [
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
     body('firstName').optional().trim(),
@@ -48,14 +103,18 @@ router.post('/signup', [
             lastName: lastName || ''
         });
 
+        await sendVerificationEmail(newUser);
+
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
+            message: 'User registered successfully. Please check your email to verify your address.',
             user: {
                 id: newUser.id,
                 email: newUser.email,
                 firstName: newUser.firstName,
-                lastName: newUser.lastName
+                lastName: newUser.lastName,
+                role: newUser.role,
+                emailVerified: newUser.emailVerified
             }
         });
 
@@ -69,7 +128,7 @@ router.post('/signup', [
 });
 
 // User Login
-router.post('/login', [
+router.post('/login', rateLimit.auth, [
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -95,46 +154,328 @@ router.post('/login', [
             });
         }
 
+        // A locked account is refused before the password is even checked
+        const retryAfter = lockedFor(user);
+        if (retryAfter > 0) {
+            return lockedResponse(res, retryAfter);
+        }
+
         // Check password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            const lockedSeconds = await registerFailedLogin(user);
+            if (lockedSeconds > 0) {
+                return lockedResponse(res, lockedSeconds);
+            }
             return res.status(400).json({
                 success: false,
                 message: 'Invalid email or password'
             });
         }
 
-        // Update last login
-        await user.update({ lastLogin: new Date() });
+        // With two-factor authentication the password only earns a challenge
+        // token, which POST /api/auth/login/2fa exchanges for real tokens
+        if (user.totpEnabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app',
+                challengeToken: signChallengeToken(user)
+            });
+        }
+
+        await completeLogin(user, req, res);
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+// POST /api/auth/login/2fa - Second login step: challenge token plus a TOTP or backup code
+router.post('/login/2fa', rateLimit.auth, [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString(),
+    body('backupCode').optional().isString(),
+    body().custom((value) => Boolean(value.code || value.backupCode)).withMessage('An authentication code or backup code is required')
+], validate, async (req, res) => {
+    try {
+        const userId = verifyChallengeToken(req.body.challengeToken);
+        const user = userId ? await User.findByPk(userId) : null;
+        if (!user || !user.totpEnabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your sign-in attempt has expired. Please log in again.'
+            });
+        }
+
+        const retryAfter = lockedFor(user);
+        if (retryAfter > 0) {
+            return lockedResponse(res, retryAfter);
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) {
+            const lockedSeconds = await registerFailedLogin(user);
+            if (lockedSeconds > 0) {
+                return lockedResponse(res, lockedSeconds);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        // Shows up in the user's activity so an unexpected backup code sign-in is noticed
+        if (method === 'backup') {
+            await recordEvent({
+                action: 'update',
+                entityType: 'User',
+                entityId: user.id,
+                subjectUserId: user.id,
+                metadata: { backupCodeUsed: true, backupCodesRemaining: remainingBackupCodes(user) }
+            });
+        }
+
+        await completeLogin(user, req, res, { twoFactorVerified: true });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
 
-        // Generate JWT token with proper structure
-        const token = jwt.sign(
-            { user: { id: user.id, email: user.email } },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh token pair
+// The old refresh token stops working; reusing it ends the session.
+router.post('/refresh', rateLimit.refresh, [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], validate, async (req, res) => {
+    try {
+        const result = await rotateRefreshToken(req.body.refreshToken, (userId) => User.findByPk(userId));
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended, please sign in again'
+            });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn,
+            refreshTokenExpiresAt: result.refreshTokenExpiresAt
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh'
+        });
+    }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', auth, async (req, res) => {
+    try {
+        const session = await Session.findByPk(req.sessionId);
+        if (session) {
+            await revokeSession(session, 'logout');
+        }
+
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Server error during logout' });
+    }
+});
+
+// POST /api/auth/logout-all - End every session for the user, including this one
+// Pass { keepCurrent: true } to sign out all other devices only.
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const count = await revokeAllSessions(
+            req.user.id,
+            'logout_all',
+            req.body.keepCurrent === true ? req.sessionId : null
         );
 
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName
-            }
+            message: 'Logged out of all sessions',
+            sessionsEnded: count
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ success: false, message: 'Server error during logout' });
+    }
+});
+
+// GET /api/auth/sessions - List the user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.findAll({
+            where: { userId: req.user.id, revokedAt: null },
+            order: [['lastUsedAt', 'DESC']]
         });
 
+        res.json({
+            success: true,
+            sessions: sessions.filter(isActive).map((session) => ({
+                ...session.toJSON(),
+                current: session.id === req.sessionId
+            }))
+        });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('List sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out one device
+router.delete('/sessions/:id', auth, [
+    param('id').isUUID().withMessage('Invalid session id')
+], validate, async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        await revokeSession(session, 'revoked');
+        res.json({ success: true, message: 'Session ended' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+// Always answers the same way so the endpoint cannot be used to find accounts.
+router.post('/forgot-password', rateLimit.auth, [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findOne({ where: { email: req.body.email } });
+        if (user) {
+            const { token, expiresInMinutes } = await issueToken(user, 'password_reset');
+            await sendMail(passwordResetEmail(user, token, expiresInMinutes));
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent.'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during login'
+            message: 'Server error while requesting password reset'
         });
     }
 });
 
+// POST /api/auth/reset-password - Set a new password with a reset token
+// Every session is ended, so a stolen session cannot outlive the reset.
+router.post('/reset-password', rateLimit.auth, [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], validate, async (req, res) => {
+    try {
+        const userId = await consumeToken(req.body.token, 'password_reset');
+        const user = userId ? await User.findByPk(userId) : null;
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired. Please request a new one.'
+            });
+        }
+
+        const saltRounds = 12;
+        await user.update({
+            password: await bcrypt.hash(req.body.password, saltRounds),
+            passwordChangedAt: new Date(),
+            failedLoginCount: 0,
+            lockedUntil: null,
+            // Receiving the reset email proves the address belongs to the user
+            emailVerified: true,
+            emailVerifiedAt: user.emailVerifiedAt || new Date()
+        });
+        await revokeAllSessions(user.id, 'password_change');
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please sign in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting password'
+        });
+    }
+});
+
+// POST /api/auth/verify-email - Confirm the email address with a verification token
+router.post('/verify-email', rateLimit.auth, [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+], validate, async (req, res) => {
+    try {
+        const userId = await consumeToken(req.body.token, 'email_verification');
+        const user = userId ? await User.findByPk(userId) : null;
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This verification link is invalid or has expired. Please request a new one.'
+            });
+        }
+
+        await user.update({
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            message: 'Email address verified'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying email'
+        });
+    }
+});
+
+// POST /api/auth/resend-verification - Send the verification email again
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({ success: false, message: 'Email address is already verified' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
 // Get user profile (protected route)
 router.get('/profile', auth, async (req, res) => {
     try {
@@ -154,6 +495,8 @@ router.get('/profile', auth, async (req, res) => {
             user: {
                 id: user.id,
                 email: user.email,
+                role: user.role,
+                emailVerified: user.emailVerified,
                 firstName: user.firstName,
                 lastName: user.lastName,
                 filingStatus: user.filingStatus,
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Business = require('../models/Business');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { findOrPreviewTaxReturn, resolveTaxYear, isFiledYear, loadDocuments } = require('../services/taxReturns');
+const { isMaskedValue } = require('../services/fieldEncryption');
+
+const router = express.Router();
+
+// Schedule C is for sole proprietors and single-member LLCs; corporations and
+// partnerships file their own returns
+const SCHEDULE_C_CLASSIFICATIONS = ['individual', 'sole_proprietor', 'llc'];
+
+const EDITABLE_FIELDS = [
+    'taxYear',
+    'owner',
+    'name',
+    'ein',
+    'principalBusinessCode',
+    'description',
+    'accountingMethod',
+    'grossReceipts',
+    'returnsAndAllowances',
+    'costOfGoodsSold',
+    'otherIncome',
+    'expenses',
+    'vehicleMethod',
+    'businessMiles',
+    'businessMilesFromJuly',
+    'totalMiles',
+    'vehicleExpenses',
+    'parkingAndTolls',
+    'homeOfficeMethod',
+    'homeOfficeSquareFeet',
+    'homeSquareFeet',
+    'homeExpenses',
+    'homeOfficeCarryover',
+    'isSpecifiedService',
+    'qualifiedPropertyBasis',
+    'notes'
+];
+
+const MONEY_FIELDS = [
+    'grossReceipts',
+    'returnsAndAllowances',
+    'costOfGoodsSold',
+    'otherIncome',
+    'vehicleExpenses',
+    'parkingAndTolls',
+    'homeExpenses',
+    'homeOfficeCarryover',
+    'qualifiedPropertyBasis'
+];
+
+const COUNT_FIELDS = ['businessMiles', 'businessMilesFromJuly', 'totalMiles', 'homeOfficeSquareFeet', 'homeSquareFeet'];
+
+// { category: amount } with every category from Schedule C, Part II
+function isExpenseMap(expenses) {
+    if (!expenses || typeof expenses !== 'object' || Array.isArray(expenses)) {
+        throw new Error('Expenses must be an object of amounts by category');
+    }
+    for (const [category, amount] of Object.entries(expenses)) {
+        if (!Business.EXPENSE_CATEGORIES.includes(category)) {
+            throw new Error(`Unknown expense category: ${category}`);
+        }
+        const value = parseFloat(amount);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Expense ${category} must be a non-negative amount`);
+        }
+    }
+    return true;
+}
+
+const businessValidators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    // Masked EINs echoed back from a previous response are ignored by the model
+    body('ein').optional({ nullable: true, checkFalsy: true }).if((value) => !isMaskedValue(value))
+        .matches(/^\d{2}-?\d{7}$/).withMessage('EIN must be in the format XX-XXXXXXX'),
+    body('principalBusinessCode').optional({ nullable: true, checkFalsy: true }).matches(/^\d{6}$/)
+        .withMessage('Principal business code must be the six-digit code from the Schedule C instructions'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters'),
+    body('accountingMethod').optional().isIn(['cash', 'accrual']).withMessage('Accounting method must be cash or accrual'),
+    body('expenses').optional().custom(isExpenseMap),
+    body('vehicleMethod').optional().isIn(['none', 'standard_mileage', 'actual'])
+        .withMessage('Vehicle method must be none, standard_mileage or actual'),
+    body('homeOfficeMethod').optional().isIn(['none', 'simplified', 'regular'])
+        .withMessage('Home office method must be none, simplified or regular'),
+    body('isSpecifiedService').optional().isBoolean().withMessage('isSpecifiedService must be true or false').toBoolean(),
+    ...MONEY_FIELDS.map((field) =>
+        body(field).optional().isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`)
+    ),
+    ...COUNT_FIELDS.map((field) =>
+        body(field).optional().isInt({ min: 0 }).withMessage(`${field} must be a whole number`).toInt()
+    )
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+async function findOwnBusiness(req) {
+    return Business.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// GET /api/dashboard/businesses?year= - List the user's Schedule C businesses
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('Business'), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const businesses = await Business.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['createdAt', 'ASC']]
+        });
+        res.json(businesses);
+    } catch (error) {
+        console.error('Get businesses error:', error);
+        res.status(500).json({ message: 'Failed to fetch businesses' });
+    }
+});
+
+// GET /api/dashboard/businesses/schedule-c?year= - Schedule C for each business,
+// Schedule SE and the QBI deduction
+router.get('/schedule-c', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(req.user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating self-employment tax.'
+            });
+        }
+
+        const documents = await loadDocuments(taxReturn);
+        const summary = computeTaxReturn({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            dependents: taxReturn.dependentsSnapshot || [],
+            ...documents
+        });
+
+        res.json({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            businessIncome: summary.income.businessIncome,
+            ...summary.business,
+            selfEmploymentTaxDeduction: summary.adjustments.selfEmploymentTaxDeduction,
+            qualifiedBusinessIncomeDeduction: summary.deductions.qualifiedBusinessIncome
+        });
+    } catch (error) {
+        console.error('Schedule C error:', error);
+        res.status(500).json({ message: 'Failed to calculate business income' });
+    }
+});
+
+// POST /api/dashboard/businesses - Add a business. Name and EIN default to
+// the ones on the user's profile.
+router.post('/', auth, [
+    body('name').optional().trim().notEmpty().withMessage('Business name cannot be empty'),
+    ...businessValidators
+], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (user.taxClassification && !SCHEDULE_C_CLASSIFICATIONS.includes(user.taxClassification)) {
+            return res.status(400).json({
+                message: 'Schedule C is only for sole proprietors and single-member LLCs'
+            });
+        }
+
+        const fields = pickEditable(req.body);
+        const name = fields.name || user.businessName;
+        if (!name) {
+            return res.status(400).json({ message: 'Business name is required' });
+        }
+
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: 'Businesses cannot be added to a filed return' });
+        }
+
+        const business = await Business.create({
+            ein: user.ein,
+            ...fields,
+            name,
+            taxYear,
+            userId: req.user.id
+        });
+
+        res.status(201).json(business);
+    } catch (error) {
+        console.error('Create business error:', error);
+        res.status(500).json({ message: 'Failed to add business' });
+    }
+});
+
+// GET /api/dashboard/businesses/:id - Get a single business
+router.get('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid business id')
+], validate, auditView('Business', { idParam: 'id' }), async (req, res) => {
+    try {
+        const business = await findOwnBusiness(req);
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        res.json(business);
+    } catch (error) {
+        console.error('Get business error:', error);
+        res.status(500).json({ message: 'Failed to fetch business' });
+    }
+});
+
+// PUT /api/dashboard/businesses/:id - Update a business
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid business id'),
+    body('name').optional().trim().notEmpty().withMessage('Business name cannot be empty'),
+    ...businessValidators
+], validate, async (req, res) => {
+    try {
+        const business = await findOwnBusiness(req);
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        const years = [business.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: 'Businesses on a filed return cannot be changed' });
+            }
+        }
+
+        await business.update(pickEditable(req.body));
+
+        res.json({
+            message: 'Business updated successfully',
+            business
+        });
+    } catch (error) {
+        console.error('Update business error:', error);
+        res.status(500).json({ message: 'Failed to update business' });
+    }
+});
+
+// DELETE /api/dashboard/businesses/:id - Remove a business. Its 1099-NECs are
+// kept and go on the owner's remaining business.
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid business id')
+], validate, async (req, res) => {
+    try {
+        const business = await findOwnBusiness(req);
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        if (await isFiledYear(req.user.id, business.taxYear)) {
+            return res.status(409).json({ message: 'Businesses on a filed return cannot be removed' });
+        }
+
+        await business.destroy();
+        res.json({ message: 'Business removed successfully' });
+    } catch (error) {
+        console.error('Delete business error:', error);
+        res.status(500).json({ message: 'Failed to remove business' });
+    }
+});
+
+module.exports = router;
@@ -1,55 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const pdfParse = require('pdf-parse');
 const PDFDocument = require('pdfkit');
+const { body } = require('express-validator');
 const User = require('../models/User');
 const Dependent = require('../models/Dependent');
+const W2Form = require('../models/W2Form');
+const Form1098E = require('../models/Form1098E');
 const auth = require('../middleware/auth');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadDir = path.join(__dirname, '../uploads/w2');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'w2-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-            'application/pdf',
-            'image/jpeg',
-            'image/png',
-            'image/jpg',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-        ];
-        console.log('Uploaded file mimetype:', file.mimetype); // For debugging
-        if (allowedTypes.includes(file.mimetype)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only PDF, JPG, PNG, DOC, DOCX files are allowed'), false);
-        }
-    }
-});
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const { auditContext, auditView } = require('../middleware/audit');
+const upload = require('../middleware/upload');
+const { W2_UPLOAD_DIR } = upload;
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { findOrOpenTaxReturn, findOrPreviewTaxReturn, resolveTaxYear, isFiledYear, loadDocuments } = require('../services/taxReturns');
+const { readDocument } = require('../services/documentText');
+const { extractW2, toW2FormFields, redactExtractedData } = require('../services/w2Extraction');
+const { validateW2Form } = require('../services/w2Validation');
+const { renderForm1098E } = require('../services/form1098EPdf');
 
 // GET /api/dashboard/me - Get user profile
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, auditView('User'), async (req, res) => {
     try {
         const user = await User.findByPk(req.user.id, {
             attributes: { exclude: ['password'] }
@@ -67,6 +42,8 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // PUT /api/dashboard/me - Update user profile
+// Income, deductions and filing status are year-specific and are saved on the
+// tax return for taxYear (default: the user's latest return).
 router.put('/me', auth, async (req, res) => {
     try {
         const {
@@ -87,7 +64,14 @@ router.put('/me', auth, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Update user fields
+        const updatesReturn = income !== undefined || deductions !== undefined || filingStatus !== undefined;
+        const taxYear = updatesReturn ? await resolveTaxYear(user.id, req.body.taxYear) : null;
+        if (updatesReturn && await isFiledYear(user.id, taxYear)) {
+            return res.status(409).json({ message: 'A filed tax return cannot be changed' });
+        }
+
+        // Update user fields; filingStatus also stays on the user as the
+        // default for years that have not been opened yet
         await user.update({
             firstName,
             lastName,
@@ -97,11 +81,15 @@ router.put('/me', auth, async (req, res) => {
             ssn,
             ein,
             address,
-            income,
-            deductions,
             lastLogin: new Date()
         });
 
+        let taxReturn = null;
+        if (updatesReturn) {
+            taxReturn = await findOrOpenTaxReturn(user.id, taxYear);
+            await taxReturn.update({ income, deductions, filingStatus });
+        }
+
         // Return updated user without password
         const updatedUser = await User.findByPk(req.user.id, {
             attributes: { exclude: ['password'] }
@@ -109,7 +97,8 @@ router.put('/me', auth, async (req, res) => {
 
         res.json({
             message: 'Profile updated successfully',
-            user: updatedUser
+            user: updatedUser,
+            taxReturn
         });
     } catch (error) {
         console.error('Update profile error:', error);
@@ -117,65 +106,13 @@ router.put('/me', auth, async (req, res) => {
     }
 });
 
-// GET /api/dashboard/dependents - Get user's dependents
-router.get('/dependents', auth, async (req, res) => {
-    try {
-        const dependents = await Dependent.findAll({
-            where: { userId: req.user.id },
-            order: [['createdAt', 'DESC']]
-        });
-        res.json(dependents);
-    } catch (error) {
-        console.error('Get dependents error:', error);
-        res.status(500).json({ message: 'Failed to fetch dependents' });
-    }
-});
-
-// POST /api/dashboard/dependents - Add a new dependent
-router.post('/dependents', auth, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { name, relationship, ssn, birthDate } = req.body;
-
-        const dependent = await Dependent.create({
-            userId,
-            name,
-            relationship,
-            ssn,
-            birthDate
-        });
-
-        res.status(201).json(dependent);
-    } catch (error) {
-        console.error('Add dependent error:', error);
-        res.status(500).json({ message: 'Failed to add dependent' });
-    }
-});
-
-// DELETE /api/dashboard/dependents/:id - Delete a dependent
-router.delete('/dependents/:id', auth, async (req, res) => {
-    try {
-        const dependent = await Dependent.findOne({
-            where: {
-                id: req.params.id,
-                userId: req.user.id
-            }
-        });
-
-        if (!dependent) {
-            return res.status(404).json({ message: 'Dependent not found' });
-        }
-
-        await dependent.destroy();
-        res.json({ message: 'Dependent deleted successfully' });
-    } catch (error) {
-        console.error('Delete dependent error:', error);
-        res.status(500).json({ message: 'Failed to delete dependent' });
-    }
-});
-
 // POST /api/dashboard/upload-w2 - Upload W-2 form
-router.post('/upload-w2', auth, upload.single('w2File'), async (req, res) => {
+// Each upload creates its own W2Form row (one per employer); pass w2FormId to
+// attach a file to an existing record instead. owner=spouse files it as the spouse's W-2.
+router.post('/upload-w2', auth, rateLimit.upload, upload.single('w2File'), [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('w2FormId').optional().isUUID().withMessage('Invalid W-2 id')
+], validate, auditContext, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ message: 'No file uploaded' });
@@ -186,15 +123,50 @@ router.post('/upload-w2', auth, upload.single('w2File'), async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Update user with W-2 upload info
+        const fileFields = {
+            fileName: req.file.filename,
+            filePath: req.file.path,
+            mimeType: req.file.mimetype,
+            isProcessed: false
+        };
+
+        let w2Form;
+        if (req.body.w2FormId) {
+            w2Form = await W2Form.findOne({
+                where: { id: req.body.w2FormId, userId: user.id }
+            });
+            if (!w2Form) {
+                fs.unlinkSync(req.file.path);
+                return res.status(404).json({ message: 'W-2 form not found' });
+            }
+        }
+
+        const taxYear = w2Form ? w2Form.taxYear : await resolveTaxYear(user.id, req.body.taxYear);
+        if (await isFiledYear(user.id, taxYear)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(409).json({ message: 'W-2s cannot be uploaded to a filed return' });
+        }
+
+        if (w2Form) {
+            await w2Form.update(fileFields);
+        } else {
+            w2Form = await W2Form.create({
+                ...fileFields,
+                userId: user.id,
+                taxYear,
+                owner: req.body.owner === 'spouse' ? 'spouse' : 'taxpayer'
+            });
+        }
+
         await user.update({
             w2Uploaded: true,
-            w2UploadDate: new Date(),
-            w2FileName: req.file.filename
+            w2UploadDate: new Date()
         });
 
         res.json({
             message: 'W-2 uploaded successfully',
+            w2FormId: w2Form.id,
+            taxYear: w2Form.taxYear,
             fileName: req.file.filename,
             uploadDate: new Date()
         });
@@ -204,19 +176,56 @@ router.post('/upload-w2', auth, upload.single('w2File'), async (req, res) => {
     }
 });
 
-// POST /api/dashboard/extract-w2 - Extract data from uploaded W-2 PDF
+// Find the W-2 to extract: the requested one, else the most recent upload.
+// Users who uploaded before W2Form rows existed only have user.w2FileName, so
+// migrate that file into a row the first time it is extracted.
+async function findW2FormForExtraction(user, w2FormId) {
+    if (w2FormId) {
+        return W2Form.findOne({ where: { id: w2FormId, userId: user.id } });
+    }
+
+    const latest = await W2Form.findOne({
+        where: { userId: user.id },
+        order: [['createdAt', 'DESC']]
+    });
+    if (latest && latest.fileName) {
+        return latest;
+    }
+
+    if (user.w2FileName) {
+        return W2Form.create({
+            userId: user.id,
+            fileName: user.w2FileName,
+            filePath: path.join(W2_UPLOAD_DIR, user.w2FileName)
+        });
+    }
+
+    return null;
+}
+
+// POST /api/dashboard/extract-w2 - Extract data from an uploaded W-2
+// PDFs are read with text positions, photos go through OCR and Word documents
+// are read as plain text; all of them then run through the same strategies.
 router.post('/extract-w2', auth, async (req, res) => {
     try {
-        // Find the user and check if they have uploaded a W-2
         const user = await User.findByPk(req.user.id);
-        if (!user || !user.w2FileName) {
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const w2Form = await findW2FormForExtraction(user, req.body.w2FormId);
+        if (!w2Form || !w2Form.fileName) {
             return res.status(400).json({ 
                 message: 'No W-2 file uploaded. Please upload a W-2 form first.' 
             });
         }
 
+        if (await isFiledYear(user.id, w2Form.taxYear)) {
+            return res.status(409).json({ message: 'W-2s on a filed return cannot be changed' });
+        }
+
         // Construct the path to the uploaded W-2 file
-        const w2Path = path.join(__dirname, '../uploads/w2', user.w2FileName);
+        const w2Path = w2Form.filePath || path.join(W2_UPLOAD_DIR, w2Form.fileName);
 
         // Check if file exists
         if (!fs.existsSync(w2Path)) {
@@ -225,97 +234,46 @@ router.post('/extract-w2', auth, async (req, res) => {
             });
         }
 
-        // Read and parse the PDF
-        const dataBuffer = fs.readFileSync(w2Path);
-        const pdfData = await pdfParse(dataBuffer);
-        const text = pdfData.text;
-
-        console.log('PDF Text Content:', text); // For debugging - remove in production
-
-        // Extract W-2 data using regex patterns
-        // Note: These patterns may need adjustment based on your specific W-2 format
-
-        // Employee information
-        const employeeName = extractField(text, [
-            /Employee's name[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i,
-            /Employee[:\s]*([A-Za-z\s,.-]+?)(?:\n|Employer)/i,
-            /^([A-Za-z\s,.-]+?)(?:\n.*?SSN|Social Security)/im
-        ]);
-
-        // Employer information
-        const employerName = extractField(text, [
-            /Employer's name[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i,
-            /Employer[:\s]*([A-Za-z\s,.-]+?)(?:\n|EIN)/i,
-            /Company[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i
-        ]);
-
-        // Box 1: Wages, tips, other compensation
-        const box1_wages = extractMoneyField(text, [
-            /1\s*Wages,?\s*tips,?\s*other\s*compensation[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*1[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Wages[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
-
-        // Box 2: Federal income tax withheld
-        const box2_federalTax = extractMoneyField(text, [
-            /2\s*Federal\s*income\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*2[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Federal\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
-
-        // Box 3: Social security wages
-        const box3_socialSecurityWages = extractMoneyField(text, [
-            /3\s*Social\s*security\s*wages[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*3[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Social\s*security\s*wages[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
-
-        // Box 4: Social security tax withheld
-        const box4_socialSecurityTax = extractMoneyField(text, [
-            /4\s*Social\s*security\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*4[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Social\s*security\s*tax[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
-
-        // Box 5: Medicare wages and tips
-        const box5_medicareWages = extractMoneyField(text, [
-            /5\s*Medicare\s*wages\s*and\s*tips[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*5[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Medicare\s*wages[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
-
-        // Box 6: Medicare tax withheld
-        const box6_medicareTax = extractMoneyField(text, [
-            /6\s*Medicare\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Box\s*6[:\s]*\$?([\d,]+\.?\d*)/i,
-            /Medicare\s*tax[:\s]*\$?([\d,]+\.?\d*)/i
-        ]);
+        const document = await readDocument(w2Path, w2Form.mimeType);
+        if (!document.text || !document.text.trim()) {
+            return res.status(422).json({
+                success: false,
+                message: document.method === 'pdf'
+                    ? 'This PDF has no readable text (it may be a scan). Please upload a photo of the W-2 instead.'
+                    : 'No text could be read from this file. Please upload a clearer copy of your W-2.'
+            });
+        }
 
-        // Create the extracted data object
-        const extractedData = {
-            employeeName: employeeName || 'Not found',
-            employerName: employerName || 'Not found',
-            box1_wages: box1_wages || '0.00',
-            box2_federalTax: box2_federalTax || '0.00',
-            box3_socialSecurityWages: box3_socialSecurityWages || '0.00',
-            box4_socialSecurityTax: box4_socialSecurityTax || '0.00',
-            box5_medicareWages: box5_medicareWages || '0.00',
-            box6_medicareTax: box6_medicareTax || '0.00',
+        const extracted = extractW2(document);
+        const extractedData = redactExtractedData({
+            ...extracted,
             extractionDate: new Date().toISOString(),
-            fileName: user.w2FileName
-        };
+            fileName: w2Form.fileName
+        });
 
-        // Optionally, save the extracted data to the user record
-        await user.update({
-            income: {
-                ...user.income,
-                w2Data: extractedData
-            }
+        // Low-confidence or missing fields hold the W-2 back until the user
+        // confirms them through /api/dashboard/w2-forms/:id/review
+        const needsReview = extractedData.reviewRequired.length > 0;
+
+        await w2Form.update({
+            ...toW2FormFields(extracted),
+            extractedData,
+            isProcessed: !needsReview
         });
 
+        // Arithmetic checks run on the stored columns, so they see the same
+        // values the tax summary will use
+        const warnings = validateW2Form(w2Form);
+
         res.json({
             success: true,
-            message: 'W-2 data extracted successfully',
+            message: needsReview
+                ? 'W-2 data extracted. Some fields need your review before they can be used.'
+                : 'W-2 data extracted successfully',
+            w2FormId: w2Form.id,
+            needsReview,
+            reviewRequired: extractedData.reviewRequired,
+            warnings,
             data: extractedData
         });
 
@@ -323,31 +281,43 @@ router.post('/extract-w2', auth, async (req, res) => {
         console.error('W-2 extraction error:', error);
         res.status(500).json({ 
             success: false,
-            message: 'Failed to extract W-2 data. Please ensure the file is a valid PDF.',
+            message: 'Failed to extract W-2 data. Please ensure the file is a valid PDF, image or Word document.',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// GET /api/dashboard/w2-data - Get extracted W-2 data
-router.get('/w2-data', auth, async (req, res) => {
+// GET /api/dashboard/w2-data?year= - Get extracted W-2 data
+// `data` is the most recently extracted W-2; `w2Forms` lists every processed W-2.
+// Consistency warnings are computed on each request so they follow later edits.
+router.get('/w2-data', auth, auditView('W2Form'), async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+        const where = { userId: req.user.id, isProcessed: true };
+        if (req.query.year) {
+            where.taxYear = parseInt(req.query.year, 10);
         }
 
-        const w2Data = user.income?.w2Data || null;
+        const w2Forms = await W2Form.findAll({
+            where,
+            order: [['updatedAt', 'DESC']]
+        });
 
-        if (!w2Data) {
+        if (w2Forms.length === 0) {
             return res.status(404).json({ 
                 message: 'No W-2 data found. Please upload and extract W-2 data first.' 
             });
         }
 
+        const withWarnings = w2Forms.map((w2Form) => ({
+            ...w2Form.toJSON(),
+            warnings: validateW2Form(w2Form)
+        }));
+
         res.json({
             success: true,
-            data: w2Data
+            data: w2Forms[0].extractedData,
+            warnings: withWarnings[0].warnings,
+            w2Forms: withWarnings
         });
     } catch (error) {
         console.error('Get W-2 data error:', error);
@@ -355,76 +325,32 @@ router.get('/w2-data', auth, async (req, res) => {
     }
 });
 
-// POST /api/dashboard/generate-1098 - Generate 1098 form
-router.post('/generate-1098', auth, async (req, res) => {
-    try {
-        const user = await User.findByPk(req.user.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-
-        // Get W-2 data if available
-        const w2Data = user.income?.w2Data || {};
-
-        // Generate 1098 data based on user information and W-2 data
-        const form1098Data = {
-            taxYear: new Date().getFullYear() - 1,
-            payerName: 'Auto Tax Filing Service',
-            payerTIN: '12-3456789',
-            recipientName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'N/A',
-            recipientTIN: user.ssn || 'N/A',
-            recipientAddress: user.address || {},
-
-            // Box 1: Student loan interest received by lender
-            box1_studentLoanInterest: calculateStudentLoanInterest(w2Data),
-
-            // Box 2: If checked, box 1 does not include loan origination fees
-            box2_excludesOriginationFees: false,
-
-            // Additional information
-            generatedDate: new Date().toISOString(),
-            formType: '1098-E',
-            corrected: false
-        };
-
-        // Save the 1098 data to user record
-        await user.update({
-            deductions: {
-                ...user.deductions,
-                form1098Data: form1098Data
-            }
-        });
-
-        res.json({
-            success: true,
-            message: '1098 form generated successfully',
-            data: form1098Data
-        });
-    } catch (error) {
-        console.error('Generate 1098 error:', error);
-        res.status(500).json({ message: 'Failed to generate 1098 form' });
+// Most recent 1098-E for the user, or a specific one when ?id= is given
+async function findForm1098E(userId, id) {
+    if (id) {
+        return Form1098E.findOne({ where: { id, userId } });
     }
-});
+    return Form1098E.findOne({
+        where: { userId },
+        order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+    });
+}
 
-// GET /api/dashboard/1098-data - Get generated 1098 data
-router.get('/1098-data', auth, async (req, res) => {
+// GET /api/dashboard/1098-data - Get the user's 1098-E student loan interest data
+// Records are entered or uploaded through /api/dashboard/form1098es.
+router.get('/1098-data', auth, auditView('Form1098E'), async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
+        const form1098E = await findForm1098E(req.user.id, req.query.id);
 
-        const form1098Data = user.deductions?.form1098Data || null;
-
-        if (!form1098Data) {
+        if (!form1098E) {
             return res.status(404).json({ 
-                message: 'No 1098 data found. Please generate 1098 form first.' 
+                message: 'No 1098-E data found. Please enter or upload your 1098-E first.' 
             });
         }
 
         res.json({
             success: true,
-            data: form1098Data
+            data: form1098E
         });
     } catch (error) {
         console.error('Get 1098 data error:', error);
@@ -432,18 +358,13 @@ router.get('/1098-data', auth, async (req, res) => {
     }
 });
 
-// GET /api/dashboard/download-1098 - Download 1098 as PDF
-router.get('/download-1098', auth, async (req, res) => {
+// GET /api/dashboard/download-1098 - Download 1098-E as PDF
+router.get('/download-1098', auth, auditView('Form1098E'), async (req, res) => {
     try {
-        const user = await User.findByPk(req.user.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-
-        const form1098Data = user.deductions?.form1098Data;
-        if (!form1098Data) {
+        const form1098E = await findForm1098E(req.user.id, req.query.id);
+        if (!form1098E) {
             return res.status(404).json({ 
-                message: 'No 1098 data found. Please generate 1098 form first.' 
+                message: 'No 1098-E data found. Please enter or upload your 1098-E first.' 
             });
         }
 
@@ -452,24 +373,13 @@ router.get('/download-1098', auth, async (req, res) => {
 
         // Set response headers for PDF download
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="1098-E-${form1098Data.taxYear}.pdf"`);
+        res.setHeader('Content-Disposition', `attachment; filename="1098-E-${form1098E.taxYear}.pdf"`);
 
         // Pipe the PDF to the response
         doc.pipe(res);
 
         // Generate PDF content
-        doc.fontSize(16).text('Form 1098-E', 50, 50);
-        doc.fontSize(12).text(`Student Loan Interest Statement - ${form1098Data.taxYear}`, 50, 80);
-
-        doc.text(`Payer: ${form1098Data.payerName}`, 50, 120);
-        doc.text(`Payer TIN: ${form1098Data.payerTIN}`, 50, 140);
-
-        doc.text(`Recipient: ${form1098Data.recipientName}`, 50, 180);
-        doc.text(`Recipient TIN: ${form1098Data.recipientTIN}`, 50, 200);
-
-        doc.text(`Box 1 - Student loan interest: $${form1098Data.box1_studentLoanInterest}`, 50, 240);
-
-        doc.text(`Generated on: ${new Date(form1098Data.generatedDate).toLocaleDateString()}`, 50, 300);
+        renderForm1098E(doc, form1098E);
 
         // Finalize the PDF
         doc.end();
@@ -479,46 +389,51 @@ router.get('/download-1098', auth, async (req, res) => {
     }
 });
 
-// Helper function to extract text fields
-function extractField(text, patterns) {
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match && match[1]) {
-            return match[1].trim();
+// GET /api/dashboard/tax-summary?year= - Compute the federal return for a tax year
+// Read-only preview; POST /api/dashboard/tax-returns/:year/compute stores the results.
+router.get('/tax-summary', auth, auditView('TaxReturn'), async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${req.query.year || taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
         }
-    }
-    return null;
-}
 
-// Helper function to extract and format money fields
-function extractMoneyField(text, patterns) {
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match && match[1]) {
-            // Remove commas and ensure proper decimal format
-            const amount = match[1].replace(/,/g, '');
-            // If no decimal point, add .00
-            return amount.includes('.') ? amount : amount + '.00';
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
         }
-    }
-    return null;
-}
 
-// Helper function to calculate student loan interest (simplified calculation)
-function calculateStudentLoanInterest(w2Data) {
-    // This is a simplified calculation - in reality, this would be more complex
-    const wages = parseFloat(w2Data.box1_wages || '0');
-
-    // Simple calculation: if wages are above certain threshold, assume some student loan interest
-    if (wages > 30000) {
-        return '2500.00'; // Maximum deductible amount
-    } else if (wages > 20000) {
-        return '1500.00';
-    } else if (wages > 10000) {
-        return '800.00';
-    } else {
-        return '0.00';
+        const taxReturn = await findOrPreviewTaxReturn(user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating your taxes.'
+            });
+        }
+
+        const [dependents, documents] = await Promise.all([
+            Dependent.findAll({ where: { userId: user.id } }),
+            loadDocuments(taxReturn)
+        ]);
+
+        const summary = computeTaxReturn({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            // A filed return keeps the dependents it was filed with
+            dependents: taxReturn.status === 'filed' ? taxReturn.dependentsSnapshot : dependents,
+            ...documents
+        });
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Tax summary error:', error);
+        res.status(500).json({ message: 'Failed to calculate tax summary' });
     }
-}
+});
 
 module.exports = router;
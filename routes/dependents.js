@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Dependent = require('../models/Dependent');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { isMaskedValue } = require('../services/fieldEncryption');
+const { classifyTaxpayerId, formatTaxpayerId } = require('../services/taxpayerIds');
+const { findDuplicateTaxpayerId, duplicateMessage } = require('../services/dependents');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { findOrPreviewTaxReturn, resolveTaxYear, loadDocuments } = require('../services/taxReturns');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+    'name',
+    'relationship',
+    'ssn',
+    'birthDate',
+    'monthsLivedWithTaxpayer',
+    'isFullTimeStudent',
+    'isPermanentlyDisabled',
+    'supportProvidedPercent',
+    'paidOverHalfOwnSupport',
+    'grossIncome',
+    'filesJointReturn',
+    'isCitizenOrResident'
+];
+
+const BOOLEAN_FIELDS = [
+    'isFullTimeStudent',
+    'isPermanentlyDisabled',
+    'paidOverHalfOwnSupport',
+    'filesJointReturn',
+    'isCitizenOrResident'
+];
+
+const dependentValidators = [
+    body('ssn').optional({ nullable: true, checkFalsy: true }).custom((value) => {
+        // The masked value sent back from GET leaves the stored number unchanged
+        if (isMaskedValue(value) || classifyTaxpayerId(value)) {
+            return true;
+        }
+        throw new Error('SSN must be a valid SSN, ITIN or ATIN (e.g. 123-45-6789)');
+    }),
+    body('birthDate').optional({ nullable: true }).isISO8601().withMessage('Birth date must be a valid date')
+        .custom((value) => new Date(value) <= new Date()).withMessage('Birth date cannot be in the future'),
+    body('monthsLivedWithTaxpayer').optional({ nullable: true }).isInt({ min: 0, max: 12 })
+        .withMessage('Months lived with you must be between 0 and 12').toInt(),
+    body('supportProvidedPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 })
+        .withMessage('Support provided must be a percentage between 0 and 100'),
+    body('grossIncome').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Gross income must be a non-negative amount'),
+    ...BOOLEAN_FIELDS.map((field) =>
+        body(field).optional().isBoolean().withMessage(`${field} must be true or false`).toBoolean()
+    )
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+// Normalises the SSN in fields and sets tinType to match. Returns an error
+// message if the number is already used elsewhere on the return.
+async function prepareTaxpayerId(userId, fields, excludeDependentId = null) {
+    if (fields.ssn === undefined || isMaskedValue(fields.ssn)) {
+        delete fields.ssn;
+        return null;
+    }
+    if (!fields.ssn) {
+        fields.ssn = null;
+        fields.tinType = null;
+        return null;
+    }
+
+    const duplicate = await findDuplicateTaxpayerId(userId, fields.ssn, { excludeDependentId });
+    if (duplicate) {
+        return duplicateMessage(duplicate);
+    }
+    fields.tinType = classifyTaxpayerId(fields.ssn);
+    fields.ssn = formatTaxpayerId(fields.ssn);
+    return null;
+}
+
+async function findOwnDependent(req) {
+    return Dependent.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// GET /api/dashboard/dependents - Get user's dependents
+router.get('/', auth, auditView('Dependent'), async (req, res) => {
+    try {
+        const dependents = await Dependent.findAll({
+            where: { userId: req.user.id },
+            order: [['createdAt', 'DESC']]
+        });
+        res.json(dependents);
+    } catch (error) {
+        console.error('Get dependents error:', error);
+        res.status(500).json({ message: 'Failed to fetch dependents' });
+    }
+});
+
+// GET /api/dashboard/dependents/credits?year= - Qualifying child/relative tests and
+// Child Tax Credit, Additional Child Tax Credit and Credit for Other Dependents per dependent
+router.get('/credits', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('Dependent'), async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(req.user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating credits.'
+            });
+        }
+
+        const [dependents, documents] = await Promise.all([
+            Dependent.findAll({ where: { userId: req.user.id }, order: [['createdAt', 'ASC']] }),
+            loadDocuments(taxReturn)
+        ]);
+
+        const summary = computeTaxReturn({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            dependents: taxReturn.status === 'filed' ? taxReturn.dependentsSnapshot : dependents,
+            ...documents
+        });
+
+        res.json({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            adjustedGrossIncome: summary.income.adjustedGrossIncome,
+            ...summary.credits.dependents
+        });
+    } catch (error) {
+        console.error('Dependent credits error:', error);
+        res.status(500).json({ message: 'Failed to calculate dependent credits' });
+    }
+});
+
+// POST /api/dashboard/dependents - Add a new dependent
+router.post('/', auth, [
+    body('name').trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('relationship').isIn(Dependent.RELATIONSHIPS)
+        .withMessage(`Relationship must be one of: ${Dependent.RELATIONSHIPS.join(', ')}`),
+    ...dependentValidators
+], validate, async (req, res) => {
+    try {
+        const fields = pickEditable(req.body);
+        const duplicateError = await prepareTaxpayerId(req.user.id, fields);
+        if (duplicateError) {
+            return res.status(409).json({ message: duplicateError });
+        }
+
+        const dependent = await Dependent.create({
+            ...fields,
+            userId: req.user.id
+        });
+
+        res.status(201).json(dependent);
+    } catch (error) {
+        console.error('Add dependent error:', error);
+        res.status(500).json({ message: 'Failed to add dependent' });
+    }
+});
+
+// PUT /api/dashboard/dependents/:id - Update a dependent
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid dependent id'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('relationship').optional().isIn(Dependent.RELATIONSHIPS)
+        .withMessage(`Relationship must be one of: ${Dependent.RELATIONSHIPS.join(', ')}`),
+    ...dependentValidators
+], validate, async (req, res) => {
+    try {
+        const dependent = await findOwnDependent(req);
+        if (!dependent) {
+            return res.status(404).json({ message: 'Dependent not found' });
+        }
+
+        const fields = pickEditable(req.body);
+        const duplicateError = await prepareTaxpayerId(req.user.id, fields, dependent.id);
+        if (duplicateError) {
+            return res.status(409).json({ message: duplicateError });
+        }
+
+        await dependent.update(fields);
+
+        res.json({
+            message: 'Dependent updated successfully',
+            dependent
+        });
+    } catch (error) {
+        console.error('Update dependent error:', error);
+        res.status(500).json({ message: 'Failed to update dependent' });
+    }
+});
+
+// DELETE /api/dashboard/dependents/:id - Delete a dependent
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid dependent id')
+], validate, async (req, res) => {
+    try {
+        const dependent = await findOwnDependent(req);
+        if (!dependent) {
+            return res.status(404).json({ message: 'Dependent not found' });
+        }
+
+        await dependent.destroy();
+        res.json({ message: 'Dependent deleted successfully' });
+    } catch (error) {
+        console.error('Delete dependent error:', error);
+        res.status(500).json({ message: 'Failed to delete dependent' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Dependent = require('../models/Dependent');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { findOrPreviewTaxReturn, resolveTaxYear, loadDocuments } = require('../services/taxReturns');
+const { adviseFilingStatus, MARITAL_STATUSES } = require('../services/filingStatusAdvisor');
+
+const router = express.Router();
+
+// POST /api/dashboard/filing-status/advisor - Eligible filing statuses and the estimated tax for each
+// Body: { taxYear, maritalStatus, spouseDeathYear, livedApartFromSpouse, paidOverHalfHomeCost,
+//         spouseWages, spouseFederalTaxWithheld }
+router.post('/advisor', auth, [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('maritalStatus').isIn(MARITAL_STATUSES).withMessage(`Marital status must be one of: ${MARITAL_STATUSES.join(', ')}`),
+    body('spouseDeathYear').if(body('maritalStatus').equals('widowed'))
+        .isInt({ min: 1900, max: 2100 }).withMessage('Year your spouse died is required').toInt(),
+    body('livedApartFromSpouse').optional().isBoolean().toBoolean(),
+    body('paidOverHalfHomeCost').optional().isBoolean().toBoolean(),
+    body('spouseWages').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Spouse wages must be a non-negative amount'),
+    body('spouseFederalTaxWithheld').optional({ nullable: true }).isFloat({ min: 0 })
+        .withMessage('Spouse federal tax withheld must be a non-negative amount')
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(req.user.id, taxYear);
+        const [dependents, documents] = await Promise.all([
+            Dependent.findAll({ where: { userId: req.user.id }, order: [['createdAt', 'ASC']] }),
+            loadDocuments(taxReturn)
+        ]);
+
+        // Spouse wages entered here stand in for the spouse's W-2s until those
+        // are uploaded
+        const hasSpouseW2 = documents.w2Forms.some((form) => form.owner === 'spouse');
+        if (req.body.spouseWages && !hasSpouseW2) {
+            documents.w2Forms = [...documents.w2Forms, {
+                owner: 'spouse',
+                wages: req.body.spouseWages,
+                federalTaxWithheld: req.body.spouseFederalTaxWithheld || 0
+            }];
+        }
+
+        const advice = adviseFilingStatus({
+            taxYear,
+            answers: req.body,
+            dependents,
+            documents
+        });
+
+        res.json({
+            ...advice,
+            currentFilingStatus: taxReturn.filingStatus
+        });
+    } catch (error) {
+        console.error('Filing status advisor error:', error);
+        res.status(500).json({ message: 'Failed to evaluate filing status' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const Form1098E = require('../models/Form1098E');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const { createUpload } = require('../middleware/upload');
+const { auditContext, auditView } = require('../middleware/audit');
+const { getTaxTable, SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { findOrPreviewTaxReturn, resolveTaxYear, isFiledYear, loadDocuments } = require('../services/taxReturns');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { extractForm1098EData } = require('../services/form1098EExtractor');
+const { readDocument } = require('../services/documentText');
+const { isMaskedValue } = require('../services/fieldEncryption');
+
+const router = express.Router();
+const upload = createUpload('1098e', '1098e');
+
+const EDITABLE_FIELDS = [
+    'taxYear',
+    'owner',
+    'lenderName',
+    'lenderAddress',
+    'lenderTIN',
+    'borrowerName',
+    'borrowerSSN',
+    'accountNumber',
+    'studentLoanInterest',
+    'excludesOriginationFees',
+    'notes'
+];
+
+const form1098EValidators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    // A masked TIN echoed back from a previous response is ignored by the model
+    body('lenderTIN').optional({ nullable: true, checkFalsy: true }).if((value) => !isMaskedValue(value)).matches(/^\d{2}-?\d{7}$/).withMessage('Lender TIN must be in the format XX-XXXXXXX'),
+    body('studentLoanInterest').optional().isFloat({ min: 0 }).withMessage('Student loan interest must be a non-negative amount'),
+    body('excludesOriginationFees').optional().isBoolean().toBoolean()
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+async function findOwnForm1098E(req) {
+    return Form1098E.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// GET /api/dashboard/form1098es?year= - List the user's student loan interest statements
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('Form1098E'), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const form1098Es = await Form1098E.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(form1098Es);
+    } catch (error) {
+        console.error('Get 1098-E forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098-E forms' });
+    }
+});
+
+// GET /api/dashboard/form1098es/deduction?year= - Student loan interest deduction after the MAGI phase-out
+router.get('/deduction', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!getTaxTable(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating your deduction.'
+            });
+        }
+
+        const documents = await loadDocuments(taxReturn);
+
+        // Same figures as the full return, so MAGI includes every kind of
+        // income and the other adjustments (e.g. half of SE tax)
+        const { filingStatus } = taxReturn;
+        const { adjustments } = computeTaxReturn({
+            taxYear,
+            filingStatus,
+            dependents: taxReturn.dependentsSnapshot || [],
+            ...documents
+        });
+
+        res.json({
+            success: true,
+            data: {
+                taxYear,
+                filingStatus,
+                ...adjustments.studentLoanInterest
+            }
+        });
+    } catch (error) {
+        console.error('Student loan interest deduction error:', error);
+        res.status(500).json({ message: 'Failed to calculate student loan interest deduction' });
+    }
+});
+
+// POST /api/dashboard/form1098es - Enter a 1098-E by hand
+router.post('/', auth, [
+    body('lenderName').trim().notEmpty().withMessage('Lender name is required'),
+    body('studentLoanInterest').exists().withMessage('Student loan interest (box 1) is required'),
+    ...form1098EValidators
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: '1098-Es cannot be added to a filed return' });
+        }
+
+        const form1098E = await Form1098E.create({
+            taxYear,
+            ...pickEditable(req.body),
+            userId: req.user.id,
+            source: 'manual'
+        });
+
+        res.status(201).json(form1098E);
+    } catch (error) {
+        console.error('Create 1098-E form error:', error);
+        res.status(500).json({ message: 'Failed to create 1098-E form' });
+    }
+});
+
+// POST /api/dashboard/form1098es/upload - Upload a lender's 1098-E (PDF, photo or Word) and extract box values
+router.post('/upload', auth, rateLimit.upload, upload.single('form1098EFile'), [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse')
+], validate, auditContext, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(409).json({ message: '1098-Es cannot be uploaded to a filed return' });
+        }
+
+        const document = await readDocument(req.file.path, req.file.mimetype);
+        const extracted = extractForm1098EData(document.text || '');
+
+        const form1098E = await Form1098E.create({
+            userId: req.user.id,
+            lenderName: extracted.lenderName || 'Unknown lender',
+            lenderTIN: extracted.lenderTIN,
+            studentLoanInterest: extracted.studentLoanInterest || '0.00',
+            excludesOriginationFees: extracted.excludesOriginationFees,
+            taxYear,
+            owner: req.body.owner === 'spouse' ? 'spouse' : 'taxpayer',
+            fileName: req.file.filename,
+            filePath: req.file.path,
+            mimeType: req.file.mimetype,
+            source: 'upload'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: '1098-E uploaded successfully. Please review the extracted values.',
+            data: form1098E
+        });
+    } catch (error) {
+        console.error('1098-E upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read 1098-E. Please upload a PDF, image or Word document, or enter it manually.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// GET /api/dashboard/form1098es/:id - Get a single 1098-E
+router.get('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098-E id')
+], validate, auditView('Form1098E', { idParam: 'id' }), async (req, res) => {
+    try {
+        const form1098E = await findOwnForm1098E(req);
+        if (!form1098E) {
+            return res.status(404).json({ message: '1098-E form not found' });
+        }
+
+        res.json(form1098E);
+    } catch (error) {
+        console.error('Get 1098-E form error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098-E form' });
+    }
+});
+
+// GET /api/dashboard/form1098es/:id/file - Download the uploaded 1098-E
+router.get('/:id/file', auth, [
+    param('id').isUUID().withMessage('Invalid 1098-E id')
+], validate, auditView('Form1098E', { idParam: 'id' }), async (req, res) => {
+    try {
+        const form1098E = await findOwnForm1098E(req);
+        if (!form1098E) {
+            return res.status(404).json({ message: '1098-E form not found' });
+        }
+
+        if (!form1098E.filePath || !fs.existsSync(form1098E.filePath)) {
+            return res.status(404).json({ message: 'No file was uploaded for this 1098-E' });
+        }
+
+        res.download(form1098E.filePath, form1098E.fileName);
+    } catch (error) {
+        console.error('Download 1098-E file error:', error);
+        res.status(500).json({ message: 'Failed to download 1098-E file' });
+    }
+});
+
+// PUT /api/dashboard/form1098es/:id - Update a 1098-E
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098-E id'),
+    body('lenderName').optional().trim().notEmpty().withMessage('Lender name cannot be empty'),
+    ...form1098EValidators
+], validate, async (req, res) => {
+    try {
+        const form1098E = await findOwnForm1098E(req);
+        if (!form1098E) {
+            return res.status(404).json({ message: '1098-E form not found' });
+        }
+
+        const years = [form1098E.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: '1098-Es on a filed return cannot be changed' });
+            }
+        }
+
+        await form1098E.update(pickEditable(req.body));
+
+        res.json({
+            message: '1098-E form updated successfully',
+            form1098E
+        });
+    } catch (error) {
+        console.error('Update 1098-E form error:', error);
+        res.status(500).json({ message: 'Failed to update 1098-E form' });
+    }
+});
+
+// DELETE /api/dashboard/form1098es/:id - Delete a 1098-E and its uploaded file
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098-E id')
+], validate, async (req, res) => {
+    try {
+        const form1098E = await findOwnForm1098E(req);
+        if (!form1098E) {
+            return res.status(404).json({ message: '1098-E form not found' });
+        }
+
+        if (await isFiledYear(req.user.id, form1098E.taxYear)) {
+            return res.status(409).json({ message: '1098-Es on a filed return cannot be removed' });
+        }
+
+        if (form1098E.filePath && fs.existsSync(form1098E.filePath)) {
+            fs.unlinkSync(form1098E.filePath);
+        }
+
+        await form1098E.destroy();
+        res.json({ message: '1098-E form deleted successfully' });
+    } catch (error) {
+        console.error('Delete 1098-E form error:', error);
+        res.status(500).json({ message: 'Failed to delete 1098-E form' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const Form1098 = require('../models/Form1098');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { findOrPreviewTaxReturn, resolveTaxYear, isFiledYear, loadDocuments } = require('../services/taxReturns');
+const { generateForm1098Pdf } = require('../services/form1098Pdf');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+    'taxYear',
+    'owner',
+    'lenderName',
+    'lenderAddress',
+    'lenderTIN',
+    'lenderPhone',
+    'borrowerName',
+    'borrowerSSN',
+    'borrowerAddress',
+    'accountNumber',
+    'mortgageInterestReceived',
+    'outstandingPrincipal',
+    'originationDate',
+    'refundOverpaidInterest',
+    'mortgageInsurancePremiums',
+    'pointsPaidPurchase',
+    'propertyAddress',
+    'otherAmount',
+    'otherDescription',
+    'numberOfProperties',
+    'realEstateTaxes',
+    'acquisitionCost',
+    'averageBalance',
+    'usedToBuyBuildOrImprove',
+    'refundOfCurrentYearInterest',
+    'notes'
+];
+
+const MONEY_FIELDS = [
+    'mortgageInterestReceived',
+    'outstandingPrincipal',
+    'refundOverpaidInterest',
+    'mortgageInsurancePremiums',
+    'pointsPaidPurchase',
+    'otherAmount',
+    'realEstateTaxes',
+    'acquisitionCost',
+    'averageBalance'
+];
+
+// Allowed status changes. 'generated' is only reachable through POST /:id/generate
+// so that a generated form always has a PDF on disk.
+const STATUS_TRANSITIONS = {
+    draft: [],
+    generated: ['draft', 'sent', 'filed'],
+    sent: ['filed'],
+    filed: []
+};
+
+const form1098Validators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    ...MONEY_FIELDS.map((field) =>
+        body(field).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`)
+    ),
+    body('originationDate').optional({ nullable: true }).isISO8601().withMessage('Origination date must be a valid date'),
+    body('numberOfProperties').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Number of properties must be at least 1').toInt(),
+    body('usedToBuyBuildOrImprove').optional().isBoolean().withMessage('usedToBuyBuildOrImprove must be true or false').toBoolean(),
+    body('refundOfCurrentYearInterest').optional().isBoolean().withMessage('refundOfCurrentYearInterest must be true or false').toBoolean()
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+async function findOwnForm1098(req) {
+    return Form1098.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+function removePdf(form1098) {
+    if (form1098.pdfPath && fs.existsSync(form1098.pdfPath)) {
+        fs.unlinkSync(form1098.pdfPath);
+    }
+}
+
+// GET /api/dashboard/form1098s?year= - List the user's mortgage interest statements
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('Form1098'), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const form1098s = await Form1098.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(form1098s);
+    } catch (error) {
+        console.error('Get 1098 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098 forms' });
+    }
+});
+
+// GET /api/dashboard/form1098s/mortgage-interest?year= - Deductible home mortgage interest
+// after the debt limits, box 4 refunds and box 5 premiums
+router.get('/mortgage-interest', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(req.user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating your deduction.'
+            });
+        }
+
+        const summary = computeTaxReturn({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            dependents: taxReturn.dependentsSnapshot || [],
+            ...await loadDocuments(taxReturn)
+        });
+
+        res.json({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            adjustedGrossIncome: summary.income.adjustedGrossIncome,
+            deductionMethod: summary.deductions.method,
+            ...summary.deductions.itemized.interest.mortgage,
+            refundIncome: summary.income.otherIncome.mortgageInterestRefund
+        });
+    } catch (error) {
+        console.error('Mortgage interest deduction error:', error);
+        res.status(500).json({ message: 'Failed to calculate mortgage interest deduction' });
+    }
+});
+
+// POST /api/dashboard/form1098s - Create a mortgage interest statement
+router.post('/', auth, [
+    body('lenderName').trim().notEmpty().withMessage('Lender name is required'),
+    body('borrowerName').trim().notEmpty().withMessage('Borrower name is required'),
+    ...form1098Validators
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: '1098s cannot be added to a filed return' });
+        }
+
+        const form1098 = await Form1098.create({
+            taxYear,
+            ...pickEditable(req.body),
+            userId: req.user.id,
+            status: 'draft'
+        });
+
+        res.status(201).json(form1098);
+    } catch (error) {
+        console.error('Create 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to create 1098 form' });
+    }
+});
+
+// GET /api/dashboard/form1098s/:id - Get a single mortgage interest statement
+router.get('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id')
+], validate, auditView('Form1098', { idParam: 'id' }), async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        res.json(form1098);
+    } catch (error) {
+        console.error('Get 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098 form' });
+    }
+});
+
+// PUT /api/dashboard/form1098s/:id - Edit a statement; edits send it back to draft
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id'),
+    body('lenderName').optional().trim().notEmpty().withMessage('Lender name cannot be empty'),
+    body('borrowerName').optional().trim().notEmpty().withMessage('Borrower name cannot be empty'),
+    ...form1098Validators
+], validate, async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        if (['sent', 'filed'].includes(form1098.status)) {
+            return res.status(409).json({
+                message: `A 1098 that has been ${form1098.status} can no longer be edited`
+            });
+        }
+
+        const years = [form1098.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: '1098s on a filed return cannot be changed' });
+            }
+        }
+
+        // The rendered PDF no longer matches the data
+        removePdf(form1098);
+
+        await form1098.update({
+            ...pickEditable(req.body),
+            status: 'draft',
+            pdfPath: null,
+            generatedDate: null
+        });
+
+        res.json({
+            message: '1098 form updated successfully',
+            form1098
+        });
+    } catch (error) {
+        console.error('Update 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to update 1098 form' });
+    }
+});
+
+// POST /api/dashboard/form1098s/:id/generate - Render the PDF and mark the form generated
+router.post('/:id/generate', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id')
+], validate, async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        if (!['draft', 'generated'].includes(form1098.status)) {
+            return res.status(409).json({
+                message: `A 1098 that has been ${form1098.status} cannot be regenerated`
+            });
+        }
+
+        const pdfPath = await generateForm1098Pdf(form1098);
+
+        await form1098.update({
+            status: 'generated',
+            generatedDate: new Date(),
+            pdfPath
+        });
+
+        res.json({
+            success: true,
+            message: '1098 form generated successfully',
+            data: form1098
+        });
+    } catch (error) {
+        console.error('Generate 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to generate 1098 form' });
+    }
+});
+
+// GET /api/dashboard/form1098s/:id/pdf - Download the generated PDF
+router.get('/:id/pdf', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id')
+], validate, auditView('Form1098', { idParam: 'id' }), async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        if (!form1098.pdfPath || !fs.existsSync(form1098.pdfPath)) {
+            return res.status(404).json({
+                message: 'No PDF found. Please generate the 1098 form first.'
+            });
+        }
+
+        res.download(form1098.pdfPath, `1098-${form1098.taxYear}.pdf`);
+    } catch (error) {
+        console.error('Download 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to download 1098 form' });
+    }
+});
+
+// PUT /api/dashboard/form1098s/:id/status - Move the form through sent/filed
+router.put('/:id/status', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id'),
+    body('status').isIn(['draft', 'sent', 'filed']).withMessage('Status must be draft, sent or filed')
+], validate, async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        const { status } = req.body;
+        if (!STATUS_TRANSITIONS[form1098.status].includes(status)) {
+            return res.status(409).json({
+                message: `Cannot change status from ${form1098.status} to ${status}`
+            });
+        }
+
+        const updates = { status };
+        if (status === 'draft') {
+            removePdf(form1098);
+            updates.pdfPath = null;
+            updates.generatedDate = null;
+        }
+
+        await form1098.update(updates);
+
+        res.json({
+            message: '1098 status updated successfully',
+            form1098
+        });
+    } catch (error) {
+        console.error('Update 1098 status error:', error);
+        res.status(500).json({ message: 'Failed to update 1098 status' });
+    }
+});
+
+// DELETE /api/dashboard/form1098s/:id - Delete a statement and its PDF
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid 1098 id')
+], validate, async (req, res) => {
+    try {
+        const form1098 = await findOwnForm1098(req);
+        if (!form1098) {
+            return res.status(404).json({ message: '1098 form not found' });
+        }
+
+        if (form1098.status === 'filed') {
+            return res.status(409).json({ message: 'A filed 1098 cannot be deleted' });
+        }
+
+        if (await isFiledYear(req.user.id, form1098.taxYear)) {
+            return res.status(409).json({ message: '1098s on a filed return cannot be removed' });
+        }
+
+        removePdf(form1098);
+        await form1098.destroy();
+        res.json({ message: '1098 form deleted successfully' });
+    } catch (error) {
+        console.error('Delete 1098 form error:', error);
+        res.status(500).json({ message: 'Failed to delete 1098 form' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const Business = require('../models/Business');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const { createUpload } = require('../middleware/upload');
+const { auditContext, auditView } = require('../middleware/audit');
+const { resolveTaxYear, isFiledYear } = require('../services/taxReturns');
+const { FORM_1099_TYPES, FORM_1099_MODELS, editableFields } = require('../services/form1099s');
+const { readDocument } = require('../services/documentText');
+const { isMaskedValue } = require('../services/fieldEncryption');
+const { classifyTaxpayerId } = require('../services/taxpayerIds');
+
+const router = express.Router();
+const upload = createUpload('1099', '1099');
+
+const TYPES = Object.keys(FORM_1099_TYPES);
+const variants = Object.values(FORM_1099_TYPES);
+
+// Every variant's boxes; each request only keeps the fields of its own type
+const MONEY_FIELDS = [...new Set(['federalTaxWithheld', 'stateTaxWithheld', ...variants.flatMap((type) => type.moneyFields)])];
+const BOOLEAN_FIELDS = [...new Set(variants.flatMap((type) => type.booleanFields))];
+
+const typeParam = param('type').isIn(TYPES).withMessage(`Form type must be one of: ${TYPES.join(', ')}`);
+const idParam = param('id').isUUID().withMessage('Invalid 1099 id');
+
+const form1099Validators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    // Masked TINs echoed back from a previous response are ignored by the model
+    body('payerTIN').optional({ nullable: true, checkFalsy: true }).if((value) => !isMaskedValue(value))
+        .matches(/^(\d{2}-?\d{7}|\d{3}-?\d{2}-?\d{4})$/).withMessage('Payer TIN must be an EIN (XX-XXXXXXX) or SSN'),
+    body('recipientTIN').optional({ nullable: true, checkFalsy: true }).if((value) => !isMaskedValue(value))
+        .custom((value) => Boolean(classifyTaxpayerId(value))).withMessage('Recipient TIN must be a valid SSN or ITIN'),
+    body('state').optional({ nullable: true, checkFalsy: true }).isAlpha().isLength({ min: 2, max: 2 })
+        .withMessage('State must be a two-letter code').toUpperCase(),
+    ...MONEY_FIELDS.map((field) =>
+        body(field).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`)
+    ),
+    ...BOOLEAN_FIELDS.map((field) =>
+        body(field).optional().isBoolean().withMessage(`${field} must be true or false`).toBoolean()
+    ),
+    body('distributionCode').optional({ nullable: true, checkFalsy: true }).matches(/^[0-9A-Z]{1,2}$/i)
+        .withMessage('Distribution code must be one or two characters from box 7').toUpperCase(),
+    body('refundTaxYear').optional({ nullable: true }).isInt({ min: 2000, max: 2100 })
+        .withMessage('Refund tax year must be a valid year').toInt(),
+    body('businessId').optional({ nullable: true }).isUUID().withMessage('Invalid business id')
+];
+
+function pickEditable(type, source) {
+    return editableFields(type).reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+function variantOf(req) {
+    return FORM_1099_TYPES[req.params.type];
+}
+
+async function findOwnForm1099(req) {
+    return variantOf(req).Model.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// A 1099-NEC can only be linked to one of the user's own businesses
+async function isOwnBusiness(req, businessId) {
+    return !businessId || Boolean(await Business.findOne({ where: { id: businessId, userId: req.user.id }, attributes: ['id'] }));
+}
+
+// auditView for the model behind :type
+function auditForm1099View(options) {
+    return (req, res, next) => auditView(variantOf(req).Model.name, options)(req, res, next);
+}
+
+// GET /api/dashboard/form1099s?year= - All of the user's 1099s, grouped by type
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView(FORM_1099_MODELS.map((Model) => Model.name)), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const groups = await Promise.all(TYPES.map(async (type) => [
+            type,
+            await FORM_1099_TYPES[type].Model.findAll({
+                where,
+                order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+            })
+        ]));
+        res.json(Object.fromEntries(groups));
+    } catch (error) {
+        console.error('Get 1099 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1099 forms' });
+    }
+});
+
+// GET /api/dashboard/form1099s/:type?year= - The user's 1099s of one type (int, div, nec, misc, r, g)
+router.get('/:type', auth, [
+    typeParam,
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditForm1099View(), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const forms = await variantOf(req).Model.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(forms);
+    } catch (error) {
+        console.error('Get 1099 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1099 forms' });
+    }
+});
+
+// POST /api/dashboard/form1099s/:type - Enter a 1099 by hand
+router.post('/:type', auth, [
+    typeParam,
+    body('payerName').trim().notEmpty().withMessage('Payer name is required'),
+    ...form1099Validators
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: '1099s cannot be added to a filed return' });
+        }
+
+        const fields = pickEditable(req.params.type, req.body);
+        if (!(await isOwnBusiness(req, fields.businessId))) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        const form1099 = await variantOf(req).Model.create({
+            taxYear,
+            ...fields,
+            userId: req.user.id,
+            source: 'manual'
+        });
+
+        res.status(201).json(form1099);
+    } catch (error) {
+        console.error('Create 1099 form error:', error);
+        res.status(500).json({ message: 'Failed to create 1099 form' });
+    }
+});
+
+// POST /api/dashboard/form1099s/:type/upload - Upload a payer's 1099 (PDF, photo or Word) and extract box values
+router.post('/:type/upload', auth, [typeParam], validate, rateLimit.upload, upload.single('form1099File'), [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse')
+], validate, auditContext, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(409).json({ message: '1099s cannot be uploaded to a filed return' });
+        }
+
+        const { Model, label, extract } = variantOf(req);
+        const document = await readDocument(req.file.path, req.file.mimetype);
+        const extracted = extract(document.text || '');
+
+        // Boxes that were not found keep their defaults for the user to fill in
+        const boxes = Object.fromEntries(Object.entries(extracted)
+            .filter(([field, value]) => field !== 'payerName' && value !== null && value !== undefined));
+
+        const form1099 = await Model.create({
+            ...boxes,
+            userId: req.user.id,
+            payerName: extracted.payerName || 'Unknown payer',
+            taxYear,
+            owner: req.body.owner === 'spouse' ? 'spouse' : 'taxpayer',
+            fileName: req.file.filename,
+            filePath: req.file.path,
+            mimeType: req.file.mimetype,
+            source: 'upload'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${label} uploaded successfully. Please review the extracted values.`,
+            data: form1099
+        });
+    } catch (error) {
+        console.error('1099 upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read 1099. Please upload a PDF, image or Word document, or enter it manually.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// GET /api/dashboard/form1099s/:type/:id - Get a single 1099
+router.get('/:type/:id', auth, [typeParam, idParam], validate, auditForm1099View({ idParam: 'id' }), async (req, res) => {
+    try {
+        const form1099 = await findOwnForm1099(req);
+        if (!form1099) {
+            return res.status(404).json({ message: `${variantOf(req).label} form not found` });
+        }
+
+        res.json(form1099);
+    } catch (error) {
+        console.error('Get 1099 form error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1099 form' });
+    }
+});
+
+// GET /api/dashboard/form1099s/:type/:id/file - Download the uploaded 1099
+router.get('/:type/:id/file', auth, [typeParam, idParam], validate, auditForm1099View({ idParam: 'id' }), async (req, res) => {
+    try {
+        const form1099 = await findOwnForm1099(req);
+        if (!form1099) {
+            return res.status(404).json({ message: `${variantOf(req).label} form not found` });
+        }
+
+        if (!form1099.filePath || !fs.existsSync(form1099.filePath)) {
+            return res.status(404).json({ message: `No file was uploaded for this ${variantOf(req).label}` });
+        }
+
+        res.download(form1099.filePath, form1099.fileName);
+    } catch (error) {
+        console.error('Download 1099 file error:', error);
+        res.status(500).json({ message: 'Failed to download 1099 file' });
+    }
+});
+
+// PUT /api/dashboard/form1099s/:type/:id - Update a 1099
+router.put('/:type/:id', auth, [
+    typeParam,
+    idParam,
+    body('payerName').optional().trim().notEmpty().withMessage('Payer name cannot be empty'),
+    ...form1099Validators
+], validate, async (req, res) => {
+    try {
+        const form1099 = await findOwnForm1099(req);
+        if (!form1099) {
+            return res.status(404).json({ message: `${variantOf(req).label} form not found` });
+        }
+
+        const years = [form1099.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: '1099s on a filed return cannot be changed' });
+            }
+        }
+
+        const fields = pickEditable(req.params.type, req.body);
+        if (!(await isOwnBusiness(req, fields.businessId))) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        await form1099.update(fields);
+
+        res.json({
+            message: `${variantOf(req).label} form updated successfully`,
+            form1099
+        });
+    } catch (error) {
+        console.error('Update 1099 form error:', error);
+        res.status(500).json({ message: 'Failed to update 1099 form' });
+    }
+});
+
+// DELETE /api/dashboard/form1099s/:type/:id - Delete a 1099 and its uploaded file
+router.delete('/:type/:id', auth, [typeParam, idParam], validate, async (req, res) => {
+    try {
+        const form1099 = await findOwnForm1099(req);
+        if (!form1099) {
+            return res.status(404).json({ message: `${variantOf(req).label} form not found` });
+        }
+
+        if (await isFiledYear(req.user.id, form1099.taxYear)) {
+            return res.status(409).json({ message: '1099s on a filed return cannot be removed' });
+        }
+
+        if (form1099.filePath && fs.existsSync(form1099.filePath)) {
+            fs.unlinkSync(form1099.filePath);
+        }
+
+        await form1099.destroy();
+        res.json({ message: `${variantOf(req).label} form deleted successfully` });
+    } catch (error) {
+        console.error('Delete 1099 form error:', error);
+        res.status(500).json({ message: 'Failed to delete 1099 form' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const ItemizedDeduction = require('../models/ItemizedDeduction');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { computeTaxReturn } = require('../services/taxCalculator');
+const { findOrPreviewTaxReturn, resolveTaxYear, isFiledYear, loadDocuments } = require('../services/taxReturns');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+    'taxYear',
+    'owner',
+    'category',
+    'amount',
+    'description',
+    'payee',
+    'paidDate',
+    'notes'
+];
+
+const itemizedDeductionValidators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters'),
+    body('payee').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Payee must be at most 255 characters'),
+    body('paidDate').optional({ nullable: true }).isISO8601().withMessage('Paid date must be a valid date')
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+async function findOwnItemizedDeduction(req) {
+    return ItemizedDeduction.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// GET /api/dashboard/itemized-deductions?year= - List the user's Schedule A expenses
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('ItemizedDeduction'), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const itemizedDeductions = await ItemizedDeduction.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['category', 'ASC'], ['createdAt', 'ASC']]
+        });
+        res.json(itemizedDeductions);
+    } catch (error) {
+        console.error('Get itemized deductions error:', error);
+        res.status(500).json({ message: 'Failed to fetch itemized deductions' });
+    }
+});
+
+// GET /api/dashboard/itemized-deductions/schedule-a?year= - Schedule A line by line,
+// compared with the standard deduction
+router.get('/schedule-a', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.query.year);
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return res.status(400).json({
+                message: `Tax year ${taxYear} is not supported`,
+                supportedYears: SUPPORTED_TAX_YEARS
+            });
+        }
+
+        const taxReturn = await findOrPreviewTaxReturn(req.user.id, taxYear);
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set your filing status before calculating your deduction.'
+            });
+        }
+
+        const documents = await loadDocuments(taxReturn);
+        const summary = computeTaxReturn({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            dependents: taxReturn.dependentsSnapshot || [],
+            ...documents
+        });
+
+        res.json({
+            taxYear,
+            filingStatus: taxReturn.filingStatus,
+            adjustedGrossIncome: summary.income.adjustedGrossIncome,
+            ...summary.deductions
+        });
+    } catch (error) {
+        console.error('Schedule A error:', error);
+        res.status(500).json({ message: 'Failed to calculate itemized deductions' });
+    }
+});
+
+// POST /api/dashboard/itemized-deductions - Add a Schedule A expense
+router.post('/', auth, [
+    body('category').isIn(ItemizedDeduction.CATEGORIES)
+        .withMessage(`Category must be one of: ${ItemizedDeduction.CATEGORIES.join(', ')}`),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a non-negative amount'),
+    ...itemizedDeductionValidators
+], validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: 'Deductions cannot be added to a filed return' });
+        }
+
+        const itemizedDeduction = await ItemizedDeduction.create({
+            ...pickEditable(req.body),
+            taxYear,
+            userId: req.user.id
+        });
+
+        res.status(201).json(itemizedDeduction);
+    } catch (error) {
+        console.error('Create itemized deduction error:', error);
+        res.status(500).json({ message: 'Failed to add itemized deduction' });
+    }
+});
+
+// PUT /api/dashboard/itemized-deductions/:id - Update a Schedule A expense
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid itemized deduction id'),
+    body('category').optional().isIn(ItemizedDeduction.CATEGORIES)
+        .withMessage(`Category must be one of: ${ItemizedDeduction.CATEGORIES.join(', ')}`),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative amount'),
+    ...itemizedDeductionValidators
+], validate, async (req, res) => {
+    try {
+        const itemizedDeduction = await findOwnItemizedDeduction(req);
+        if (!itemizedDeduction) {
+            return res.status(404).json({ message: 'Itemized deduction not found' });
+        }
+
+        const years = [itemizedDeduction.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: 'Deductions on a filed return cannot be changed' });
+            }
+        }
+
+        await itemizedDeduction.update(pickEditable(req.body));
+
+        res.json({
+            message: 'Itemized deduction updated successfully',
+            itemizedDeduction
+        });
+    } catch (error) {
+        console.error('Update itemized deduction error:', error);
+        res.status(500).json({ message: 'Failed to update itemized deduction' });
+    }
+});
+
+// DELETE /api/dashboard/itemized-deductions/:id - Remove a Schedule A expense
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid itemized deduction id')
+], validate, async (req, res) => {
+    try {
+        const itemizedDeduction = await findOwnItemizedDeduction(req);
+        if (!itemizedDeduction) {
+            return res.status(404).json({ message: 'Itemized deduction not found' });
+        }
+
+        if (await isFiledYear(req.user.id, itemizedDeduction.taxYear)) {
+            return res.status(409).json({ message: 'Deductions on a filed return cannot be removed' });
+        }
+
+        await itemizedDeduction.destroy();
+        res.json({ message: 'Itemized deduction removed successfully' });
+    } catch (error) {
+        console.error('Delete itemized deduction error:', error);
+        res.status(500).json({ message: 'Failed to remove itemized deduction' });
+    }
+});
+
+module.exports = router;
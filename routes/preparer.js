@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const W2Form = require('../models/W2Form');
+const Form1098 = require('../models/Form1098');
+const Form1098E = require('../models/Form1098E');
+const TaxReturn = require('../models/TaxReturn');
+const ItemizedDeduction = require('../models/ItemizedDeduction');
+const Business = require('../models/Business');
+const ClientAssignment = require('../models/ClientAssignment');
+const ReviewNote = require('../models/ReviewNote');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { requireRole, requireClientAccess } = require('../middleware/permissions');
+const { auditView } = require('../middleware/audit');
+const { validateW2Form } = require('../services/w2Validation');
+const { FORM_1099_TYPES, FORM_1099_MODELS } = require('../services/form1099s');
+
+const router = express.Router();
+
+// Everything here is for preparers (and admins) working on a client's behalf
+router.use(auth, requireRole('preparer', 'admin'));
+
+const CLIENT_ATTRIBUTES = ['id', 'email', 'firstName', 'lastName', 'filingStatus', 'taxClassification', 'businessName', 'ssn', 'formCompletionStatus'];
+
+const DOCUMENT_MODELS = {
+    w2_form: W2Form,
+    form1098: Form1098,
+    form1098e: Form1098E,
+    // form1099int, form1099div, ...
+    ...Object.fromEntries(Object.entries(FORM_1099_TYPES).map(([type, { Model }]) => [`form1099${type}`, Model])),
+    business: Business
+};
+
+const clientParam = param('clientId').isUUID().withMessage('Invalid client id');
+const yearQuery = query('year').optional().isInt().withMessage('Year must be a number').toInt();
+
+function yearWhere(req) {
+    const where = { userId: req.clientId };
+    if (req.query.year) {
+        where.taxYear = req.query.year;
+    }
+    return where;
+}
+
+// GET /api/preparer/clients - Clients assigned to the current preparer
+router.get('/clients', async (req, res) => {
+    try {
+        const assignments = await ClientAssignment.findAll({
+            where: { preparerId: req.user.id, revokedAt: null },
+            include: [{ model: User, as: 'client', attributes: CLIENT_ATTRIBUTES }],
+            order: [['createdAt', 'DESC']]
+        });
+
+        res.json(assignments.map((assignment) => ({
+            assignmentId: assignment.id,
+            assignedAt: assignment.createdAt,
+            client: assignment.client
+        })));
+    } catch (error) {
+        console.error('Get preparer clients error:', error);
+        res.status(500).json({ message: 'Failed to fetch clients' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId - Client profile, tax returns and dependents
+router.get('/clients/:clientId', [clientParam], validate, requireClientAccess(), auditView('User', { idParam: 'clientId' }), async (req, res) => {
+    try {
+        const client = await User.findByPk(req.clientId, { attributes: CLIENT_ATTRIBUTES });
+        if (!client) {
+            return res.status(404).json({ message: 'Client not found' });
+        }
+
+        const [taxReturns, dependents] = await Promise.all([
+            TaxReturn.findAll({ where: { userId: req.clientId }, order: [['taxYear', 'DESC']] }),
+            Dependent.findAll({ where: { userId: req.clientId }, order: [['createdAt', 'DESC']] })
+        ]);
+
+        res.json({ client, taxReturns, dependents });
+    } catch (error) {
+        console.error('Get client error:', error);
+        res.status(500).json({ message: 'Failed to fetch client' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/w2-forms?year= - Client's W-2s with consistency warnings
+router.get('/clients/:clientId/w2-forms', [clientParam, yearQuery], validate, requireClientAccess(), auditView('W2Form'), async (req, res) => {
+    try {
+        const w2Forms = await W2Form.findAll({
+            where: yearWhere(req),
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+
+        res.json(w2Forms.map((w2Form) => ({
+            ...w2Form.toJSON(),
+            warnings: validateW2Form(w2Form)
+        })));
+    } catch (error) {
+        console.error('Get client W-2 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch W-2 forms' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/form1098s?year= - Client's mortgage interest statements
+router.get('/clients/:clientId/form1098s', [clientParam, yearQuery], validate, requireClientAccess(), auditView('Form1098'), async (req, res) => {
+    try {
+        const form1098s = await Form1098.findAll({
+            where: yearWhere(req),
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(form1098s);
+    } catch (error) {
+        console.error('Get client 1098 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098 forms' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/form1098es?year= - Client's student loan interest statements
+router.get('/clients/:clientId/form1098es', [clientParam, yearQuery], validate, requireClientAccess(), auditView('Form1098E'), async (req, res) => {
+    try {
+        const form1098Es = await Form1098E.findAll({
+            where: yearWhere(req),
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(form1098Es);
+    } catch (error) {
+        console.error('Get client 1098-E forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1098-E forms' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/form1099s?year= - Client's 1099s, grouped by type
+router.get('/clients/:clientId/form1099s', [clientParam, yearQuery], validate, requireClientAccess(), auditView(FORM_1099_MODELS.map((Model) => Model.name)), async (req, res) => {
+    try {
+        const groups = await Promise.all(Object.entries(FORM_1099_TYPES).map(async ([type, { Model }]) => [
+            type,
+            await Model.findAll({
+                where: yearWhere(req),
+                order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+            })
+        ]));
+        res.json(Object.fromEntries(groups));
+    } catch (error) {
+        console.error('Get client 1099 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch 1099 forms' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/businesses?year= - Client's Schedule C businesses
+router.get('/clients/:clientId/businesses', [clientParam, yearQuery], validate, requireClientAccess(), auditView('Business'), async (req, res) => {
+    try {
+        const businesses = await Business.findAll({
+            where: yearWhere(req),
+            order: [['taxYear', 'DESC'], ['createdAt', 'ASC']]
+        });
+        res.json(businesses);
+    } catch (error) {
+        console.error('Get client businesses error:', error);
+        res.status(500).json({ message: 'Failed to fetch businesses' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/itemized-deductions?year= - Client's Schedule A expenses
+router.get('/clients/:clientId/itemized-deductions', [clientParam, yearQuery], validate, requireClientAccess(), auditView('ItemizedDeduction'), async (req, res) => {
+    try {
+        const itemizedDeductions = await ItemizedDeduction.findAll({
+            where: yearWhere(req),
+            order: [['taxYear', 'DESC'], ['category', 'ASC'], ['createdAt', 'ASC']]
+        });
+        res.json(itemizedDeductions);
+    } catch (error) {
+        console.error('Get client itemized deductions error:', error);
+        res.status(500).json({ message: 'Failed to fetch itemized deductions' });
+    }
+});
+
+// GET /api/preparer/clients/:clientId/notes?year= - Review notes on the client's returns
+router.get('/clients/:clientId/notes', [clientParam, yearQuery], validate, requireClientAccess(), async (req, res) => {
+    try {
+        const where = { clientId: req.clientId };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const notes = await ReviewNote.findAll({
+            where,
+            include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName', 'role'] }],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json(notes);
+    } catch (error) {
+        console.error('Get review notes error:', error);
+        res.status(500).json({ message: 'Failed to fetch review notes' });
+    }
+});
+
+// POST /api/preparer/clients/:clientId/notes - Leave a review note on a return or document
+router.post('/clients/:clientId/notes', [
+    clientParam,
+    body('body').trim().notEmpty().withMessage('Note text is required'),
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('documentType').optional().isIn(['tax_return', ...Object.keys(DOCUMENT_MODELS)]).withMessage('Invalid document type'),
+    body('documentId').optional({ nullable: true }).isUUID().withMessage('Invalid document id')
+], validate, requireClientAccess(), async (req, res) => {
+    try {
+        const documentType = req.body.documentType || 'tax_return';
+        let { taxYear } = req.body;
+
+        // A note on a document must point at one of this client's documents
+        if (req.body.documentId) {
+            const Model = DOCUMENT_MODELS[documentType];
+            const document = Model
+                ? await Model.findOne({ where: { id: req.body.documentId, userId: req.clientId } })
+                : null;
+            if (!document) {
+                return res.status(404).json({ message: 'Document not found' });
+            }
+            taxYear = taxYear || document.taxYear;
+        }
+
+        const note = await ReviewNote.create({
+            clientId: req.clientId,
+            authorId: req.user.id,
+            taxYear,
+            documentType,
+            documentId: req.body.documentId || null,
+            body: req.body.body
+        });
+
+        res.status(201).json(note);
+    } catch (error) {
+        console.error('Create review note error:', error);
+        res.status(500).json({ message: 'Failed to create review note' });
+    }
+});
+
+// PUT /api/preparer/clients/:clientId/notes/:noteId - Edit or resolve a review note
+router.put('/clients/:clientId/notes/:noteId', [
+    clientParam,
+    param('noteId').isUUID().withMessage('Invalid note id'),
+    body('body').optional().trim().notEmpty().withMessage('Note text cannot be empty'),
+    body('resolved').optional().isBoolean().toBoolean()
+], validate, requireClientAccess(), async (req, res) => {
+    try {
+        const note = await ReviewNote.findOne({
+            where: { id: req.params.noteId, clientId: req.clientId }
+        });
+        if (!note) {
+            return res.status(404).json({ message: 'Review note not found' });
+        }
+
+        const updates = {};
+        if (req.body.body !== undefined) {
+            if (note.authorId !== req.user.id) {
+                return res.status(403).json({ message: 'Only the author can edit a review note' });
+            }
+            updates.body = req.body.body;
+        }
+        if (req.body.resolved !== undefined) {
+            updates.resolvedAt = req.body.resolved ? new Date() : null;
+            updates.resolvedById = req.body.resolved ? req.user.id : null;
+        }
+
+        await note.update(updates);
+
+        res.json({
+            message: 'Review note updated successfully',
+            note
+        });
+    } catch (error) {
+        console.error('Update review note error:', error);
+        res.status(500).json({ message: 'Failed to update review note' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const W2Form = require('../models/W2Form');
+const Form1098 = require('../models/Form1098');
+const Form1098E = require('../models/Form1098E');
+const TaxReturn = require('../models/TaxReturn');
+const Business = require('../models/Business');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const reauthenticate = require('../middleware/reauthenticate');
+const { recordEvent } = require('../services/audit');
+const { FORM_1099_TYPES } = require('../services/form1099s');
+
+const router = express.Router();
+
+// Records holding encrypted fields, and how to find the caller's own record
+const RESOURCES = {
+    user: { Model: User, where: (req) => ({ id: req.user.id }) },
+    dependent: { Model: Dependent, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    'w2-form': { Model: W2Form, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    form1098: { Model: Form1098, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    form1098e: { Model: Form1098E, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    'tax-return': { Model: TaxReturn, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    business: { Model: Business, where: (req) => ({ id: req.body.id, userId: req.user.id }) },
+    // form1099-int, form1099-div, ...
+    ...Object.fromEntries(Object.entries(FORM_1099_TYPES).map(([type, { Model }]) => [
+        `form1099-${type}`,
+        { Model, where: (req) => ({ id: req.body.id, userId: req.user.id }) }
+    ]))
+};
+
+// POST /api/dashboard/reveal - Return one unmasked SSN/EIN/TIN after re-entering the password
+// Only available in sessions signed in with two-factor authentication.
+// Body: { resource: 'dependent', id, field: 'ssn', password }
+router.post('/', auth, [
+    body('resource').isIn(Object.keys(RESOURCES)).withMessage('Invalid resource'),
+    body('id').if(body('resource').not().equals('user')).isUUID().withMessage('Invalid id'),
+    body('field').isString().withMessage('Field is required')
+], validate, auth.requireTwoFactor, reauthenticate, async (req, res) => {
+    try {
+        const { Model, where } = RESOURCES[req.body.resource];
+        if (!Model.SENSITIVE_FIELDS.includes(req.body.field)) {
+            return res.status(400).json({ message: `${req.body.field} cannot be revealed` });
+        }
+
+        const user = await User.findByPk(req.user.id);
+        if (!user.emailVerified) {
+            return res.status(403).json({ message: 'Please verify your email address before viewing full SSNs or TINs' });
+        }
+
+        const record = await Model.findOne({ where: where(req) });
+        if (!record) {
+            return res.status(404).json({ message: 'Record not found' });
+        }
+
+        await recordEvent({
+            action: 'reveal',
+            entityType: Model.name,
+            entityId: record.id,
+            subjectUserId: req.user.id,
+            metadata: { field: req.body.field }
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            resource: req.body.resource,
+            id: record.id,
+            field: req.body.field,
+            value: record.get(req.body.field)
+        });
+    } catch (error) {
+        console.error('Reveal field error:', error);
+        res.status(500).json({ message: 'Failed to reveal field' });
+    }
+});
+
+module.exports = router;
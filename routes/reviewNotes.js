@@ -0,0 +1,56 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const User = require('../models/User');
+const ReviewNote = require('../models/ReviewNote');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// GET /api/dashboard/review-notes?year= - Notes preparers have left on the user's returns
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, async (req, res) => {
+    try {
+        const where = { clientId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const notes = await ReviewNote.findAll({
+            where,
+            include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName', 'role'] }],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json(notes);
+    } catch (error) {
+        console.error('Get review notes error:', error);
+        res.status(500).json({ message: 'Failed to fetch review notes' });
+    }
+});
+
+// PUT /api/dashboard/review-notes/:id/resolve - Mark a note as dealt with
+router.put('/:id/resolve', auth, [
+    param('id').isUUID().withMessage('Invalid note id')
+], validate, async (req, res) => {
+    try {
+        const note = await ReviewNote.findOne({
+            where: { id: req.params.id, clientId: req.user.id }
+        });
+        if (!note) {
+            return res.status(404).json({ message: 'Review note not found' });
+        }
+
+        await note.update({ resolvedAt: new Date(), resolvedById: req.user.id });
+
+        res.json({
+            message: 'Review note resolved',
+            note
+        });
+    } catch (error) {
+        console.error('Resolve review note error:', error);
+        res.status(500).json({ message: 'Failed to resolve review note' });
+    }
+});
+
+module.exports = router;
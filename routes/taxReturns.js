@@ -0,0 +1,385 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const TaxReturn = require('../models/TaxReturn');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { SUPPORTED_TAX_YEARS } = require('../config/taxYears');
+const { isMaskedValue } = require('../services/fieldEncryption');
+const { classifyTaxpayerId, formatTaxpayerId } = require('../services/taxpayerIds');
+const { findDuplicateTaxpayerId, duplicateMessage } = require('../services/dependents');
+const { computeTaxReturn, documentsForReturn } = require('../services/taxCalculator');
+const { createReturnPackagePdf } = require('../services/form1040Pdf');
+const {
+    openTaxReturn,
+    copyForward,
+    loadDocuments,
+    computeAndStore
+} = require('../services/taxReturns');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['filingStatus', 'income', 'deductions', 'status'];
+
+const FILING_STATUSES = ['single', 'married-joint', 'married-separate', 'head-of-household', 'qualifying-widow'];
+
+const yearParam = param('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid tax year').toInt();
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+async function findOwnTaxReturn(req) {
+    return TaxReturn.findOne({
+        where: {
+            userId: req.user.id,
+            taxYear: req.params.year
+        }
+    });
+}
+
+function unsupportedYear(res, taxYear) {
+    return res.status(400).json({
+        message: `Tax year ${taxYear} is not supported`,
+        supportedYears: SUPPORTED_TAX_YEARS
+    });
+}
+
+// GET /api/dashboard/tax-returns - List the user's tax returns, newest year first
+router.get('/', auth, auditView('TaxReturn'), async (req, res) => {
+    try {
+        const taxReturns = await TaxReturn.findAll({
+            where: { userId: req.user.id },
+            order: [['taxYear', 'DESC']]
+        });
+        res.json(taxReturns);
+    } catch (error) {
+        console.error('Get tax returns error:', error);
+        res.status(500).json({ message: 'Failed to fetch tax returns' });
+    }
+});
+
+// POST /api/dashboard/tax-returns - Open a new tax year
+// Filing status and dependents are copied from the latest prior year unless
+// copyForward is false; income and deductions always start empty.
+router.post('/', auth, [
+    body('taxYear').isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('copyForward').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+    try {
+        const { taxYear } = req.body;
+        if (!SUPPORTED_TAX_YEARS.includes(taxYear)) {
+            return unsupportedYear(res, taxYear);
+        }
+
+        const existing = await TaxReturn.findOne({
+            where: { userId: req.user.id, taxYear }
+        });
+        if (existing) {
+            return res.status(409).json({
+                message: `A tax return for ${taxYear} already exists`,
+                taxReturn: existing
+            });
+        }
+
+        const taxReturn = await openTaxReturn(req.user.id, taxYear, {
+            copyForward: req.body.copyForward !== false
+        });
+
+        res.status(201).json(taxReturn);
+    } catch (error) {
+        console.error('Open tax return error:', error);
+        res.status(500).json({ message: 'Failed to open tax return' });
+    }
+});
+
+// GET /api/dashboard/tax-returns/:year - Get a tax return with its documents
+router.get('/:year', auth, [yearParam], validate, auditView('TaxReturn'), async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        res.json({
+            ...taxReturn.toJSON(),
+            ...(await loadDocuments(taxReturn))
+        });
+    } catch (error) {
+        console.error('Get tax return error:', error);
+        res.status(500).json({ message: 'Failed to fetch tax return' });
+    }
+});
+
+// PUT /api/dashboard/tax-returns/:year - Update filing status, income, deductions or status
+// Setting status to 'filed' computes and stores the results the return is filed with.
+router.put('/:year', auth, [
+    yearParam,
+    body('filingStatus').optional({ nullable: true }).isIn(FILING_STATUSES).withMessage('Invalid filing status'),
+    body('income').optional().isObject().withMessage('Income must be an object'),
+    body('deductions').optional().isObject().withMessage('Deductions must be an object'),
+    body('status').optional().isIn(['in_progress', 'completed', 'filed']).withMessage('Invalid status')
+], validate, async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (taxReturn.status === 'filed') {
+            return res.status(409).json({ message: 'A filed tax return cannot be changed' });
+        }
+
+        const { status, ...changes } = pickEditable(req.body);
+        if (status === 'filed') {
+            if (!SUPPORTED_TAX_YEARS.includes(taxReturn.taxYear)) {
+                return unsupportedYear(res, taxReturn.taxYear);
+            }
+            const filingStatus = changes.filingStatus !== undefined ? changes.filingStatus : taxReturn.filingStatus;
+            if (!filingStatus) {
+                return res.status(400).json({
+                    message: 'Please set the filing status for this tax year before filing your return.'
+                });
+            }
+        }
+
+        await taxReturn.update(changes);
+        // A return is filed with results computed from its documents at that
+        // moment; they are frozen from then on
+        if (status === 'filed') {
+            await computeAndStore(taxReturn);
+        }
+        if (status !== undefined) {
+            await taxReturn.update({ status });
+        }
+
+        res.json({
+            message: 'Tax return updated successfully',
+            taxReturn
+        });
+    } catch (error) {
+        console.error('Update tax return error:', error);
+        res.status(500).json({ message: 'Failed to update tax return' });
+    }
+});
+
+// POST /api/dashboard/tax-returns/:year/copy-forward - Copy profile data from a prior year
+// Copies from fromYear when given, else from the latest earlier return.
+router.post('/:year/copy-forward', auth, [
+    yearParam,
+    body('fromYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('fromYear must be a valid year').toInt()
+], validate, async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (taxReturn.status === 'filed') {
+            return res.status(409).json({ message: 'A filed tax return cannot be changed' });
+        }
+
+        if (req.body.fromYear && req.body.fromYear >= taxReturn.taxYear) {
+            return res.status(400).json({ message: 'Profile data can only be copied from an earlier year' });
+        }
+
+        const updated = await copyForward(taxReturn, req.body.fromYear);
+        if (!updated) {
+            return res.status(404).json({ message: 'No earlier tax return to copy from' });
+        }
+
+        res.json({
+            message: `Profile copied from ${updated.copiedFromYear}`,
+            taxReturn: updated
+        });
+    } catch (error) {
+        console.error('Copy forward tax return error:', error);
+        res.status(500).json({ message: 'Failed to copy profile data' });
+    }
+});
+
+// POST /api/dashboard/tax-returns/:year/compute - Compute and store the return's results
+// Filing a return (PUT status: 'filed') stores them one last time.
+router.post('/:year/compute', auth, [yearParam], validate, async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (taxReturn.status === 'filed') {
+            return res.status(409).json({ message: 'A filed tax return keeps the results it was filed with' });
+        }
+
+        if (!SUPPORTED_TAX_YEARS.includes(taxReturn.taxYear)) {
+            return unsupportedYear(res, taxReturn.taxYear);
+        }
+
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set the filing status for this tax year before calculating your taxes.'
+            });
+        }
+
+        await computeAndStore(taxReturn);
+
+        res.json({
+            success: true,
+            data: taxReturn.results,
+            computedAt: taxReturn.computedAt
+        });
+    } catch (error) {
+        console.error('Compute tax return error:', error);
+        res.status(500).json({ message: 'Failed to compute tax return' });
+    }
+});
+
+// GET /api/dashboard/tax-returns/:year/pdf - Download Form 1040 with its schedules as one PDF
+// A filed return prints the results it was filed with; any other return is
+// computed from its current documents and marked DRAFT.
+router.get('/:year/pdf', auth, [yearParam], validate, auditView('TaxReturn'), async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (!SUPPORTED_TAX_YEARS.includes(taxReturn.taxYear)) {
+            return unsupportedYear(res, taxReturn.taxYear);
+        }
+
+        if (!taxReturn.filingStatus) {
+            return res.status(400).json({
+                message: 'Please set the filing status for this tax year before downloading your return.'
+            });
+        }
+
+        // Returns marked filed before results were stored on filing have no
+        // filed figures to print
+        if (taxReturn.status === 'filed' && !taxReturn.results) {
+            return res.status(409).json({
+                message: 'This return was filed without stored results, so there is no filed copy to download.'
+            });
+        }
+
+        const documents = await loadDocuments(taxReturn);
+        const results = taxReturn.status === 'filed'
+            ? taxReturn.results
+            : computeTaxReturn({
+                taxYear: taxReturn.taxYear,
+                filingStatus: taxReturn.filingStatus,
+                dependents: taxReturn.dependentsSnapshot || [],
+                ...documents
+            });
+
+        const doc = createReturnPackagePdf({
+            user: await User.findByPk(req.user.id),
+            taxReturn,
+            results,
+            documents: {
+                form1099INTs: documentsForReturn(documents.form1099INTs, taxReturn.filingStatus),
+                form1099DIVs: documentsForReturn(documents.form1099DIVs, taxReturn.filingStatus)
+            }
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="1040-${taxReturn.taxYear}.pdf"`);
+
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        console.error('Download tax return PDF error:', error);
+        res.status(500).json({ message: 'Failed to generate tax return PDF' });
+    }
+});
+
+// PUT /api/dashboard/tax-returns/:year/spouse - Set the spouse on a married return
+// Body: { firstName, lastName, ssn, birthDate }. The spouse's W-2s and other
+// documents are uploaded as usual with owner: 'spouse'.
+router.put('/:year/spouse', auth, [
+    yearParam,
+    body('firstName').optional().trim().notEmpty().withMessage('Spouse first name cannot be empty'),
+    body('lastName').optional().trim().notEmpty().withMessage('Spouse last name cannot be empty'),
+    body('ssn').optional({ nullable: true, checkFalsy: true }).custom((value) => {
+        // The masked value sent back from GET leaves the stored number unchanged
+        if (isMaskedValue(value) || classifyTaxpayerId(value)) {
+            return true;
+        }
+        throw new Error('Spouse SSN must be a valid SSN or ITIN (e.g. 123-45-6789)');
+    }),
+    body('birthDate').optional({ nullable: true }).isISO8601().withMessage('Spouse birth date must be a valid date')
+], validate, async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (taxReturn.status === 'filed') {
+            return res.status(409).json({ message: 'A filed tax return cannot be changed' });
+        }
+
+        const updates = {};
+        for (const [field, column] of [['firstName', 'spouseFirstName'], ['lastName', 'spouseLastName'], ['birthDate', 'spouseBirthDate']]) {
+            if (req.body[field] !== undefined) {
+                updates[column] = req.body[field];
+            }
+        }
+
+        const { ssn } = req.body;
+        if (ssn !== undefined && !isMaskedValue(ssn)) {
+            if (ssn) {
+                const duplicate = await findDuplicateTaxpayerId(req.user.id, ssn, { excludeSpouse: true });
+                if (duplicate) {
+                    return res.status(409).json({ message: duplicateMessage(duplicate) });
+                }
+            }
+            updates.spouseSsn = ssn ? formatTaxpayerId(ssn) : null;
+        }
+
+        await taxReturn.update(updates);
+
+        res.json({
+            message: 'Spouse updated successfully',
+            taxReturn
+        });
+    } catch (error) {
+        console.error('Update spouse error:', error);
+        res.status(500).json({ message: 'Failed to update spouse' });
+    }
+});
+
+// DELETE /api/dashboard/tax-returns/:year/spouse - Remove the spouse from a return
+// Documents marked as the spouse's are kept; they only count on a joint return.
+router.delete('/:year/spouse', auth, [yearParam], validate, async (req, res) => {
+    try {
+        const taxReturn = await findOwnTaxReturn(req);
+        if (!taxReturn) {
+            return res.status(404).json({ message: 'Tax return not found' });
+        }
+
+        if (taxReturn.status === 'filed') {
+            return res.status(409).json({ message: 'A filed tax return cannot be changed' });
+        }
+
+        await taxReturn.update({
+            spouseFirstName: null,
+            spouseLastName: null,
+            spouseSsn: null,
+            spouseBirthDate: null
+        });
+
+        res.json({ message: 'Spouse removed successfully' });
+    } catch (error) {
+        console.error('Remove spouse error:', error);
+        res.status(500).json({ message: 'Failed to remove spouse' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const reauthenticate = require('../middleware/reauthenticate');
+const rateLimit = require('../middleware/rateLimit');
+const { generateSecret, verifyCode, provisioningUri } = require('../services/totp');
+const { generateBackupCodes, remainingBackupCodes, verifySecondFactor } = require('../services/twoFactor');
+const { lockedFor, registerFailedLogin, lockedResponse } = require('../services/accountLockout');
+
+const router = express.Router();
+
+const codeValidator = body('code').isString().notEmpty().withMessage('Authentication code is required');
+
+// A wrong code counts as a failed sign-in and may lock the account
+async function rejectCode(user, res) {
+    const lockedSeconds = await registerFailedLogin(user);
+    if (lockedSeconds > 0) {
+        return lockedResponse(res, lockedSeconds);
+    }
+    return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+}
+
+// GET /api/auth/2fa - Two-factor status for the current user
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            enabled: user.totpEnabled,
+            enabledAt: user.totpEnabledAt,
+            backupCodesRemaining: user.totpEnabled ? remainingBackupCodes(user) : 0,
+            sessionVerified: Boolean(req.authSession.twoFactorVerified)
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/auth/2fa/enroll - Start enrollment: new secret and otpauth:// URI for the QR code
+// Nothing changes for sign-in until the first code is confirmed with /verify.
+router.post('/enroll', auth, reauthenticate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (user.totpEnabled) {
+            return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        await user.update({ totpSecret: secret, totpLastUsedStep: null });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            secret,
+            provisioningUri: provisioningUri(secret, user.email)
+        });
+    } catch (error) {
+        console.error('Two-factor enroll error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/auth/2fa/verify - Confirm enrollment with a first code and receive backup codes
+router.post('/verify', auth, rateLimit.auth, [codeValidator], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        const retryAfter = lockedFor(user);
+        if (retryAfter > 0) {
+            return lockedResponse(res, retryAfter);
+        }
+        if (user.totpEnabled) {
+            return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.totpSecret) {
+            return res.status(400).json({ success: false, message: 'Start enrollment first' });
+        }
+
+        // Wrong codes count towards the same lockout as /login/2fa
+        const step = verifyCode(user.totpSecret, req.body.code);
+        if (step === null) {
+            return rejectCode(user, res);
+        }
+
+        const { codes, stored } = generateBackupCodes();
+        await user.update({
+            totpEnabled: true,
+            totpEnabledAt: new Date(),
+            totpLastUsedStep: step,
+            totpBackupCodes: stored
+        });
+
+        // The user just proved they hold the second factor
+        await Session.update({ twoFactorVerified: true }, { where: { id: req.sessionId } });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.',
+            backupCodes: codes
+        });
+    } catch (error) {
+        console.error('Two-factor verify error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/auth/2fa/backup-codes - Replace all backup codes
+router.post('/backup-codes', auth, rateLimit.auth, [codeValidator], validate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (!user.totpEnabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        const retryAfter = lockedFor(user);
+        if (retryAfter > 0) {
+            return lockedResponse(res, retryAfter);
+        }
+
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            return rejectCode(user, res);
+        }
+
+        const { codes, stored } = generateBackupCodes();
+        await user.update({ totpBackupCodes: stored });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, backupCodes: codes });
+    } catch (error) {
+        console.error('Backup codes error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication
+// Requires the password and a current code (or a backup code).
+router.post('/disable', auth, [
+    body().custom((value) => Boolean(value.code || value.backupCode)).withMessage('An authentication code or backup code is required')
+], validate, reauthenticate, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+        if (!user.totpEnabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await verifySecondFactor(user, req.body))) {
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        await user.update({
+            totpEnabled: false,
+            totpEnabledAt: null,
+            totpSecret: null,
+            totpLastUsedStep: null,
+            totpBackupCodes: []
+        });
+        await Session.update({ twoFactorVerified: false }, { where: { userId: user.id } });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, param, query } = require('express-validator');
+const W2Form = require('../models/W2Form');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { auditView } = require('../middleware/audit');
+const { W2_UPLOAD_DIR } = require('../middleware/upload');
+const { resolveTaxYear, isFiledYear } = require('../services/taxReturns');
+const { W2_FIELDS, REVIEW_THRESHOLD, applyReview, toW2FormFields, redactExtractedData } = require('../services/w2Extraction');
+
+const router = express.Router();
+
+// Fields a user may set directly; file and processing columns are managed by upload/extract
+const EDITABLE_FIELDS = [
+    'taxYear',
+    'owner',
+    'employer',
+    'employerAddress',
+    'employerEIN',
+    'employeeName',
+    'employeeSSN',
+    'employeeAddress',
+    'wages',
+    'federalTaxWithheld',
+    'socialSecurityWages',
+    'socialSecurityTax',
+    'medicareWages',
+    'medicareTax',
+    'socialSecurityTips',
+    'allocatedTips',
+    'dependentCareBenefits',
+    'nonqualifiedPlans',
+    'box12',
+    'statutoryEmployee',
+    'retirementPlan',
+    'thirdPartySickPay',
+    'other',
+    'stateTaxInfo',
+    'localTaxInfo',
+    'processingNotes'
+];
+
+const MONEY_FIELDS = [
+    'wages',
+    'federalTaxWithheld',
+    'socialSecurityWages',
+    'socialSecurityTax',
+    'medicareWages',
+    'medicareTax',
+    'socialSecurityTips',
+    'allocatedTips',
+    'dependentCareBenefits',
+    'nonqualifiedPlans'
+];
+
+const w2Validators = [
+    body('taxYear').optional().isInt({ min: 2000, max: 2100 }).withMessage('Tax year must be a valid year').toInt(),
+    body('owner').optional().isIn(['taxpayer', 'spouse']).withMessage('Owner must be taxpayer or spouse'),
+    ...MONEY_FIELDS.map((field) =>
+        body(field).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(`${field} must be a non-negative amount`)
+    ),
+    body(['statutoryEmployee', 'retirementPlan', 'thirdPartySickPay']).optional().isBoolean().toBoolean(),
+    body(['box12', 'other', 'stateTaxInfo', 'localTaxInfo']).optional().isArray().withMessage('Must be an array')
+];
+
+function pickEditable(source) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) {
+            fields[key] = source[key];
+        }
+        return fields;
+    }, {});
+}
+
+// Look up a W-2 that belongs to the authenticated user
+async function findOwnW2Form(req) {
+    return W2Form.findOne({
+        where: {
+            id: req.params.id,
+            userId: req.user.id
+        }
+    });
+}
+
+// GET /api/dashboard/w2-forms?year= - List the user's W-2s, optionally for one tax year
+router.get('/', auth, [
+    query('year').optional().isInt().withMessage('Year must be a number').toInt()
+], validate, auditView('W2Form'), async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.year) {
+            where.taxYear = req.query.year;
+        }
+
+        const w2Forms = await W2Form.findAll({
+            where,
+            order: [['taxYear', 'DESC'], ['createdAt', 'DESC']]
+        });
+        res.json(w2Forms);
+    } catch (error) {
+        console.error('Get W-2 forms error:', error);
+        res.status(500).json({ message: 'Failed to fetch W-2 forms' });
+    }
+});
+
+// POST /api/dashboard/w2-forms - Create a W-2 record (e.g. entered by hand)
+router.post('/', auth, w2Validators, validate, async (req, res) => {
+    try {
+        const taxYear = await resolveTaxYear(req.user.id, req.body.taxYear);
+        if (await isFiledYear(req.user.id, taxYear)) {
+            return res.status(409).json({ message: 'W-2s cannot be added to a filed return' });
+        }
+
+        const w2Form = await W2Form.create({
+            taxYear,
+            ...pickEditable(req.body),
+            userId: req.user.id
+        });
+
+        res.status(201).json(w2Form);
+    } catch (error) {
+        console.error('Create W-2 form error:', error);
+        res.status(500).json({ message: 'Failed to create W-2 form' });
+    }
+});
+
+// GET /api/dashboard/w2-forms/:id - Get a single W-2
+router.get('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id')
+], validate, auditView('W2Form', { idParam: 'id' }), async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        res.json(w2Form);
+    } catch (error) {
+        console.error('Get W-2 form error:', error);
+        res.status(500).json({ message: 'Failed to fetch W-2 form' });
+    }
+});
+
+// PUT /api/dashboard/w2-forms/:id - Update a W-2
+router.put('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id'),
+    ...w2Validators
+], validate, async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        const years = [w2Form.taxYear, req.body.taxYear].filter(Boolean);
+        for (const taxYear of years) {
+            if (await isFiledYear(req.user.id, taxYear)) {
+                return res.status(409).json({ message: 'W-2s on a filed return cannot be changed' });
+            }
+        }
+
+        await w2Form.update(pickEditable(req.body));
+
+        res.json({
+            message: 'W-2 form updated successfully',
+            w2Form
+        });
+    } catch (error) {
+        console.error('Update W-2 form error:', error);
+        res.status(500).json({ message: 'Failed to update W-2 form' });
+    }
+});
+
+// GET /api/dashboard/w2-forms/:id/file - Download the uploaded W-2
+router.get('/:id/file', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id')
+], validate, auditView('W2Form', { idParam: 'id' }), async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        // W-2s uploaded before W2Form rows existed only have a file name
+        const filePath = w2Form.filePath || (w2Form.fileName && path.join(W2_UPLOAD_DIR, w2Form.fileName));
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({ message: 'No file was uploaded for this W-2' });
+        }
+
+        res.download(filePath, w2Form.fileName);
+    } catch (error) {
+        console.error('Download W-2 file error:', error);
+        res.status(500).json({ message: 'Failed to download W-2 file' });
+    }
+});
+
+// Per-field review state for an extracted W-2
+function reviewSummary(w2Form) {
+    const extractedData = w2Form.extractedData || {};
+    const fields = extractedData.fields || {};
+    const reviewRequired = extractedData.reviewRequired || [];
+
+    return {
+        w2FormId: w2Form.id,
+        isProcessed: w2Form.isProcessed,
+        threshold: REVIEW_THRESHOLD,
+        template: extractedData.template || null,
+        reviewRequired,
+        fields: W2_FIELDS.filter((field) => fields[field.key]).map((field) => ({
+            key: field.key,
+            label: field.label,
+            required: Boolean(field.required),
+            ...fields[field.key],
+            needsReview: reviewRequired.includes(field.key)
+        }))
+    };
+}
+
+// GET /api/dashboard/w2-forms/:id/review - Extracted fields with confidence and source snippets
+router.get('/:id/review', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id')
+], validate, auditView('W2Form', { idParam: 'id' }), async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        if (!w2Form.extractedData || !w2Form.extractedData.fields) {
+            return res.status(400).json({ message: 'This W-2 has not been extracted yet.' });
+        }
+
+        res.json({
+            success: true,
+            data: reviewSummary(w2Form)
+        });
+    } catch (error) {
+        console.error('Get W-2 review error:', error);
+        res.status(500).json({ message: 'Failed to fetch W-2 review' });
+    }
+});
+
+// POST /api/dashboard/w2-forms/:id/review - Confirm or correct extracted fields
+// Body: { corrections: { box1_wages: '85000.00' }, confirm: ['box2_federalTax'] }
+// The W-2 becomes processed once no field is left needing review.
+router.post('/:id/review', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id'),
+    body('corrections').optional().isObject().withMessage('Corrections must be an object of field values'),
+    body('corrections').optional().custom((corrections) => {
+        for (const [key, value] of Object.entries(corrections)) {
+            const field = W2_FIELDS.find((candidate) => candidate.key === key);
+            if (!field) {
+                throw new Error(`Unknown W-2 field: ${key}`);
+            }
+            if (field.type === 'money' && value !== null && !(parseFloat(value) >= 0)) {
+                throw new Error(`${key} must be a non-negative amount`);
+            }
+            if (field.type === 'list' && !Array.isArray(value)) {
+                throw new Error(`${key} must be an array`);
+            }
+            if (field.type === 'checkbox' && typeof value !== 'boolean') {
+                throw new Error(`${key} must be true or false`);
+            }
+        }
+        return true;
+    }),
+    body('confirm').optional().isArray().withMessage('Confirm must be an array of field names')
+], validate, async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        if (!w2Form.extractedData || !w2Form.extractedData.fields) {
+            return res.status(400).json({ message: 'This W-2 has not been extracted yet.' });
+        }
+
+        if (await isFiledYear(req.user.id, w2Form.taxYear)) {
+            return res.status(409).json({ message: 'W-2s on a filed return cannot be changed' });
+        }
+
+        const extractedData = applyReview(w2Form.extractedData, req.body.corrections || {}, req.body.confirm || []);
+
+        // Masked values that were not corrected are ignored by the encrypted
+        // column setters, so the stored SSN is kept
+        await w2Form.update({
+            ...toW2FormFields(extractedData),
+            extractedData: redactExtractedData(extractedData),
+            isProcessed: extractedData.reviewRequired.length === 0
+        });
+
+        res.json({
+            success: true,
+            message: w2Form.isProcessed
+                ? 'W-2 review complete'
+                : 'W-2 review saved. Some fields still need your review.',
+            data: reviewSummary(w2Form)
+        });
+    } catch (error) {
+        console.error('Save W-2 review error:', error);
+        res.status(500).json({ message: 'Failed to save W-2 review' });
+    }
+});
+
+// DELETE /api/dashboard/w2-forms/:id - Delete a W-2 and its uploaded file
+router.delete('/:id', auth, [
+    param('id').isUUID().withMessage('Invalid W-2 id')
+], validate, async (req, res) => {
+    try {
+        const w2Form = await findOwnW2Form(req);
+        if (!w2Form) {
+            return res.status(404).json({ message: 'W-2 form not found' });
+        }
+
+        if (await isFiledYear(req.user.id, w2Form.taxYear)) {
+            return res.status(409).json({ message: 'W-2s on a filed return cannot be removed' });
+        }
+
+        if (w2Form.filePath && fs.existsSync(w2Form.filePath)) {
+            fs.unlinkSync(w2Form.filePath);
+        }
+
+        await w2Form.destroy();
+        res.json({ message: 'W-2 form deleted successfully' });
+    } catch (error) {
+        console.error('Delete W-2 form error:', error);
+        res.status(500).json({ message: 'Failed to delete W-2 form' });
+    }
+});
+
+module.exports = router;
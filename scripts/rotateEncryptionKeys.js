@@ -0,0 +1,100 @@
+// Re-wrap every encrypted field under the first key in FIELD_ENCRYPTION_KEYS,
+// encrypt values stored before encryption was enabled and mask SSNs left in
+// older W-2 extraction results. Safe to run more than once.
+//
+//   FIELD_ENCRYPTION_KEYS="new:<base64>,old:<base64>" npm run rotate-keys
+//
+// Once it finishes, the old key can be removed from FIELD_ENCRYPTION_KEYS.
+require('dotenv').config();
+const sequelize = require('../config/database');
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const W2Form = require('../models/W2Form');
+const Form1098 = require('../models/Form1098');
+const Form1098E = require('../models/Form1098E');
+const TaxReturn = require('../models/TaxReturn');
+const Business = require('../models/Business');
+const { rewrapField } = require('../services/fieldEncryption');
+const { FORM_1099_MODELS } = require('../services/form1099s');
+const { redactExtractedData } = require('../services/w2Extraction');
+
+const MODELS = [User, Dependent, W2Form, Form1098, Form1098E, TaxReturn, ...FORM_1099_MODELS, Business];
+const BATCH_SIZE = 200;
+
+async function forEachRecord(Model, attributes, callback) {
+    let offset = 0;
+    for (;;) {
+        const records = await Model.findAll({ attributes, order: [['id', 'ASC']], limit: BATCH_SIZE, offset });
+        for (const record of records) {
+            await callback(record);
+        }
+        if (records.length < BATCH_SIZE) {
+            return;
+        }
+        offset += BATCH_SIZE;
+    }
+}
+
+async function rotateModel(Model) {
+    let updated = 0;
+    await forEachRecord(Model, ['id', ...Model.SENSITIVE_FIELDS], async (record) => {
+        const changes = {};
+        for (const field of Model.SENSITIVE_FIELDS) {
+            const stored = record.getDataValue(field);
+            const rewrapped = rewrapField(stored);
+            if (rewrapped !== stored) {
+                changes[field] = rewrapped;
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            await Model.update(changes, { where: { id: record.id }, hooks: false });
+            updated++;
+        }
+    });
+    console.log(`${Model.tableName}: ${updated} record(s) updated`);
+}
+
+async function rotateDependentSnapshots() {
+    let updated = 0;
+    await forEachRecord(TaxReturn, ['id', 'dependentsSnapshot'], async (taxReturn) => {
+        const snapshot = taxReturn.dependentsSnapshot || [];
+        const rotated = snapshot.map((dependent) => ({ ...dependent, ssn: rewrapField(dependent.ssn) }));
+        if (JSON.stringify(rotated) !== JSON.stringify(snapshot)) {
+            await TaxReturn.update({ dependentsSnapshot: rotated }, { where: { id: taxReturn.id }, hooks: false });
+            updated++;
+        }
+    });
+    console.log(`${TaxReturn.tableName}: ${updated} record(s) updated`);
+}
+
+async function redactW2ExtractedData() {
+    let updated = 0;
+    await forEachRecord(W2Form, ['id', 'extractedData'], async (w2Form) => {
+        const { extractedData } = w2Form;
+        if (!extractedData || !extractedData.fields) {
+            return;
+        }
+        const redacted = redactExtractedData(extractedData);
+        if (JSON.stringify(redacted) !== JSON.stringify(extractedData)) {
+            await W2Form.update({ extractedData: redacted }, { where: { id: w2Form.id }, hooks: false });
+            updated++;
+        }
+    });
+    console.log(`${W2Form.tableName} extractedData: ${updated} record(s) redacted`);
+}
+
+async function main() {
+    await sequelize.authenticate();
+    for (const Model of MODELS) {
+        await rotateModel(Model);
+    }
+    await rotateDependentSnapshots();
+    await redactW2ExtractedData();
+    await sequelize.close();
+}
+
+main().catch(async (error) => {
+    console.error('Key rotation failed:', error);
+    await sequelize.close();
+    process.exit(1);
+});
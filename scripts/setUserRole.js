@@ -0,0 +1,36 @@
+// Set a user's role from the command line, e.g. to create the first admin:
+//
+//   npm run set-role -- admin@example.com admin
+//
+// After that, roles can be managed through /api/admin/users.
+require('dotenv').config();
+const sequelize = require('../config/database');
+const User = require('../models/User');
+
+const ROLES = User.rawAttributes.role.values;
+
+async function main() {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await sequelize.authenticate();
+    const user = await User.findOne({ where: { email: email.toLowerCase() } });
+    if (!user) {
+        console.error(`No user with email ${email}`);
+        await sequelize.close();
+        process.exit(1);
+    }
+
+    await user.update({ role });
+    console.log(`${user.email} is now ${role}`);
+    await sequelize.close();
+}
+
+main().catch(async (error) => {
+    console.error('Setting role failed:', error);
+    await sequelize.close();
+    process.exit(1);
+});
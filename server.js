@@ -16,10 +16,45 @@ const User = require('./models/User');
 const Dependent = require('./models/Dependent');
 const W2Form = require('./models/W2Form');
 const Form1098 = require('./models/Form1098');
+const Form1098E = require('./models/Form1098E');
+const TaxReturn = require('./models/TaxReturn');
+const Session = require('./models/Session');
+const AuthToken = require('./models/AuthToken');
+const ClientAssignment = require('./models/ClientAssignment');
+const ReviewNote = require('./models/ReviewNote');
+const AuditEvent = require('./models/AuditEvent');
+const ItemizedDeduction = require('./models/ItemizedDeduction');
+const Business = require('./models/Business');
+
+const { terminateOcrWorker } = require('./services/documentText');
+const { registerTaxReturnHooks } = require('./services/taxReturns');
+const { loadKeyring } = require('./services/fieldEncryption');
+const { jwtSecret } = require('./services/sessions');
+const { registerAuditHooks } = require('./services/audit');
+const { FORM_1099_TYPES, FORM_1099_MODELS } = require('./services/form1099s');
+const { auditContext } = require('./middleware/audit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const dashboardRoutes = require('./routes/dashboard');
+const dependentRoutes = require('./routes/dependents');
+const filingStatusRoutes = require('./routes/filingStatus');
+const w2FormRoutes = require('./routes/w2Forms');
+const form1098Routes = require('./routes/form1098s');
+const form1098ERoutes = require('./routes/form1098Es');
+const taxReturnRoutes = require('./routes/taxReturns');
+const itemizedDeductionRoutes = require('./routes/itemizedDeductions');
+const form1099Routes = require('./routes/form1099s');
+const businessRoutes = require('./routes/businesses');
+const revealRoutes = require('./routes/reveal');
+const reviewNoteRoutes = require('./routes/reviewNotes');
+const preparerRoutes = require('./routes/preparer');
+const adminRoutes = require('./routes/admin');
+const activityRoutes = require('./routes/activity');
+
+// Railway terminates TLS at its proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
 
 // Middleware
 app.use(cors({
@@ -28,19 +63,34 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(auditContext);
 
-// Create uploads directory if it doesn't exist
+// Create uploads directory if it doesn't exist. Uploaded documents hold full
+// SSNs and EINs, so the directory is never served statically; each document's
+// file is downloaded through its own authenticated route.
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(uploadsDir));
-
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/dashboard/dependents', dependentRoutes);
+app.use('/api/dashboard/filing-status', filingStatusRoutes);
+app.use('/api/dashboard/w2-forms', w2FormRoutes);
+app.use('/api/dashboard/form1098s', form1098Routes);
+app.use('/api/dashboard/form1098es', form1098ERoutes);
+app.use('/api/dashboard/tax-returns', taxReturnRoutes);
+app.use('/api/dashboard/itemized-deductions', itemizedDeductionRoutes);
+app.use('/api/dashboard/form1099s', form1099Routes);
+app.use('/api/dashboard/businesses', businessRoutes);
+app.use('/api/dashboard/reveal', revealRoutes);
+app.use('/api/dashboard/review-notes', reviewNoteRoutes);
+app.use('/api/dashboard/activity', activityRoutes);
+app.use('/api/preparer', preparerRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -100,9 +150,72 @@ W2Form.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Form1098, { foreignKey: 'userId', as: 'form1098s' });
 Form1098.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+User.hasMany(Form1098E, { foreignKey: 'userId', as: 'form1098Es' });
+Form1098E.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(AuthToken, { foreignKey: 'userId', as: 'authTokens' });
+AuthToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(TaxReturn, { foreignKey: 'userId', as: 'taxReturns' });
+TaxReturn.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+TaxReturn.hasMany(W2Form, { foreignKey: 'taxReturnId', as: 'w2Forms' });
+W2Form.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+
+TaxReturn.hasMany(Form1098, { foreignKey: 'taxReturnId', as: 'form1098s' });
+Form1098.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+
+TaxReturn.hasMany(Form1098E, { foreignKey: 'taxReturnId', as: 'form1098Es' });
+Form1098E.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+
+User.hasMany(ItemizedDeduction, { foreignKey: 'userId', as: 'itemizedDeductions' });
+ItemizedDeduction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+TaxReturn.hasMany(ItemizedDeduction, { foreignKey: 'taxReturnId', as: 'itemizedDeductions' });
+ItemizedDeduction.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+
+for (const { Model, documentKey } of Object.values(FORM_1099_TYPES)) {
+    User.hasMany(Model, { foreignKey: 'userId', as: documentKey });
+    Model.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+    TaxReturn.hasMany(Model, { foreignKey: 'taxReturnId', as: documentKey });
+    Model.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+}
+
+User.hasMany(Business, { foreignKey: 'userId', as: 'businesses' });
+Business.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+TaxReturn.hasMany(Business, { foreignKey: 'taxReturnId', as: 'businesses' });
+Business.belongsTo(TaxReturn, { foreignKey: 'taxReturnId', as: 'taxReturn' });
+
+Business.hasMany(FORM_1099_TYPES.nec.Model, { foreignKey: 'businessId', as: 'form1099NECs' });
+FORM_1099_TYPES.nec.Model.belongsTo(Business, { foreignKey: 'businessId', as: 'business' });
+
+User.hasMany(ClientAssignment, { foreignKey: 'preparerId', as: 'clientAssignments' });
+User.hasMany(ClientAssignment, { foreignKey: 'clientId', as: 'preparerAssignments' });
+ClientAssignment.belongsTo(User, { foreignKey: 'preparerId', as: 'preparer' });
+ClientAssignment.belongsTo(User, { foreignKey: 'clientId', as: 'client' });
+
+User.hasMany(ReviewNote, { foreignKey: 'clientId', as: 'reviewNotes' });
+ReviewNote.belongsTo(User, { foreignKey: 'clientId', as: 'client' });
+ReviewNote.belongsTo(User, { foreignKey: 'authorId', as: 'author' });
+
+// No foreign key: audit events must survive the user being deleted
+AuditEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor', constraints: false });
+
+registerTaxReturnHooks();
+registerAuditHooks([User, Dependent, W2Form, Form1098, Form1098E, TaxReturn, ItemizedDeduction, ...FORM_1099_MODELS, Business]);
+
 // Database connection and server startup
 async function startServer() {
     try {
+        // Fail fast if tokens could not be signed or SSNs encrypted
+        jwtSecret();
+        loadKeyring();
+
         // Test database connection
         await sequelize.authenticate();
         console.log('PostgreSQL connected successfully!');
@@ -126,12 +239,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    await terminateOcrWorker();
     await sequelize.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    await terminateOcrWorker();
     await sequelize.close();
     process.exit(0);
 });
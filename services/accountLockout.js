@@ -0,0 +1,58 @@
+// Per-account lockout with exponential backoff. The first few failures are
+// free; after that each failure locks the account for twice as long as the
+// last, up to MAX_LOCK_MS. State lives on User so every instance sees it.
+const FREE_ATTEMPTS = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+function lockDuration(failedLoginCount) {
+    const excess = failedLoginCount - FREE_ATTEMPTS;
+    if (excess < 0) {
+        return 0;
+    }
+    return Math.min(BASE_LOCK_MS * 2 ** excess, MAX_LOCK_MS);
+}
+
+// Seconds until the account unlocks, or 0 if it is not locked
+function lockedFor(user) {
+    if (!user.lockedUntil) {
+        return 0;
+    }
+    return Math.max(0, Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000));
+}
+
+async function registerFailedLogin(user) {
+    const failedLoginCount = (user.failedLoginCount || 0) + 1;
+    const duration = lockDuration(failedLoginCount);
+
+    await user.update({
+        failedLoginCount,
+        lastFailedLoginAt: new Date(),
+        lockedUntil: duration > 0 ? new Date(Date.now() + duration) : null
+    });
+
+    return lockedFor(user);
+}
+
+async function registerSuccessfulLogin(user) {
+    if (user.failedLoginCount || user.lockedUntil) {
+        await user.update({ failedLoginCount: 0, lockedUntil: null });
+    }
+}
+
+function lockedResponse(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed sign-in attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+        retryAfter
+    });
+}
+
+module.exports = {
+    lockDuration,
+    lockedFor,
+    registerFailedLogin,
+    registerSuccessfulLogin,
+    lockedResponse
+};
@@ -0,0 +1,149 @@
+// Audit trail for taxpayer data. Model hooks record creates, updates and
+// deletes; route middleware (middleware/audit.js) records views. The actor, IP
+// and user agent come from the request being handled, carried to the hooks
+// through AsyncLocalStorage.
+const { AsyncLocalStorage } = require('async_hooks');
+const { Op } = require('sequelize');
+const AuditEvent = require('../models/AuditEvent');
+
+const storage = new AsyncLocalStorage();
+
+const REDACTED = '[redacted]';
+
+// Never written to the log in any form, on top of each model's SENSITIVE_FIELDS.
+// The JSON blobs hold extracted SSNs or whole documents.
+const REDACTED_FIELDS = ['password', 'totpSecret', 'totpBackupCodes', 'extractedData', 'dependentsSnapshot', 'results'];
+
+// Bookkeeping that changes on every save or sign-in
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'totpLastUsedStep'];
+
+function runWithContext(context, callback) {
+    return storage.run(context, callback);
+}
+
+function currentContext() {
+    const store = storage.getStore();
+    if (!store) {
+        return {};
+    }
+    const { req } = store;
+    if (!req) {
+        return store;
+    }
+    return {
+        actorId: req.user ? req.user.id : null,
+        ipAddress: req.ip || null,
+        userAgent: req.get('User-Agent') || null
+    };
+}
+
+function isRedacted(Model, field) {
+    return REDACTED_FIELDS.includes(field) || (Model.SENSITIVE_FIELDS || []).includes(field);
+}
+
+// Raw stored values, so encrypted columns are never decrypted into the log
+function rawValue(instance, field, previous) {
+    return previous ? instance.previous(field) : instance.getDataValue(field);
+}
+
+function describeChanges(Model, instance, fields, { isCreate = false } = {}) {
+    const changes = {};
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field) || !Model.rawAttributes[field]) {
+            continue;
+        }
+        const to = rawValue(instance, field, false);
+        if (isCreate && (to === null || to === undefined)) {
+            continue;
+        }
+        if (isRedacted(Model, field)) {
+            changes[field] = isCreate ? { to: REDACTED } : { from: REDACTED, to: REDACTED };
+        } else {
+            const from = isCreate ? undefined : rawValue(instance, field, true);
+            changes[field] = isCreate ? { to } : { from: from === undefined ? null : from, to };
+        }
+    }
+    return changes;
+}
+
+async function recordEvent({ action, entityType, entityId = null, subjectUserId = null, changes = null, metadata = null }, options = {}) {
+    return AuditEvent.create({
+        ...currentContext(),
+        action,
+        entityType,
+        entityId,
+        subjectUserId,
+        changes,
+        metadata
+    }, { transaction: options.transaction });
+}
+
+function subjectOf(Model, instance) {
+    return Model.name === 'User' ? instance.id : instance.userId;
+}
+
+// Record every individual create/update/destroy of the given models. Bulk
+// statements run with `hooks: false` (such as linking documents to a return)
+// only touch bookkeeping columns and are not recorded.
+function registerAuditHooks(models) {
+    for (const Model of models) {
+        Model.addHook('afterCreate', 'audit', (instance, options) => recordEvent({
+            action: 'create',
+            entityType: Model.name,
+            entityId: instance.id,
+            subjectUserId: subjectOf(Model, instance),
+            changes: describeChanges(Model, instance, Object.keys(Model.rawAttributes), { isCreate: true })
+        }, options));
+
+        Model.addHook('afterUpdate', 'audit', async (instance, options) => {
+            const fields = (options.fields || []).filter((field) => instance.changed(field));
+            const changes = describeChanges(Model, instance, fields);
+            if (Object.keys(changes).length === 0) {
+                return;
+            }
+            await recordEvent({
+                action: 'update',
+                entityType: Model.name,
+                entityId: instance.id,
+                subjectUserId: subjectOf(Model, instance),
+                changes
+            }, options);
+        });
+
+        Model.addHook('afterDestroy', 'audit', (instance, options) => recordEvent({
+            action: 'delete',
+            entityType: Model.name,
+            entityId: instance.id,
+            subjectUserId: subjectOf(Model, instance)
+        }, options));
+    }
+}
+
+// Where clause for the activity feed and admin queries: exact matches on the
+// given fields plus a from/to date range
+function eventFilter(query, fields = ['action', 'entityType']) {
+    const where = {};
+    for (const field of fields) {
+        if (query[field]) {
+            where[field] = query[field];
+        }
+    }
+    if (query.from || query.to) {
+        where.createdAt = {};
+        if (query.from) {
+            where.createdAt[Op.gte] = query.from;
+        }
+        if (query.to) {
+            where.createdAt[Op.lte] = query.to;
+        }
+    }
+    return where;
+}
+
+module.exports = {
+    runWithContext,
+    recordEvent,
+    registerAuditHooks,
+    eventFilter,
+    REDACTED
+};
@@ -0,0 +1,58 @@
+// Signed, single-use, expiring tokens for password reset and email verification.
+// The JWT proves the token was issued by us; the AuthToken row makes it single-use.
+const jwt = require('jsonwebtoken');
+const AuthToken = require('../models/AuthToken');
+const { jwtSecret } = require('./sessions');
+
+const TOKEN_TTL_MINUTES = {
+    password_reset: 60,
+    email_verification: 24 * 60
+};
+
+// Issue a new token, retiring any unused ones for the same purpose so only the
+// latest email works
+async function issueToken(user, purpose) {
+    const now = new Date();
+    await AuthToken.update({ usedAt: now }, {
+        where: { userId: user.id, purpose, usedAt: null }
+    });
+
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+    const record = await AuthToken.create({
+        userId: user.id,
+        purpose,
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000)
+    });
+
+    const token = jwt.sign({ sub: user.id }, jwtSecret(), {
+        jwtid: record.id,
+        audience: purpose,
+        expiresIn: ttlMinutes * 60
+    });
+
+    return { token, expiresInMinutes: ttlMinutes };
+}
+
+// Verify and use up a token. Returns the user id, or null if the token is
+// invalid, expired, for another purpose or already used.
+async function consumeToken(token, purpose) {
+    let payload;
+    try {
+        payload = jwt.verify(String(token || ''), jwtSecret(), { audience: purpose });
+    } catch (error) {
+        return null;
+    }
+
+    // Only one request can flip usedAt, so concurrent submissions of the same
+    // token cannot both succeed
+    const [count] = await AuthToken.update({ usedAt: new Date() }, {
+        where: { id: payload.jti, userId: payload.sub, purpose, usedAt: null }
+    });
+
+    return count === 1 ? payload.sub : null;
+}
+
+module.exports = {
+    issueToken,
+    consumeToken
+};
@@ -0,0 +1,267 @@
+// Dependency tests (IRS Pub. 501) and the Child Tax Credit, Additional Child
+// Tax Credit and Credit for Other Dependents (Schedule 8812). Every test
+// reports whether it passed and why, so the user can see what to fix.
+const { statusKey } = require('../config/taxYears');
+const { decryptField } = require('./fieldEncryption');
+const { classifyTaxpayerId } = require('./taxpayerIds');
+const { toAmount, roundCents, ageAtYearEnd } = require('./taxMath');
+
+// Relationships that can make someone a qualifying child. Every relationship
+// in Dependent.RELATIONSHIPS can make someone a qualifying relative.
+const QUALIFYING_CHILD_RELATIONSHIPS = [
+    'child',
+    'stepchild',
+    'foster_child',
+    'sibling',
+    'half_sibling',
+    'step_sibling',
+    'grandchild',
+    'niece_nephew'
+];
+
+const QUALIFYING_RELATIVE_RELATIONSHIPS = [
+    ...QUALIFYING_CHILD_RELATIONSHIPS,
+    'parent',
+    'stepparent',
+    'grandparent',
+    'aunt_uncle',
+    'in_law',
+    'other_household_member'
+];
+
+// Qualifying child age limits at year end; not indexed for inflation
+const CHILD_AGE_LIMIT = 19;
+const STUDENT_AGE_LIMIT = 24;
+
+function test(name, passed, reason) {
+    return { test: name, passed, reason };
+}
+
+function formatMoney(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+}
+
+// A child born during the year only has to live with the taxpayer for more
+// than half of the months they were alive
+function monthsAlive(dependent, taxYear) {
+    const born = dependent.birthDate ? new Date(dependent.birthDate) : null;
+    if (born && !Number.isNaN(born.getTime()) && born.getUTCFullYear() === taxYear) {
+        return 12 - born.getUTCMonth();
+    }
+    return 12;
+}
+
+// 'ssn', 'itin', 'atin' or null. Snapshots hold the number encrypted and
+// rows saved before tinType existed only have the number.
+function taxpayerIdType(dependent) {
+    return dependent.tinType || classifyTaxpayerId(decryptField(dependent.ssn));
+}
+
+function relationshipTest(dependent, allowed, kind) {
+    if (allowed.includes(dependent.relationship)) {
+        return test('relationship', true, `${dependent.relationship.replace(/_/g, ' ')} can be a ${kind}`);
+    }
+    if (!QUALIFYING_RELATIVE_RELATIONSHIPS.includes(dependent.relationship)) {
+        return test('relationship', false, 'Choose a relationship from the list');
+    }
+    return test('relationship', false, `A ${dependent.relationship.replace(/_/g, ' ')} cannot be a ${kind}`);
+}
+
+function childAgeTest(dependent, age, taxYear) {
+    if (age === null) {
+        return test('age', false, 'Birth date has not been entered');
+    }
+    if (age < 0) {
+        return test('age', false, `Born after the end of ${taxYear}`);
+    }
+    if (dependent.isPermanentlyDisabled) {
+        return test('age', true, 'Permanently and totally disabled, so any age qualifies');
+    }
+    if (age < CHILD_AGE_LIMIT) {
+        return test('age', true, `Under ${CHILD_AGE_LIMIT} at the end of ${taxYear}`);
+    }
+    if (dependent.isFullTimeStudent && age < STUDENT_AGE_LIMIT) {
+        return test('age', true, `Full-time student under ${STUDENT_AGE_LIMIT} at the end of ${taxYear}`);
+    }
+    return test('age', false, dependent.isFullTimeStudent
+        ? `Age ${age} at the end of ${taxYear}; students must be under ${STUDENT_AGE_LIMIT}`
+        : `Age ${age} at the end of ${taxYear}; must be under ${CHILD_AGE_LIMIT}, or under ${STUDENT_AGE_LIMIT} if a full-time student`);
+}
+
+// Qualifying child: more than half the year. Qualifying relative who is not
+// related: the whole year.
+function residencyTest(dependent, taxYear, { wholeYear = false } = {}) {
+    const months = dependent.monthsLivedWithTaxpayer;
+    if (months === null || months === undefined) {
+        return test('residency', false, 'Months lived with you has not been entered');
+    }
+
+    const alive = monthsAlive(dependent, taxYear);
+    const passed = wholeYear ? months >= alive : months > alive / 2;
+    const required = wholeYear ? 'all year' : 'more than half the year';
+    return test('residency', passed, passed
+        ? `Lived with you ${months} month(s), ${required}`
+        : `Lived with you ${months} month(s); must live with you ${required}`);
+}
+
+function jointReturnTest(dependent) {
+    return dependent.filesJointReturn
+        ? test('joint_return', false, 'Files a joint return with their spouse')
+        : test('joint_return', true, 'Does not file a joint return');
+}
+
+function citizenshipTest(dependent) {
+    return dependent.isCitizenOrResident === false
+        ? test('citizenship', false, 'Must be a U.S. citizen, national or resident, or a resident of Canada or Mexico')
+        : test('citizenship', true, 'U.S. citizen, national or resident');
+}
+
+function qualifyingChildTests(dependent, age, taxYear) {
+    return [
+        relationshipTest(dependent, QUALIFYING_CHILD_RELATIONSHIPS, 'qualifying child'),
+        childAgeTest(dependent, age, taxYear),
+        residencyTest(dependent, taxYear),
+        dependent.paidOverHalfOwnSupport
+            ? test('support', false, 'Paid for more than half of their own support')
+            : test('support', true, 'Did not pay for more than half of their own support'),
+        jointReturnTest(dependent),
+        citizenshipTest(dependent)
+    ];
+}
+
+function qualifyingRelativeTests(dependent, taxYear, table) {
+    const tests = [relationshipTest(dependent, QUALIFYING_RELATIVE_RELATIONSHIPS, 'qualifying relative')];
+
+    // Someone unrelated qualifies only as a member of the household all year
+    if (dependent.relationship === 'other_household_member') {
+        tests.push(residencyTest(dependent, taxYear, { wholeYear: true }));
+    }
+
+    const limit = table.qualifyingRelativeIncomeLimit;
+    if (dependent.grossIncome === null || dependent.grossIncome === undefined) {
+        tests.push(test('gross_income', false, 'Gross income has not been entered'));
+    } else {
+        const grossIncome = toAmount(dependent.grossIncome);
+        tests.push(test('gross_income', grossIncome < limit, grossIncome < limit
+            ? `Gross income ${formatMoney(grossIncome)} is under ${formatMoney(limit)}`
+            : `Gross income ${formatMoney(grossIncome)} must be under ${formatMoney(limit)}`));
+    }
+
+    if (dependent.supportProvidedPercent === null || dependent.supportProvidedPercent === undefined) {
+        tests.push(test('support', false, 'Support you provided has not been entered'));
+    } else {
+        const percent = toAmount(dependent.supportProvidedPercent);
+        tests.push(test('support', percent > 50, percent > 50
+            ? `You provided ${percent}% of their support`
+            : `You provided ${percent}% of their support; must be more than half`));
+    }
+
+    tests.push(jointReturnTest(dependent), citizenshipTest(dependent));
+    return tests;
+}
+
+// Which credit the dependent brings, before the income phase-out
+function creditFor(status, age, tinType, rules) {
+    if (status === 'not_a_dependent') {
+        return { type: null, amount: 0, reason: 'Not a qualifying child or qualifying relative' };
+    }
+    if (!tinType) {
+        return { type: null, amount: 0, reason: 'An SSN, ITIN or ATIN is required to claim a credit for this dependent' };
+    }
+    if (status === 'qualifying_child' && age <= rules.maxChildAge && tinType === 'ssn') {
+        return { type: 'child_tax_credit', amount: rules.perChild, reason: `Qualifying child under ${rules.maxChildAge + 1} with an SSN` };
+    }
+
+    let reason = 'Qualifying relative';
+    if (status === 'qualifying_child') {
+        reason = age > rules.maxChildAge
+            ? `Age ${age} at year end; the Child Tax Credit is for children under ${rules.maxChildAge + 1}`
+            : 'The Child Tax Credit needs an SSN valid for employment';
+    }
+    return { type: 'credit_for_other_dependents', amount: rules.perOtherDependent, reason };
+}
+
+// Evaluate one dependent for the tax year
+function evaluateDependent(dependent, taxYear, table) {
+    const age = ageAtYearEnd(dependent.birthDate, taxYear);
+    const childTests = qualifyingChildTests(dependent, age, taxYear);
+    const isQualifyingChild = childTests.every((result) => result.passed);
+
+    const relativeTests = isQualifyingChild ? null : qualifyingRelativeTests(dependent, taxYear, table);
+    const isQualifyingRelative = !isQualifyingChild && relativeTests.every((result) => result.passed);
+
+    let status = 'not_a_dependent';
+    if (isQualifyingChild) {
+        status = 'qualifying_child';
+    } else if (isQualifyingRelative) {
+        status = 'qualifying_relative';
+    }
+
+    return {
+        id: dependent.id,
+        name: dependent.name,
+        relationship: dependent.relationship,
+        age,
+        status,
+        qualifyingChildTests: childTests,
+        qualifyingRelativeTests: relativeTests,
+        credit: creditFor(status, age, taxpayerIdType(dependent), table.childTaxCredit)
+    };
+}
+
+// Schedule 8812: CTC + ODC reduced by $50 per $1,000 of MAGI over the
+// threshold, the nonrefundable part limited to tax, and the refundable
+// Additional Child Tax Credit from what is left
+function calculateDependentCredits(dependents, { taxYear, filingStatus, agi, earnedIncome, taxLiability, table }) {
+    const rules = table.childTaxCredit;
+    const evaluations = (dependents || []).map((dependent) => evaluateDependent(dependent, taxYear, table));
+
+    const childTaxCreditDependents = evaluations.filter((result) => result.credit.type === 'child_tax_credit');
+    const otherCreditDependents = evaluations.filter((result) => result.credit.type === 'credit_for_other_dependents');
+    const childTaxCredit = childTaxCreditDependents.length * rules.perChild;
+    const creditForOtherDependents = otherCreditDependents.length * rules.perOtherDependent;
+    const tentativeCredit = childTaxCredit + creditForOtherDependents;
+
+    const phaseOutStart = rules.phaseOutStart[statusKey(filingStatus)];
+    const excessIncome = Math.max(0, agi - phaseOutStart);
+    const phaseOutReduction = Math.min(Math.ceil(excessIncome / 1000) * rules.phaseOutRate, tentativeCredit);
+    const allowedCredit = tentativeCredit - phaseOutReduction;
+
+    // Spread the phase-out over the dependents in proportion to their credit
+    const allowedShare = tentativeCredit > 0 ? allowedCredit / tentativeCredit : 0;
+    for (const result of evaluations) {
+        result.credit.allowedAmount = roundCents(result.credit.amount * allowedShare);
+        if (result.credit.amount > 0 && result.credit.allowedAmount < result.credit.amount) {
+            result.credit.reason += `; reduced for income above ${formatMoney(phaseOutStart)}`;
+        }
+    }
+
+    const nonrefundableCredit = roundCents(Math.min(allowedCredit, Math.max(0, taxLiability)));
+
+    const refundableLimit = roundCents(Math.max(0, earnedIncome - rules.earnedIncomeThreshold) * rules.refundableRate);
+    const additionalChildTaxCredit = roundCents(Math.min(
+        allowedCredit - nonrefundableCredit,
+        childTaxCreditDependents.length * rules.refundablePerChild,
+        refundableLimit
+    ));
+
+    return {
+        dependents: evaluations,
+        qualifyingChildren: childTaxCreditDependents.length,
+        otherDependents: otherCreditDependents.length,
+        childTaxCredit,
+        creditForOtherDependents,
+        tentativeCredit,
+        phaseOutReduction,
+        allowedCredit,
+        nonrefundableCredit,
+        additionalChildTaxCredit,
+        earnedIncome: roundCents(earnedIncome)
+    };
+}
+
+module.exports = {
+    evaluateDependent,
+    calculateDependentCredits,
+    QUALIFYING_CHILD_RELATIONSHIPS
+};
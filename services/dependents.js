@@ -0,0 +1,41 @@
+// Household-level checks on dependents and the spouse that need more than the
+// request body
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const TaxReturn = require('../models/TaxReturn');
+const { sameTaxpayerId } = require('./taxpayerIds');
+
+// Who in the household already uses this SSN/ITIN, if anyone: the taxpayer,
+// the spouse on one of their returns, or another dependent. A number can
+// appear only once on a return.
+async function findDuplicateTaxpayerId(userId, tin, { excludeDependentId = null, excludeSpouse = false } = {}) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'ssn'] });
+    if (user && sameTaxpayerId(user.ssn, tin)) {
+        return { owner: 'taxpayer' };
+    }
+
+    if (!excludeSpouse) {
+        const taxReturns = await TaxReturn.findAll({ where: { userId }, attributes: ['id', 'spouseSsn'] });
+        if (taxReturns.some((taxReturn) => sameTaxpayerId(taxReturn.spouseSsn, tin))) {
+            return { owner: 'spouse' };
+        }
+    }
+
+    const dependents = await Dependent.findAll({ where: { userId } });
+    const dependent = dependents.find((other) => other.id !== excludeDependentId && sameTaxpayerId(other.ssn, tin));
+    return dependent ? { owner: 'dependent', dependent } : null;
+}
+
+function duplicateMessage(duplicate) {
+    if (duplicate.owner === 'dependent') {
+        return `This number is already entered for ${duplicate.dependent.name}`;
+    }
+    return duplicate.owner === 'spouse'
+        ? "This number is already entered as your spouse's SSN"
+        : 'This number is already entered as your own SSN';
+}
+
+module.exports = {
+    findDuplicateTaxpayerId,
+    duplicateMessage
+};
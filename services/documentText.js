@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const WordExtractor = require('word-extractor');
+const { createWorker } = require('tesseract.js');
+
+// English traineddata ships in node_modules, so OCR never downloads anything
+const OCR_LANG_PATH = path.dirname(require.resolve('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz'));
+
+// OCR coordinates are image pixels; scale them to a US Letter page in points so
+// the layout strategy can use the same distances as for PDFs
+const PAGE_WIDTH_POINTS = 612;
+
+const MIME_TYPES_BY_EXTENSION = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Older uploads did not record their mimetype; fall back to the file extension
+function mimeTypeFromFileName(fileName) {
+    return MIME_TYPES_BY_EXTENSION[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+// Collect positioned text items while pdf-parse renders each page, keeping the
+// same line-joining behaviour as pdf-parse's default renderer for the text.
+function renderPage(pageData, items) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then((content) => {
+            let lastY;
+            let text = '';
+            for (const item of content.items) {
+                const [, , , , x, y] = item.transform;
+                items.push({
+                    str: item.str,
+                    x,
+                    y,
+                    width: item.width,
+                    page: pageData.pageNumber
+                });
+                text += lastY === y || lastY === undefined ? item.str : '\n' + item.str;
+                lastY = y;
+            }
+            return text;
+        });
+}
+
+// Read a PDF into plain text plus positioned items ({ str, x, y, width, page }).
+// PDF coordinates grow upwards, so a value printed under its caption has a smaller y.
+async function readPdf(buffer) {
+    const items = [];
+    const pdfData = await pdfParse(buffer, {
+        pagerender: (pageData) => renderPage(pageData, items)
+    });
+    return {
+        text: pdfData.text,
+        items,
+        method: 'pdf'
+    };
+}
+
+let ocrWorker = null;
+
+// One long-lived worker; tesseract queues jobs so concurrent uploads are safe
+function getOcrWorker() {
+    if (!ocrWorker) {
+        ocrWorker = createWorker('eng', 1, {
+            langPath: OCR_LANG_PATH,
+            cacheMethod: 'none',
+            gzip: true
+        }).catch((error) => {
+            ocrWorker = null;
+            throw error;
+        });
+    }
+    return ocrWorker;
+}
+
+async function terminateOcrWorker() {
+    if (ocrWorker) {
+        const worker = await ocrWorker;
+        ocrWorker = null;
+        await worker.terminate();
+    }
+}
+
+// Group the words of one OCR line into phrases, splitting where the gap between
+// words is wider than a couple of characters. A W-2 row such as
+// "1 Wages, tips, other compensation   2 Federal income tax withheld" then
+// yields one item per box caption, like the text items of a PDF.
+function phrasesFromLine(line) {
+    const phrases = [];
+    let current = null;
+
+    for (const word of line.words || []) {
+        const height = word.bbox.y1 - word.bbox.y0;
+        if (current && word.bbox.x0 - current.x1 <= height * 1.5) {
+            current.words.push(word.text);
+            current.x1 = word.bbox.x1;
+        } else {
+            current = { words: [word.text], x0: word.bbox.x0, x1: word.bbox.x1, y0: word.bbox.y0 };
+            phrases.push(current);
+        }
+    }
+
+    return phrases;
+}
+
+// OCR an image (JPEG/PNG) into text plus positioned items
+async function readImage(buffer) {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true, hocr: false, tsv: false });
+
+    const lines = data.lines || [];
+    const imageWidth = Math.max(1, ...lines.map((line) => line.bbox.x1));
+    const scale = PAGE_WIDTH_POINTS / imageWidth;
+
+    const items = [];
+    for (const line of lines) {
+        for (const phrase of phrasesFromLine(line)) {
+            items.push({
+                str: phrase.words.join(' '),
+                x: phrase.x0 * scale,
+                // Image rows grow downwards; flip so "below" means a smaller y as in PDFs
+                y: -phrase.y0 * scale,
+                width: (phrase.x1 - phrase.x0) * scale,
+                page: 1
+            });
+        }
+    }
+
+    return {
+        text: data.text,
+        items,
+        method: 'ocr',
+        // Tesseract's mean word confidence (0-100) discounts every extracted field
+        confidenceFactor: Math.min(1, Math.max(0.5, data.confidence / 100))
+    };
+}
+
+// Word documents (.doc and .docx) carry no reliable positions, only text
+async function readWordDocument(buffer) {
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(buffer);
+    return {
+        text: document.getBody(),
+        items: [],
+        method: 'word'
+    };
+}
+
+const READERS = {
+    'application/pdf': readPdf,
+    'image/jpeg': readImage,
+    'image/jpg': readImage,
+    'image/png': readImage,
+    'application/msword': readWordDocument,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': readWordDocument
+};
+
+// Read any accepted upload into { text, items, method }, routing by mimetype
+async function readDocument(filePath, mimeType) {
+    const type = mimeType || mimeTypeFromFileName(filePath);
+    const reader = READERS[type];
+    if (!reader) {
+        throw new Error(`Unsupported document type: ${type || path.extname(filePath)}`);
+    }
+    return reader(fs.readFileSync(filePath));
+}
+
+module.exports = {
+    readDocument,
+    readPdf,
+    readImage,
+    readWordDocument,
+    mimeTypeFromFileName,
+    terminateOcrWorker
+};
@@ -0,0 +1,201 @@
+// Field-level envelope encryption for SSNs, EINs and TINs.
+//
+// Every value gets its own random data key; the data key is wrapped with a
+// master key from FIELD_ENCRYPTION_KEYS and stored next to the ciphertext:
+//
+//   enc:v1:<keyId>:<wrapped data key>:<iv>:<tag>:<ciphertext>   (base64 parts)
+//
+// FIELD_ENCRYPTION_KEYS is a comma-separated list of <keyId>:<base64 32-byte key>.
+// The first key encrypts new values; the others are only used to decrypt, so a
+// key is rotated by putting a new one first and running `npm run rotate-keys`.
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let keyring = null;
+
+function loadKeyring() {
+    if (keyring) {
+        return keyring;
+    }
+
+    const entries = (process.env.FIELD_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+    }
+
+    const keys = new Map();
+    for (const entry of entries) {
+        const separator = entry.indexOf(':');
+        const keyId = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (separator < 1 || key.length !== 32) {
+            throw new Error(`FIELD_ENCRYPTION_KEYS entry "${keyId || entry.slice(0, 8)}" must be <keyId>:<base64 32-byte key>`);
+        }
+        keys.set(keyId, key);
+    }
+
+    keyring = { currentKeyId: entries[0].split(':')[0], keys };
+    return keyring;
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, iv, tag, ciphertext) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Wrapped data key: iv (12) + tag (16) + encrypted key (32)
+function wrapDataKey(masterKey, dataKey) {
+    const { iv, tag, ciphertext } = seal(masterKey, dataKey);
+    return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+function unwrapDataKey(masterKey, wrapped) {
+    const buffer = Buffer.from(wrapped, 'base64');
+    return open(masterKey, buffer.subarray(0, IV_LENGTH), buffer.subarray(IV_LENGTH, IV_LENGTH + 16), buffer.subarray(IV_LENGTH + 16));
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function parseEnvelope(value) {
+    const [, , keyId, wrappedKey, iv, tag, ciphertext] = value.split(':');
+    return { keyId, wrappedKey, iv, tag, ciphertext };
+}
+
+function masterKeyFor(keyId) {
+    const key = loadKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Field encryption key "${keyId}" is not configured`);
+    }
+    return key;
+}
+
+function encryptField(value) {
+    if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+        return value;
+    }
+
+    const { currentKeyId, keys } = loadKeyring();
+    const dataKey = crypto.randomBytes(32);
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(value), 'utf8'));
+
+    return [
+        PREFIX,
+        currentKeyId,
+        wrapDataKey(keys.get(currentKeyId), dataKey),
+        iv.toString('base64'),
+        tag.toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+}
+
+// Values written before encryption was enabled are returned unchanged
+function decryptField(value) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const envelope = parseEnvelope(value);
+    const dataKey = unwrapDataKey(masterKeyFor(envelope.keyId), envelope.wrappedKey);
+    return open(
+        dataKey,
+        Buffer.from(envelope.iv, 'base64'),
+        Buffer.from(envelope.tag, 'base64'),
+        Buffer.from(envelope.ciphertext, 'base64')
+    ).toString('utf8');
+}
+
+// Re-wrap the data key under the current master key. The ciphertext itself is
+// untouched; plaintext left over from before encryption gets encrypted.
+function rewrapField(value) {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+    if (!isEncrypted(value)) {
+        return encryptField(value);
+    }
+
+    const { currentKeyId, keys } = loadKeyring();
+    const envelope = parseEnvelope(value);
+    if (envelope.keyId === currentKeyId) {
+        return value;
+    }
+
+    const dataKey = unwrapDataKey(masterKeyFor(envelope.keyId), envelope.wrappedKey);
+    return [PREFIX, currentKeyId, wrapDataKey(keys.get(currentKeyId), dataKey), envelope.iv, envelope.tag, envelope.ciphertext].join(':');
+}
+
+// ***-**-6789: every digit except the last four is hidden
+function maskValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+    return String(value).replace(/\d(?=(?:\D*\d){4})/g, '*');
+}
+
+function isMaskedValue(value) {
+    return typeof value === 'string' && value.includes('*');
+}
+
+// Attribute definition for an encrypted column. Reading the attribute returns
+// plaintext for server-side use; API responses are masked by maskSensitiveFields.
+// Writing a masked value (a client echoing back what it was shown) is ignored.
+function encryptedAttribute(name) {
+    return {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+            return decryptField(this.getDataValue(name));
+        },
+        set(value) {
+            if (isMaskedValue(value)) {
+                return;
+            }
+            this.setDataValue(name, encryptField(value));
+        }
+    };
+}
+
+// Mask the given attributes whenever an instance is serialized (res.json)
+function maskSensitiveFields(Model, fields) {
+    Model.SENSITIVE_FIELDS = fields;
+    const toJSON = Model.prototype.toJSON;
+    Model.prototype.toJSON = function () {
+        const json = toJSON.call(this);
+        for (const field of fields) {
+            if (json[field] !== undefined) {
+                json[field] = maskValue(json[field]);
+            }
+        }
+        return json;
+    };
+}
+
+module.exports = {
+    encryptField,
+    decryptField,
+    rewrapField,
+    isEncrypted,
+    maskValue,
+    isMaskedValue,
+    encryptedAttribute,
+    maskSensitiveFields,
+    loadKeyring
+};
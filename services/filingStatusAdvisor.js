@@ -0,0 +1,207 @@
+// Which filing statuses a user can use for a year (IRS Pub. 501) and what each
+// would cost. Married users also get a joint vs separate comparison.
+const { computeTaxReturn } = require('./taxCalculator');
+const { evaluateDependent } = require('./dependentCredits');
+const { getTaxTable } = require('../config/taxYears');
+const { roundCents } = require('./taxMath');
+
+const MARITAL_STATUSES = ['single', 'married', 'divorced', 'legally_separated', 'widowed'];
+
+// Marital status on the last day of the tax year. A spouse who died during the
+// year still counts as a spouse for that year.
+function maritalStatusAtYearEnd({ maritalStatus, spouseDeathYear }, taxYear) {
+    if (maritalStatus === 'widowed' && spouseDeathYear >= taxYear) {
+        return 'married';
+    }
+    if (maritalStatus === 'legally_separated' || maritalStatus === 'divorced') {
+        return 'unmarried';
+    }
+    return maritalStatus === 'married' ? 'married' : 'unmarried';
+}
+
+// Qualifying person for head of household: a qualifying child, or a
+// dependent relative (a parent need not live with the taxpayer)
+function headOfHouseholdPerson(evaluation, dependent) {
+    if (evaluation.status === 'qualifying_child') {
+        return true;
+    }
+    if (evaluation.status !== 'qualifying_relative' || dependent.relationship === 'other_household_member') {
+        return false;
+    }
+    return dependent.relationship === 'parent' || (dependent.monthsLivedWithTaxpayer || 0) > 6;
+}
+
+function result(filingStatus, eligible, reasons) {
+    return { filingStatus, eligible, reasons };
+}
+
+function determineEligibility(answers, dependents, taxYear) {
+    const table = getTaxTable(taxYear);
+    const evaluations = dependents.map((dependent) => ({ dependent, evaluation: evaluateDependent(dependent, taxYear, table) }));
+    const atYearEnd = maritalStatusAtYearEnd(answers, taxYear);
+    const married = atYearEnd === 'married';
+    const paidHome = Boolean(answers.paidOverHalfHomeCost);
+
+    const hohPeople = evaluations.filter(({ dependent, evaluation }) => headOfHouseholdPerson(evaluation, dependent));
+    const childrenAtHome = evaluations.filter(({ dependent, evaluation }) =>
+        ['child', 'stepchild', 'foster_child'].includes(dependent.relationship) && evaluation.status === 'qualifying_child');
+
+    // A married person living apart from their spouse for the last six months,
+    // keeping up a home for a child, is "considered unmarried" for head of household
+    const consideredUnmarried = married && Boolean(answers.livedApartFromSpouse) && paidHome && childrenAtHome.length > 0;
+
+    const results = [];
+
+    results.push(married
+        ? result('single', false, ['You were married on the last day of the year'])
+        : result('single', true, ['You were unmarried on the last day of the year']));
+
+    const marriedReason = answers.maritalStatus === 'widowed'
+        ? `Your spouse died in ${answers.spouseDeathYear}, so you can file as married for ${taxYear}`
+        : 'You were married on the last day of the year';
+    results.push(married
+        ? result('married-joint', true, [marriedReason])
+        : result('married-joint', false, ['Only married couples can file jointly']));
+    results.push(married
+        ? result('married-separate', true, [marriedReason])
+        : result('married-separate', false, ['Only married people can file separately']));
+
+    const hohReasons = [];
+    if (married && !consideredUnmarried) {
+        hohReasons.push(answers.livedApartFromSpouse
+            ? 'Married people qualify only if they paid over half the cost of a home where their child lived for more than half the year'
+            : 'Married people qualify only if they lived apart from their spouse for the last six months of the year');
+    }
+    if (!paidHome) {
+        hohReasons.push('You must pay more than half the cost of keeping up your home');
+    }
+    if (hohPeople.length === 0) {
+        hohReasons.push('You need a qualifying child, or a dependent relative who lived with you for more than half the year (a parent need not live with you)');
+    }
+    results.push(hohReasons.length === 0
+        ? result('head-of-household', true, [
+            consideredUnmarried ? 'You are considered unmarried because you lived apart from your spouse' : 'You were unmarried on the last day of the year',
+            `Qualifying person: ${hohPeople.map(({ dependent }) => dependent.name).join(', ')}`
+        ])
+        : result('head-of-household', false, hohReasons));
+
+    const widowReasons = [];
+    const deathYear = answers.spouseDeathYear;
+    if (answers.maritalStatus !== 'widowed' || !deathYear) {
+        widowReasons.push('Only for a surviving spouse who has not remarried');
+    } else if (deathYear >= taxYear || deathYear < taxYear - 2) {
+        widowReasons.push(`Available for the two years after the year your spouse died (${deathYear + 1} and ${deathYear + 2})`);
+    }
+    const widowChildren = evaluations.filter(({ dependent, evaluation }) =>
+        ['child', 'stepchild'].includes(dependent.relationship) &&
+        evaluation.status !== 'not_a_dependent' &&
+        dependent.monthsLivedWithTaxpayer === 12);
+    if (widowChildren.length === 0) {
+        widowReasons.push('You need a child or stepchild you can claim as a dependent who lived with you all year');
+    }
+    if (!paidHome) {
+        widowReasons.push('You must pay more than half the cost of keeping up your home');
+    }
+    results.push(widowReasons.length === 0
+        ? result('qualifying-widow', true, [
+            `Your spouse died in ${deathYear} and you have not remarried`,
+            `Dependent child: ${widowChildren.map(({ dependent }) => dependent.name).join(', ')}`
+        ])
+        : result('qualifying-widow', false, widowReasons));
+
+    return results;
+}
+
+// Tax after all credits, including the refundable Additional Child Tax Credit
+function netTax(summary) {
+    return roundCents(summary.tax.totalTax - summary.payments.additionalChildTaxCredit);
+}
+
+function outcome(summary) {
+    return {
+        adjustedGrossIncome: summary.income.adjustedGrossIncome,
+        taxableIncome: summary.taxableIncome,
+        totalTax: summary.tax.totalTax,
+        netTax: netTax(summary),
+        refund: summary.refund,
+        amountOwed: summary.amountOwed
+    };
+}
+
+// One spouse's documents, re-labelled as the taxpayer's so they count on that
+// spouse's own separate return
+function documentsOf(documents, owner) {
+    return Object.fromEntries(Object.entries(documents)
+        .filter(([, list]) => Array.isArray(list))
+        .map(([documentKey, list]) => [
+            documentKey,
+            list
+                .map((document) => (document.get ? document.get({ plain: true }) : document))
+                .filter((document) => (document.owner || 'taxpayer') === owner)
+                .map((document) => ({ ...document, owner: 'taxpayer' }))
+        ]));
+}
+
+// Married filing separately: each spouse's return from their own documents.
+// The user claims the dependents.
+function compareJointAndSeparate({ taxYear, dependents, documents }) {
+    const joint = computeTaxReturn({ taxYear, filingStatus: 'married-joint', dependents, ...documents });
+    const yours = computeTaxReturn({ taxYear, filingStatus: 'married-separate', dependents, ...documents });
+    const spouses = computeTaxReturn({
+        taxYear,
+        filingStatus: 'married-separate',
+        dependents: [],
+        priorYearDeductions: documents.priorYearDeductions,
+        ...documentsOf(documents, 'spouse')
+    });
+
+    const jointTax = netTax(joint);
+    const separateTax = roundCents(netTax(yours) + netTax(spouses));
+
+    return {
+        joint: outcome(joint),
+        separate: {
+            you: outcome(yours),
+            spouse: outcome(spouses),
+            combinedNetTax: separateTax
+        },
+        cheaper: jointTax <= separateTax ? 'married-joint' : 'married-separate',
+        savings: roundCents(Math.abs(separateTax - jointTax))
+    };
+}
+
+// answers: { maritalStatus, spouseDeathYear, livedApartFromSpouse, paidOverHalfHomeCost }
+// documents: as loaded by loadDocuments, for both spouses, each marked with
+// its owner
+function adviseFilingStatus({ taxYear, answers, dependents, documents }) {
+    const eligibility = determineEligibility(answers, dependents, taxYear);
+
+    const married = maritalStatusAtYearEnd(answers, taxYear) === 'married';
+    const comparison = married ? compareJointAndSeparate({ taxYear, dependents, documents }) : null;
+
+    // Estimated tax for each status the user can use. Joint returns include
+    // the spouse's documents; the others only the user's. For married users
+    // householdNetTax adds the spouse's separate return, so statuses compare fairly.
+    const estimates = eligibility.filter((status) => status.eligible).map(({ filingStatus }) => {
+        const result = outcome(computeTaxReturn({ taxYear, filingStatus, dependents, ...documents }));
+        const spouseTax = comparison && filingStatus !== 'married-joint' ? comparison.separate.spouse.netTax : 0;
+        return { filingStatus, ...result, householdNetTax: roundCents(result.netTax + spouseTax) };
+    });
+
+    const recommended = estimates.reduce((best, estimate) =>
+        (!best || estimate.householdNetTax < best.householdNetTax ? estimate : best), null);
+
+    return {
+        taxYear,
+        recommended: recommended ? recommended.filingStatus : null,
+        eligibility,
+        estimates,
+        jointVsSeparate: comparison
+    };
+}
+
+module.exports = {
+    adviseFilingStatus,
+    determineEligibility,
+    MARITAL_STATUSES
+};
@@ -0,0 +1,362 @@
+// Form 1040 and its schedules line by line, from a computed return (the
+// results of computeTaxReturn). Each form is a list of rows: a heading, a
+// page break, or a line number with its label and amount. Rendering is in form1040Pdf.js.
+const { toAmount, roundCents, sumBy } = require('./taxMath');
+
+// Schedule B is required when either is over this amount
+const SCHEDULE_B_THRESHOLD = 1500;
+
+// Form 1040 line numbers for 2022-2024
+const FORM_1040_LINES = {
+    wages: '1a',
+    totalWages: '1z',
+    taxExemptInterest: '2a',
+    taxableInterest: '2b',
+    qualifiedDividends: '3a',
+    ordinaryDividends: '3b',
+    iraDistributions: '4a',
+    iraTaxable: '4b',
+    pensions: '5a',
+    pensionsTaxable: '5b',
+    socialSecurity: '6a',
+    socialSecurityTaxable: '6b',
+    capitalGain: '7',
+    additionalIncome: '8',
+    totalIncome: '9',
+    adjustments: '10',
+    agi: '11',
+    // Repeats AGI at the top of page 2 (2025 on)
+    agiPage2: null,
+    deduction: '12',
+    qbi: '13',
+    schedule1ADeductions: null,
+    totalDeductions: '14',
+    taxableIncome: '15',
+    tax: '16',
+    schedule2Part1: '17',
+    taxBeforeCredits: '18',
+    childTaxCredit: '19',
+    schedule3Part1: '20',
+    totalCredits: '21',
+    taxAfterCredits: '22',
+    otherTaxes: '23',
+    totalTax: '24',
+    w2Withholding: '25a',
+    form1099Withholding: '25b',
+    otherWithholding: '25c',
+    totalWithholding: '25d',
+    estimatedPayments: '26',
+    earnedIncomeCredit: '27',
+    additionalChildTaxCredit: '28',
+    americanOpportunityCredit: '29',
+    schedule3Part2: '31',
+    otherPayments: '32',
+    totalPayments: '33',
+    overpaid: '34',
+    refund: '35a',
+    amountOwed: '37'
+};
+
+// 2025 moved the standard deduction checkboxes next to the deduction (12a-12d)
+// and added Schedule 1-A deductions under the QBI deduction
+const FORM_1040_LINES_BY_YEAR = {
+    2025: {
+        ...FORM_1040_LINES,
+        agi: '11a',
+        agiPage2: '11b',
+        deduction: '12e',
+        qbi: '13a',
+        schedule1ADeductions: '13b',
+        earnedIncomeCredit: '27a'
+    }
+};
+
+function form1040LineNumbers(taxYear) {
+    return FORM_1040_LINES_BY_YEAR[taxYear] || FORM_1040_LINES;
+}
+
+// Start a new page, as on the printed form
+const PAGE_BREAK = { pageBreak: true };
+
+function heading(text) {
+    return { heading: text };
+}
+
+function row(line, label, amount) {
+    return { line, label, amount: roundCents(toAmount(amount)) };
+}
+
+function listOf(lines) {
+    const numbers = lines.filter(Boolean);
+    return numbers.length > 1
+        ? `${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`
+        : numbers[0];
+}
+
+// Amounts every form needs, with defaults for results stored before a field
+// was added
+function amountsOf(results) {
+    const income = results.income || {};
+    const otherIncome = income.otherIncome || {};
+    const adjustments = results.adjustments || {};
+    const deductions = results.deductions || {};
+    const tax = results.tax || {};
+    const payments = results.payments || {};
+    const stateTaxRefund = toAmount((otherIncome.stateTaxRefund || {}).taxable);
+
+    return {
+        wages: toAmount(income.wages),
+        taxableInterest: toAmount(income.taxableInterest),
+        taxExemptInterest: toAmount(income.taxExemptInterest),
+        ordinaryDividends: toAmount(income.ordinaryDividends),
+        qualifiedDividends: toAmount(income.qualifiedDividends),
+        iraDistributions: income.iraDistributions || { gross: 0, taxable: 0 },
+        pensionsAndAnnuities: income.pensionsAndAnnuities || { gross: 0, taxable: 0 },
+        capitalGainDistributions: toAmount(income.capitalGainDistributions),
+        businessIncome: toAmount(income.businessIncome),
+        rentsAndRoyalties: toAmount(income.rentsAndRoyalties),
+        unemploymentCompensation: toAmount(income.unemploymentCompensation),
+        stateTaxRefund,
+        // Recovered mortgage interest and 1099-MISC/1099-G other income (line 8z)
+        otherIncome: roundCents(toAmount(otherIncome.total) - stateTaxRefund),
+        totalIncome: toAmount(income.totalIncome),
+        adjustedGrossIncome: toAmount(income.adjustedGrossIncome),
+        earlyWithdrawalPenalty: toAmount(adjustments.earlyWithdrawalPenalty),
+        selfEmploymentTaxDeduction: toAmount(adjustments.selfEmploymentTaxDeduction),
+        studentLoanInterest: toAmount((adjustments.studentLoanInterest || {}).deduction),
+        totalAdjustments: toAmount(adjustments.total),
+        deductionMethod: deductions.method,
+        deduction: toAmount(deductions.amount),
+        qbiDeduction: toAmount((deductions.qualifiedBusinessIncome || {}).deduction),
+        taxableIncome: toAmount(results.taxableIncome),
+        incomeTax: toAmount(tax.incomeTax),
+        nonrefundableCredits: toAmount(tax.nonrefundableCredits),
+        selfEmploymentTax: toAmount(tax.selfEmploymentTax),
+        totalTax: toAmount(tax.totalTax),
+        w2Withholding: toAmount(payments.federalTaxWithheld),
+        form1099Withholding: toAmount(payments.form1099TaxWithheld),
+        excessSocialSecurityTax: toAmount(payments.excessSocialSecurityTax),
+        additionalChildTaxCredit: toAmount(payments.additionalChildTaxCredit),
+        totalPayments: toAmount(payments.total),
+        refund: toAmount(results.refund),
+        amountOwed: toAmount(results.amountOwed)
+    };
+}
+
+// Schedule 1, line 10
+function additionalIncomeOf(amounts) {
+    return roundCents(
+        amounts.stateTaxRefund + amounts.businessIncome + amounts.rentsAndRoyalties +
+        amounts.unemploymentCompensation + amounts.otherIncome
+    );
+}
+
+function buildForm1040(results, taxYear) {
+    const n = form1040LineNumbers(taxYear);
+    const a = amountsOf(results);
+    const totalWithholding = roundCents(a.w2Withholding + a.form1099Withholding);
+    const otherPayments = roundCents(a.additionalChildTaxCredit + a.excessSocialSecurityTax);
+    const totalDeductions = roundCents(a.deduction + a.qbiDeduction);
+    const taxAfterCredits = roundCents(Math.max(0, a.incomeTax - a.nonrefundableCredits));
+    const deductionLabel = a.deductionMethod === 'itemized'
+        ? 'Itemized deductions (from Schedule A)'
+        : 'Standard deduction';
+
+    return [
+        heading('Income'),
+        row(n.wages, 'Total amount from Form(s) W-2, box 1', a.wages),
+        row(n.totalWages, `Add lines ${n.wages} through 1h`, a.wages),
+        row(n.taxExemptInterest, 'Tax-exempt interest', a.taxExemptInterest),
+        row(n.taxableInterest, 'Taxable interest', a.taxableInterest),
+        row(n.qualifiedDividends, 'Qualified dividends', a.qualifiedDividends),
+        row(n.ordinaryDividends, 'Ordinary dividends', a.ordinaryDividends),
+        row(n.iraDistributions, 'IRA distributions', a.iraDistributions.gross),
+        row(n.iraTaxable, 'IRA distributions, taxable amount', a.iraDistributions.taxable),
+        row(n.pensions, 'Pensions and annuities', a.pensionsAndAnnuities.gross),
+        row(n.pensionsTaxable, 'Pensions and annuities, taxable amount', a.pensionsAndAnnuities.taxable),
+        row(n.socialSecurity, 'Social security benefits', 0),
+        row(n.socialSecurityTaxable, 'Social security benefits, taxable amount', 0),
+        row(n.capitalGain, 'Capital gain or (loss) (capital gain distributions; Schedule D not required)', a.capitalGainDistributions),
+        row(n.additionalIncome, 'Additional income from Schedule 1, line 10', additionalIncomeOf(a)),
+        row(n.totalIncome, 'This is your total income', a.totalIncome),
+        row(n.adjustments, 'Adjustments to income from Schedule 1, line 26', a.totalAdjustments),
+        row(n.agi, 'This is your adjusted gross income', a.adjustedGrossIncome),
+        ...(n.agiPage2 ? [PAGE_BREAK, row(n.agiPage2, `Amount from line ${n.agi} (adjusted gross income)`, a.adjustedGrossIncome)] : []),
+        row(n.deduction, deductionLabel, a.deduction),
+        row(n.qbi, 'Qualified business income deduction from Form 8995 or Form 8995-A', a.qbiDeduction),
+        ...(n.schedule1ADeductions ? [row(n.schedule1ADeductions, 'Additional deductions from Schedule 1-A', 0)] : []),
+        row(n.totalDeductions, `Add lines ${listOf([n.deduction, n.qbi, n.schedule1ADeductions])}`, totalDeductions),
+        row(n.taxableIncome, 'Taxable income', a.taxableIncome),
+        ...(n.agiPage2 ? [] : [PAGE_BREAK]),
+        heading('Tax and Credits'),
+        row(n.tax, 'Tax (Qualified Dividends and Capital Gain Tax Worksheet when applicable)', a.incomeTax),
+        row(n.schedule2Part1, 'Amount from Schedule 2, line 3', 0),
+        row(n.taxBeforeCredits, `Add lines ${n.tax} and ${n.schedule2Part1}`, a.incomeTax),
+        row(n.childTaxCredit, 'Child tax credit or credit for other dependents from Schedule 8812', a.nonrefundableCredits),
+        row(n.schedule3Part1, 'Amount from Schedule 3, line 8', 0),
+        row(n.totalCredits, `Add lines ${n.childTaxCredit} and ${n.schedule3Part1}`, a.nonrefundableCredits),
+        row(n.taxAfterCredits, `Subtract line ${n.totalCredits} from line ${n.taxBeforeCredits}`, taxAfterCredits),
+        row(n.otherTaxes, 'Other taxes, including self-employment tax, from Schedule 2, line 21', a.selfEmploymentTax),
+        row(n.totalTax, 'This is your total tax', a.totalTax),
+        heading('Payments'),
+        row(n.w2Withholding, 'Federal income tax withheld from Form(s) W-2', a.w2Withholding),
+        row(n.form1099Withholding, 'Federal income tax withheld from Form(s) 1099', a.form1099Withholding),
+        row(n.otherWithholding, 'Federal income tax withheld from other forms', 0),
+        row(n.totalWithholding, `Add lines ${n.w2Withholding} through ${n.otherWithholding}`, totalWithholding),
+        row(n.estimatedPayments, 'Estimated tax payments and amount applied from prior year return', 0),
+        row(n.earnedIncomeCredit, 'Earned income credit (EIC)', 0),
+        row(n.additionalChildTaxCredit, 'Additional child tax credit from Schedule 8812', a.additionalChildTaxCredit),
+        row(n.americanOpportunityCredit, 'American opportunity credit from Form 8863, line 8', 0),
+        row(n.schedule3Part2, 'Amount from Schedule 3, line 15', a.excessSocialSecurityTax),
+        row(n.otherPayments, 'These are your total other payments and refundable credits', otherPayments),
+        row(n.totalPayments, 'These are your total payments', a.totalPayments),
+        heading('Refund or Amount You Owe'),
+        row(n.overpaid, 'Amount you overpaid', a.refund),
+        row(n.refund, 'Amount of line 34 you want refunded to you', a.refund),
+        row(n.amountOwed, 'Amount you owe', a.amountOwed)
+    ];
+}
+
+// Schedule 1: Additional Income and Adjustments to Income
+function buildSchedule1(results) {
+    const a = amountsOf(results);
+    return [
+        heading('Part I  Additional Income'),
+        row('1', 'Taxable refunds, credits, or offsets of state and local income taxes', a.stateTaxRefund),
+        row('3', 'Business income or (loss). Attach Schedule C', a.businessIncome),
+        row('5', 'Rental real estate, royalties, partnerships, S corporations, trusts, etc.', a.rentsAndRoyalties),
+        row('7', 'Unemployment compensation', a.unemploymentCompensation),
+        row('8z', 'Other income (recovered deductions, 1099-MISC and 1099-G other income)', a.otherIncome),
+        row('9', 'Total other income. Add lines 8a through 8z', a.otherIncome),
+        row('10', 'Combine lines 1 through 7 and 9. Enter here and on Form 1040, line 8', additionalIncomeOf(a)),
+        heading('Part II  Adjustments to Income'),
+        row('15', 'Deductible part of self-employment tax. Attach Schedule SE', a.selfEmploymentTaxDeduction),
+        row('18', 'Penalty on early withdrawal of savings', a.earlyWithdrawalPenalty),
+        row('21', 'Student loan interest deduction', a.studentLoanInterest),
+        row('26', 'Add lines 11 through 23 and 25. Enter here and on Form 1040, line 10', a.totalAdjustments)
+    ];
+}
+
+// Schedule 2: Additional Taxes
+function buildSchedule2(results) {
+    const a = amountsOf(results);
+    return [
+        heading('Part I  Tax'),
+        row('3', 'Add lines 1z and 2. Enter here and on Form 1040, line 17', 0),
+        heading('Part II  Other Taxes'),
+        row('4', 'Self-employment tax. Attach Schedule SE', a.selfEmploymentTax),
+        row('21', 'Add lines 4, 7 through 16, 18 and 19. This is your total other taxes', a.selfEmploymentTax)
+    ];
+}
+
+// Schedule 3: Additional Credits and Payments
+function buildSchedule3(results) {
+    const a = amountsOf(results);
+    return [
+        heading('Part I  Nonrefundable Credits'),
+        row('8', 'Add lines 1 through 4, 5a, 5b and 7. Enter here and on Form 1040, line 20', 0),
+        heading('Part II  Other Payments and Refundable Credits'),
+        row('11', 'Excess social security and tier 1 RRTA tax withheld', a.excessSocialSecurityTax),
+        row('15', 'Add lines 9 through 12 and 14. Enter here and on Form 1040, line 31', a.excessSocialSecurityTax)
+    ];
+}
+
+// Schedule A: Itemized Deductions
+function buildScheduleA(results, taxYear) {
+    const n = form1040LineNumbers(taxYear);
+    const a = amountsOf(results);
+    const itemized = (results.deductions || {}).itemized || {};
+    const medical = itemized.medical || {};
+    const taxes = itemized.taxes || {};
+    const interest = itemized.interest || {};
+    const charity = itemized.charity || {};
+    const stateAndLocal = taxes.salesTaxElected ? taxes.generalSalesTax : taxes.incomeTaxes;
+    const mortgageInterest = roundCents(toAmount(interest.reportedOn1098) + toAmount(interest.notReportedOn1098) +
+        toAmount(interest.pointsNotReported) + toAmount(interest.mortgageInsurancePremiums));
+
+    return [
+        heading('Medical and Dental Expenses'),
+        row('1', 'Medical and dental expenses', medical.expenses),
+        row('2', `Amount from Form 1040, line ${n.agi}`, a.adjustedGrossIncome),
+        row('3', 'Multiply line 2 by 7.5% (0.075)', medical.agiFloor),
+        row('4', 'Subtract line 3 from line 1. If line 3 is more than line 1, enter -0-', medical.deduction),
+        heading('Taxes You Paid'),
+        row('5a', taxes.salesTaxElected ? 'State and local general sales taxes' : 'State and local income taxes', stateAndLocal),
+        row('5b', 'State and local real estate taxes', taxes.realEstateTaxes),
+        row('5c', 'State and local personal property taxes', taxes.personalPropertyTaxes),
+        row('5d', 'Add lines 5a through 5c', taxes.stateAndLocalTaxes),
+        row('5e', `Enter the smaller of line 5d or $${toAmount(taxes.saltCap).toLocaleString('en-US')}`, taxes.saltDeduction),
+        row('6', 'Other taxes', taxes.otherTaxes),
+        row('7', 'Add lines 5e and 6', taxes.total),
+        heading('Interest You Paid'),
+        row('8a', 'Home mortgage interest and points reported to you on Form 1098', interest.reportedOn1098),
+        row('8b', 'Home mortgage interest not reported to you on Form 1098', interest.notReportedOn1098),
+        row('8c', 'Points not reported to you on Form 1098', interest.pointsNotReported),
+        row('8e', 'Add lines 8a through 8d', mortgageInterest),
+        row('10', 'Add lines 8e and 9', interest.total),
+        heading('Gifts to Charity'),
+        row('11', 'Gifts by cash or check', charity.cash),
+        row('12', 'Other than by cash or check', charity.noncash),
+        row('13', 'Carryover from prior year', charity.carryover),
+        row('14', 'Add lines 11 through 13, after the AGI limits', charity.deduction),
+        heading('Other Itemized Deductions'),
+        row('16', 'Other itemized deductions', itemized.other),
+        heading('Total Itemized Deductions'),
+        row('17', 'Add the amounts in the far right column for lines 4 through 16', itemized.total)
+    ];
+}
+
+// Schedule B: Interest and Ordinary Dividends, one row per payer. forms holds
+// the return's 1099-INTs and 1099-DIVs.
+function buildScheduleB(results, { form1099INTs = [], form1099DIVs = [] }) {
+    const a = amountsOf(results);
+    const interestOf = (form) => toAmount(form.interestIncome) + toAmount(form.treasuryInterest);
+    const payers = form1099INTs.filter((form) => interestOf(form) > 0);
+    const dividendPayers = form1099DIVs.filter((form) => toAmount(form.ordinaryDividends) > 0);
+
+    return [
+        heading('Part I  Interest'),
+        ...payers.map((form) => row('1', form.payerName, interestOf(form))),
+        row('2', 'Add the amounts on line 1', sumBy(payers, interestOf)),
+        row('3', 'Excludable interest on series EE and I U.S. savings bonds issued after 1989', 0),
+        row('4', 'Subtract line 3 from line 2. Enter the result here and on Form 1040, line 2b', a.taxableInterest),
+        heading('Part II  Ordinary Dividends'),
+        ...dividendPayers.map((form) => row('5', form.payerName, form.ordinaryDividends)),
+        row('6', 'Add the amounts on line 5. Enter the total here and on Form 1040, line 3b', a.ordinaryDividends)
+    ];
+}
+
+// Forms in the return package, in attachment sequence order. documents holds
+// the return's own 1099-INTs and 1099-DIVs for Schedule B.
+function buildReturnPackage(results, taxYear, documents = {}) {
+    const a = amountsOf(results);
+    const forms = [{ form: '1040', title: 'U.S. Individual Income Tax Return', rows: buildForm1040(results, taxYear) }];
+
+    if (additionalIncomeOf(a) !== 0 || a.totalAdjustments !== 0) {
+        forms.push({ form: 'Schedule 1', title: 'Additional Income and Adjustments to Income', rows: buildSchedule1(results) });
+    }
+    if (a.selfEmploymentTax > 0) {
+        forms.push({ form: 'Schedule 2', title: 'Additional Taxes', rows: buildSchedule2(results) });
+    }
+    if (a.excessSocialSecurityTax > 0) {
+        forms.push({ form: 'Schedule 3', title: 'Additional Credits and Payments', rows: buildSchedule3(results) });
+    }
+    if (a.deductionMethod === 'itemized') {
+        forms.push({ form: 'Schedule A', title: 'Itemized Deductions', rows: buildScheduleA(results, taxYear) });
+    }
+    if (a.taxableInterest > SCHEDULE_B_THRESHOLD || a.ordinaryDividends > SCHEDULE_B_THRESHOLD) {
+        forms.push({ form: 'Schedule B', title: 'Interest and Ordinary Dividends', rows: buildScheduleB(results, documents) });
+    }
+    return forms;
+}
+
+module.exports = {
+    form1040LineNumbers,
+    buildForm1040,
+    buildSchedule1,
+    buildSchedule2,
+    buildSchedule3,
+    buildScheduleA,
+    buildScheduleB,
+    buildReturnPackage
+};
@@ -0,0 +1,195 @@
+// Form 1040 return package as one PDF: Form 1040 followed by the schedules
+// the return needs (see form1040Lines.js). Returns that have not been filed
+// carry a DRAFT watermark on every page.
+const PDFDocument = require('pdfkit');
+const { formatMoney, drawWatermark, maskedTaxpayerId } = require('./pdfLayout');
+const { buildReturnPackage } = require('./form1040Lines');
+const { decryptField } = require('./fieldEncryption');
+
+const LEFT = 40;
+const RIGHT = 572;
+const AMOUNT_WIDTH = 110;
+const ROW_HEIGHT = 17;
+const BOTTOM = 740;
+
+const FILING_STATUS_LABELS = {
+    single: 'Single',
+    'married-joint': 'Married filing jointly',
+    'married-separate': 'Married filing separately',
+    'head-of-household': 'Head of household',
+    'qualifying-widow': 'Qualifying surviving spouse'
+};
+
+function fullName(...parts) {
+    return parts.filter(Boolean).join(' ');
+}
+
+// Who the return is for: name, SSN, address, filing status and dependents
+function returnHeader({ user, taxReturn, results }) {
+    const address = user.address || {};
+    const evaluations = ((results.credits || {}).dependents || {}).dependents || [];
+    const creditType = (id) => {
+        const evaluation = evaluations.find((result) => result.id === id);
+        return evaluation ? evaluation.credit.type : null;
+    };
+
+    return {
+        name: fullName(user.firstName, user.lastName),
+        ssn: maskedTaxpayerId(user.ssn),
+        spouseName: fullName(taxReturn.spouseFirstName, taxReturn.spouseLastName),
+        spouseSsn: maskedTaxpayerId(taxReturn.spouseSsn),
+        address: [address.street, address.city, [address.state, address.zip].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+        filingStatus: FILING_STATUS_LABELS[taxReturn.filingStatus] || '',
+        dependents: (taxReturn.dependentsSnapshot || []).map((dependent) => ({
+            name: dependent.name,
+            ssn: maskedTaxpayerId(decryptField(dependent.ssn)),
+            relationship: (dependent.relationship || '').replace(/_/g, ' '),
+            credit: creditType(dependent.id)
+        }))
+    };
+}
+
+function formatAmount(amount) {
+    return amount < 0 ? `(${formatMoney(-amount)})` : formatMoney(amount);
+}
+
+// Write below the bottom margin without pdfkit starting a new page
+function drawFooter(doc, text) {
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(7).fillColor('#444').text(text, LEFT, doc.page.height - 30, { width: RIGHT - LEFT, lineBreak: false });
+    doc.fillColor('#000');
+    doc.page.margins.bottom = bottomMargin;
+}
+
+function drawFormTitle(doc, form, taxYear, continued) {
+    doc.font('Helvetica-Bold').fontSize(16).text(form.form, LEFT, 40, { lineBreak: false });
+    doc.font('Helvetica').fontSize(10).text(`${form.title}${continued ? ' (continued)' : ''}`, LEFT + 110, 44, { lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(16).text(String(taxYear), RIGHT - 60, 40, { width: 60, align: 'right', lineBreak: false });
+    doc.font('Helvetica');
+    doc.moveTo(LEFT, 64).lineTo(RIGHT, 64).stroke();
+    return 72;
+}
+
+// Name and SSN at the top of every schedule
+function drawNameLine(doc, header, y) {
+    doc.fontSize(8).fillColor('#444').text('Name(s) shown on Form 1040', LEFT, y, { lineBreak: false });
+    doc.text('Your social security number', RIGHT - 150, y, { lineBreak: false });
+    doc.fontSize(10).fillColor('#000').text(fullName(header.name, header.spouseName && `& ${header.spouseName}`), LEFT, y + 10, { lineBreak: false });
+    doc.text(header.ssn, RIGHT - 150, y + 10, { lineBreak: false });
+    return y + 30;
+}
+
+// Form 1040 page 1 header: filing status, names, address and dependents
+function drawTaxpayerBlock(doc, header, y) {
+    const field = (label, value, x, width) => {
+        doc.fontSize(7).fillColor('#444').text(label, x, y, { width, lineBreak: false });
+        doc.fontSize(10).fillColor('#000').text(value || '', x, y + 9, { width, ellipsis: true, lineBreak: false });
+    };
+
+    field('Filing status', header.filingStatus, LEFT, 250);
+    y += 26;
+    field('Your first name and last name', header.name, LEFT, 330);
+    field('Your social security number', header.ssn, RIGHT - 150, 150);
+    y += 26;
+    if (header.spouseName) {
+        field("Spouse's first name and last name", header.spouseName, LEFT, 330);
+        field("Spouse's social security number", header.spouseSsn, RIGHT - 150, 150);
+        y += 26;
+    }
+    field('Home address', header.address, LEFT, RIGHT - LEFT);
+    y += 28;
+
+    if (header.dependents.length > 0) {
+        doc.fontSize(7).fillColor('#444');
+        doc.text('Dependents: name', LEFT, y, { lineBreak: false });
+        doc.text('SSN', LEFT + 200, y, { lineBreak: false });
+        doc.text('Relationship', LEFT + 300, y, { lineBreak: false });
+        doc.text('Child tax credit / Credit for other dependents', LEFT + 400, y, { lineBreak: false });
+        y += 10;
+        doc.fontSize(9).fillColor('#000');
+        for (const dependent of header.dependents) {
+            doc.text(dependent.name || '', LEFT, y, { width: 195, ellipsis: true, lineBreak: false });
+            doc.text(dependent.ssn, LEFT + 200, y, { lineBreak: false });
+            doc.text(dependent.relationship, LEFT + 300, y, { width: 95, ellipsis: true, lineBreak: false });
+            const credit = { child_tax_credit: 'Child tax credit', credit_for_other_dependents: 'Other dependents' }[dependent.credit];
+            doc.text(credit || '', LEFT + 400, y, { lineBreak: false });
+            y += 12;
+        }
+        y += 4;
+    }
+
+    doc.moveTo(LEFT, y).lineTo(RIGHT, y).stroke();
+    return y + 8;
+}
+
+function drawHeading(doc, text, y) {
+    doc.rect(LEFT, y, RIGHT - LEFT, ROW_HEIGHT - 3).fillColor('#e6e6e6').fill();
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(9).text(text, LEFT + 4, y + 3, { lineBreak: false });
+    doc.font('Helvetica');
+}
+
+function drawRow(doc, { line, label, amount }, y) {
+    const amountX = RIGHT - AMOUNT_WIDTH;
+    doc.font('Helvetica-Bold').fontSize(9).text(line, LEFT, y + 3, { width: 28, lineBreak: false });
+    doc.font('Helvetica').text(label, LEFT + 30, y + 3, { width: amountX - LEFT - 60, ellipsis: true, lineBreak: false });
+    doc.fontSize(7).fillColor('#444').text(line, amountX - 24, y + 4, { width: 20, align: 'right', lineBreak: false });
+    doc.fillColor('#000').rect(amountX, y, AMOUNT_WIDTH, ROW_HEIGHT - 3).stroke();
+    doc.fontSize(9).text(formatAmount(amount), amountX + 4, y + 3, { width: AMOUNT_WIDTH - 8, align: 'right', lineBreak: false });
+}
+
+function renderForm(doc, form, { header, taxYear, footer }) {
+    doc.addPage();
+    let y = drawFormTitle(doc, form, taxYear, false);
+    y = form.form === '1040' ? drawTaxpayerBlock(doc, header, y) : drawNameLine(doc, header, y);
+    drawFooter(doc, footer);
+
+    for (const entry of form.rows) {
+        if (entry.pageBreak || y + ROW_HEIGHT > BOTTOM) {
+            doc.addPage();
+            y = drawNameLine(doc, header, drawFormTitle(doc, form, taxYear, true));
+            drawFooter(doc, footer);
+        }
+        if (entry.pageBreak) {
+            continue;
+        }
+        if (entry.heading) {
+            drawHeading(doc, entry.heading, y + 2);
+            y += ROW_HEIGHT + 2;
+        } else {
+            drawRow(doc, entry, y);
+            y += ROW_HEIGHT;
+        }
+    }
+}
+
+// Lay out the whole package. The caller pipes the document and ends it.
+// documents holds the return's 1099-INTs and 1099-DIVs for Schedule B.
+function createReturnPackagePdf({ user, taxReturn, results, documents = {} }) {
+    const draft = taxReturn.status !== 'filed';
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 40,
+        autoFirstPage: false,
+        info: { Title: `Form 1040 - ${taxReturn.taxYear}` }
+    });
+
+    if (draft) {
+        doc.on('pageAdded', () => drawWatermark(doc, 'DRAFT'));
+    }
+
+    const header = returnHeader({ user, taxReturn, results });
+    const footer = [
+        `Generated on: ${new Date().toLocaleDateString()}`,
+        draft ? 'Draft - review before filing; this is not an official IRS form' : 'Copy of filed return'
+    ].join('    ');
+
+    for (const form of buildReturnPackage(results, taxReturn.taxYear, documents)) {
+        renderForm(doc, form, { header, taxYear: taxReturn.taxYear, footer });
+    }
+    return doc;
+}
+
+module.exports = {
+    createReturnPackagePdf
+};
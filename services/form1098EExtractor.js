@@ -0,0 +1,37 @@
+const { extractField, extractMoneyField, isChecked } = require('./textPatterns');
+
+// Extract Form 1098-E (Student Loan Interest Statement) data from PDF text
+function extractForm1098EData(text) {
+    const lenderName = extractField(text, [
+        /RECIPIENT'S\/LENDER'S name[^\n]*\n([^\n]+)/i,
+        /Lender[:\s]*([A-Za-z0-9\s,.&-]+?)(?:\n|$)/i
+    ]);
+
+    const lenderTIN = extractField(text, [
+        /RECIPIENT'S TIN[:\s]*(\d{2}-?\d{7})/i,
+        /Lender'?s?\s*TIN[:\s]*(\d{2}-?\d{7})/i
+    ]);
+
+    // Box 1: Student loan interest received by lender
+    const studentLoanInterest = extractMoneyField(text, [
+        /1\s*Student\s*loan\s*interest\s*received\s*by\s*lender[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*1[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Student\s*loan\s*interest[:\s]*\$?([\d,]+\.?\d*)/i
+    ]);
+
+    // Box 2: checkbox after the caption, which may be printed in full
+    const excludesOriginationFees = isChecked(text, '2\\s*If\\s*checked' +
+        '(?:,?\\s*box\\s*1\\s*does\\s*not\\s*include\\s*loan\\s*origination\\s*fees\\s*and\\/or\\s*capitalized\\s*interest' +
+        '(?:\\s*for\\s*loans\\s*made\\s*before\\s*September\\s*1,?\\s*2004)?\\.?)?');
+
+    return {
+        lenderName,
+        lenderTIN,
+        studentLoanInterest,
+        excludesOriginationFees
+    };
+}
+
+module.exports = {
+    extractForm1098EData
+};
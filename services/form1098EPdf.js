@@ -0,0 +1,23 @@
+const { formatMoney, maskedTaxpayerId, maskedEmployerId } = require('./pdfLayout');
+
+// Lay out the Form 1098-E summary downloaded from the dashboard.
+// TINs are masked the same as on the generated Form 1098.
+function renderForm1098E(doc, form) {
+    doc.fontSize(16).text('Form 1098-E', 50, 50);
+    doc.fontSize(12).text(`Student Loan Interest Statement - ${form.taxYear}`, 50, 80);
+
+    doc.text(`Lender: ${form.lenderName}`, 50, 120);
+    doc.text(`Lender TIN: ${maskedEmployerId(form.lenderTIN) || 'N/A'}`, 50, 140);
+
+    doc.text(`Borrower: ${form.borrowerName || 'N/A'}`, 50, 180);
+    doc.text(`Borrower TIN: ${maskedTaxpayerId(form.borrowerSSN) || 'N/A'}`, 50, 200);
+
+    doc.text(`Box 1 - Student loan interest received by lender: $${formatMoney(form.studentLoanInterest)}`, 50, 240);
+    doc.text(`Box 2 - Excludes loan origination fees/capitalized interest: ${form.excludesOriginationFees ? 'Yes' : 'No'}`, 50, 260);
+
+    doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 50, 300);
+}
+
+module.exports = {
+    renderForm1098E
+};
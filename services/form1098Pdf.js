@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { formatMoney, drawBox, maskedTaxpayerId, maskedEmployerId } = require('./pdfLayout');
+
+const FORM1098_PDF_DIR = path.join(__dirname, '../uploads/1098');
+
+// Lay out Form 1098 (Mortgage Interest Statement) with every box populated.
+// TINs are masked: the file is kept on disk after the request.
+function renderForm1098(doc, form) {
+    const left = 40;
+    const columnWidth = 266;
+    const right = left + columnWidth;
+
+    doc.fontSize(16).text('Form 1098', left, 40);
+    doc.fontSize(11).text(`Mortgage Interest Statement - ${form.taxYear}`, left, 60);
+
+    // Left column: lender, borrower and account details
+    drawBox(doc, {
+        x: left, y: 90, width: columnWidth, height: 70,
+        label: "RECIPIENT'S/LENDER'S name, address and telephone number",
+        value: [form.lenderName, form.lenderAddress, form.lenderPhone].filter(Boolean).join(', ')
+    });
+    drawBox(doc, { x: left, y: 160, width: columnWidth / 2, height: 36, label: "RECIPIENT'S/LENDER'S TIN", value: maskedEmployerId(form.lenderTIN) });
+    drawBox(doc, { x: left + columnWidth / 2, y: 160, width: columnWidth / 2, height: 36, label: "PAYER'S/BORROWER'S TIN", value: maskedTaxpayerId(form.borrowerSSN) });
+    drawBox(doc, { x: left, y: 196, width: columnWidth, height: 36, label: "PAYER'S/BORROWER'S name", value: form.borrowerName });
+    drawBox(doc, { x: left, y: 232, width: columnWidth, height: 54, label: 'Street address (including apt. no.), city, state and ZIP code', value: form.borrowerAddress });
+    drawBox(doc, { x: left, y: 286, width: columnWidth / 2, height: 36, label: '9 Number of properties securing the mortgage', value: form.numberOfProperties });
+    drawBox(doc, { x: left + columnWidth / 2, y: 286, width: columnWidth / 2, height: 36, label: '10 Real estate taxes', value: `$${formatMoney(form.realEstateTaxes)}` });
+    drawBox(doc, { x: left, y: 322, width: columnWidth, height: 36, label: 'Account number (see instructions)', value: form.accountNumber });
+
+    // Right column: amounts
+    drawBox(doc, { x: right, y: 90, width: columnWidth, height: 36, label: '1 Mortgage interest received from payer(s)/borrower(s)', value: `$${formatMoney(form.mortgageInterestReceived)}` });
+    drawBox(doc, { x: right, y: 126, width: columnWidth / 2, height: 36, label: '2 Outstanding mortgage principal', value: `$${formatMoney(form.outstandingPrincipal)}` });
+    drawBox(doc, { x: right + columnWidth / 2, y: 126, width: columnWidth / 2, height: 36, label: '3 Mortgage origination date', value: form.originationDate });
+    drawBox(doc, { x: right, y: 162, width: columnWidth / 2, height: 36, label: '4 Refund of overpaid interest', value: `$${formatMoney(form.refundOverpaidInterest)}` });
+    drawBox(doc, { x: right + columnWidth / 2, y: 162, width: columnWidth / 2, height: 36, label: '5 Mortgage insurance premiums', value: `$${formatMoney(form.mortgageInsurancePremiums)}` });
+    drawBox(doc, { x: right, y: 198, width: columnWidth, height: 36, label: '6 Points paid on purchase of principal residence', value: `$${formatMoney(form.pointsPaidPurchase)}` });
+    drawBox(doc, { x: right, y: 234, width: columnWidth, height: 52, label: '7 Address or description of property securing mortgage', value: form.propertyAddress });
+    drawBox(doc, {
+        x: right, y: 286, width: columnWidth, height: 36,
+        label: '8 Other',
+        value: [form.otherDescription, parseFloat(form.otherAmount) ? `$${formatMoney(form.otherAmount)}` : null].filter(Boolean).join(' - ')
+    });
+    drawBox(doc, { x: right, y: 322, width: columnWidth, height: 36, label: '11 Acquisition cost', value: `$${formatMoney(form.acquisitionCost)}` });
+
+    doc.fontSize(8).fillColor('#444').text(`Generated on: ${new Date().toLocaleDateString()}`, left, 372);
+    doc.fillColor('#000');
+}
+
+// Render the form to uploads/1098/<id>.pdf and resolve with the file path
+function generateForm1098Pdf(form) {
+    if (!fs.existsSync(FORM1098_PDF_DIR)) {
+        fs.mkdirSync(FORM1098_PDF_DIR, { recursive: true });
+    }
+
+    const pdfPath = path.join(FORM1098_PDF_DIR, `1098-${form.taxYear}-${form.id}.pdf`);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: 40 });
+        const stream = fs.createWriteStream(pdfPath);
+
+        stream.on('finish', () => resolve(pdfPath));
+        stream.on('error', reject);
+
+        doc.pipe(stream);
+        renderForm1098(doc, form);
+        doc.end();
+    });
+}
+
+module.exports = {
+    FORM1098_PDF_DIR,
+    generateForm1098Pdf,
+    renderForm1098
+};
@@ -0,0 +1,111 @@
+const { MONEY, extractField, extractMoneyField, isChecked } = require('./textPatterns');
+
+// Box caption followed by its amount, e.g. "1 Interest income $1,234.56"
+function boxPattern(box, caption) {
+    return new RegExp(`${box}\\s*${caption}[:\\s]*${MONEY}`, 'i');
+}
+
+// Payer and recipient details printed the same way on every 1099
+function extractPartyFields(text) {
+    return {
+        payerName: extractField(text, [
+            /PAYER'S name[^\n]*\n([^\n]+)/i,
+            /Payer[:\s]*([A-Za-z0-9\s,.&-]+?)(?:\n|$)/i
+        ]),
+        payerTIN: extractField(text, [
+            /PAYER'S (?:TIN|federal identification number)[:\s]*(\d{2}-?\d{7})/i
+        ]),
+        accountNumber: extractField(text, [
+            /Account number[^\n]*[:\s]+([A-Za-z0-9-]{4,})/i
+        ]),
+        federalTaxWithheld: extractMoneyField(text, [
+            boxPattern(4, 'Federal\\s*income\\s*tax\\s*withheld'),
+            /Federal\s*income\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i
+        ])
+    };
+}
+
+// Form 1099-INT (Interest Income)
+function extractForm1099INTData(text) {
+    return {
+        ...extractPartyFields(text),
+        interestIncome: extractMoneyField(text, [boxPattern(1, 'Interest\\s*income'), /Box\s*1[:\s]*\$?([\d,]+\.?\d*)/i]),
+        earlyWithdrawalPenalty: extractMoneyField(text, [boxPattern(2, 'Early\\s*withdrawal\\s*penalty')]),
+        treasuryInterest: extractMoneyField(text, [boxPattern(3, 'Interest\\s*on\\s*U\\.?S\\.?\\s*Savings\\s*Bonds[^$\\d]*')]),
+        foreignTaxPaid: extractMoneyField(text, [boxPattern(6, 'Foreign\\s*tax\\s*paid')]),
+        taxExemptInterest: extractMoneyField(text, [boxPattern(8, 'Tax-exempt\\s*interest')]),
+        privateActivityBondInterest: extractMoneyField(text, [boxPattern(9, 'Specified\\s*private\\s*activity\\s*bond\\s*interest')])
+    };
+}
+
+// Form 1099-DIV (Dividends and Distributions)
+function extractForm1099DIVData(text) {
+    return {
+        ...extractPartyFields(text),
+        ordinaryDividends: extractMoneyField(text, [boxPattern('1a', 'Total\\s*ordinary\\s*dividends')]),
+        qualifiedDividends: extractMoneyField(text, [boxPattern('1b', 'Qualified\\s*dividends')]),
+        capitalGainDistributions: extractMoneyField(text, [boxPattern('2a', 'Total\\s*capital\\s*gain\\s*distr?\\.?(?:ibutions)?')]),
+        nondividendDistributions: extractMoneyField(text, [boxPattern(3, 'Nondividend\\s*distributions')]),
+        section199ADividends: extractMoneyField(text, [boxPattern(5, 'Section\\s*199A\\s*dividends')]),
+        foreignTaxPaid: extractMoneyField(text, [boxPattern(7, 'Foreign\\s*tax\\s*paid')]),
+        exemptInterestDividends: extractMoneyField(text, [boxPattern(12, 'Exempt-interest\\s*dividends')])
+    };
+}
+
+// Form 1099-NEC (Nonemployee Compensation)
+function extractForm1099NECData(text) {
+    return {
+        ...extractPartyFields(text),
+        nonemployeeCompensation: extractMoneyField(text, [
+            boxPattern(1, 'Nonemployee\\s*compensation'),
+            /Nonemployee\s*compensation[:\s]*\$?([\d,]+\.?\d*)/i
+        ]),
+        // Box 2: checkbox after the caption "...to recipient for resale"
+        directSales: isChecked(text, '2\\s*Payer\\s*made\\s*direct\\s*sales(?:\\s*(?:totaling|of)\\s*\\$?5,?000\\s*or\\s*more\\s*of\\s*consumer\\s*products\\s*to\\s*(?:a\\s*)?recipient\\s*for\\s*resale)?')
+    };
+}
+
+// Form 1099-MISC (Miscellaneous Information)
+function extractForm1099MISCData(text) {
+    return {
+        ...extractPartyFields(text),
+        rents: extractMoneyField(text, [boxPattern(1, 'Rents')]),
+        royalties: extractMoneyField(text, [boxPattern(2, 'Royalties')]),
+        otherIncome: extractMoneyField(text, [boxPattern(3, 'Other\\s*income')])
+    };
+}
+
+// Form 1099-R (Distributions From Pensions, Annuities, Retirement Plans, IRAs...)
+function extractForm1099RData(text) {
+    return {
+        ...extractPartyFields(text),
+        grossDistribution: extractMoneyField(text, [boxPattern(1, 'Gross\\s*distribution')]),
+        taxableAmount: extractMoneyField(text, [boxPattern('2a', 'Taxable\\s*amount')]),
+        taxableAmountNotDetermined: isChecked(text, 'Taxable\\s*amount\\s*not\\s*determined'),
+        totalDistribution: isChecked(text, 'Total\\s*distribution'),
+        employeeContributions: extractMoneyField(text, [boxPattern(5, 'Employee\\s*contributions[^$\\d]*')]),
+        distributionCode: extractField(text, [/7\s*Distribution\s*code\(s\)[:\s]*([0-9A-Z]{1,2})\b/i]),
+        isIraSepSimple: isChecked(text, 'IRA\\/\\s*SEP\\/\\s*SIMPLE')
+    };
+}
+
+// Form 1099-G (Certain Government Payments)
+function extractForm1099GData(text) {
+    const refundTaxYear = extractField(text, [/3\s*Box\s*2\s*amount\s*is\s*for\s*tax\s*year[:\s]*(\d{4})/i]);
+    return {
+        ...extractPartyFields(text),
+        unemploymentCompensation: extractMoneyField(text, [boxPattern(1, 'Unemployment\\s*compensation')]),
+        stateTaxRefund: extractMoneyField(text, [boxPattern(2, 'State\\s*or\\s*local\\s*income\\s*tax\\s*refunds[^$\\d]*')]),
+        refundTaxYear: refundTaxYear ? parseInt(refundTaxYear, 10) : null,
+        taxableGrants: extractMoneyField(text, [boxPattern(6, 'Taxable\\s*grants')])
+    };
+}
+
+module.exports = {
+    extractForm1099INTData,
+    extractForm1099DIVData,
+    extractForm1099NECData,
+    extractForm1099MISCData,
+    extractForm1099RData,
+    extractForm1099GData
+};
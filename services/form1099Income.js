@@ -0,0 +1,136 @@
+// Income, adjustments and withholding from the Form 1099 family, sorted onto
+// the Form 1040 and Schedule 1 lines they belong on
+const { toAmount, roundCents, sumBy, itemizedExcess } = require('./taxMath');
+
+// Keys the variants are passed under (documentKey in services/form1099s.js)
+const FORM_1099_KEYS = ['form1099INTs', 'form1099DIVs', 'form1099NECs', 'form1099MISCs', 'form1099Rs', 'form1099Gs'];
+
+function formatMoney(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+}
+
+// Box 7 codes G and H are direct rollovers, which are not taxed
+function isDirectRollover(form) {
+    return /[GH]/i.test(form.distributionCode || '');
+}
+
+// Taxable part of a 1099-R. Without a box 2a amount the whole distribution,
+// less the employee's own after-tax contributions, is taxed.
+function taxableDistribution(form) {
+    if (isDirectRollover(form)) {
+        return 0;
+    }
+    if (form.taxableAmount !== null && form.taxableAmount !== undefined && !form.taxableAmountNotDetermined) {
+        return toAmount(form.taxableAmount);
+    }
+    return roundCents(Math.max(0, toAmount(form.grossDistribution) - toAmount(form.employeeContributions)));
+}
+
+function summarizeDistributions(forms) {
+    return {
+        gross: sumBy(forms, (form) => form.grossDistribution),
+        taxable: sumBy(forms, taxableDistribution)
+    };
+}
+
+// 1099-G box 2 refunds of state or local income tax are income only if the tax
+// was deducted, and only as far as the deduction lowered last year's tax. With
+// the SALT cap, the refund counts only to the extent it lowered the capped
+// deduction. priorYear is last year's computed deductions, if we have them.
+function stateTaxRefundIncome(form1099Gs, taxYear, priorYear) {
+    const lastYear = form1099Gs.filter((form) => !form.refundTaxYear || form.refundTaxYear === taxYear - 1);
+    const earlier = sumBy(form1099Gs.filter((form) => !lastYear.includes(form)), (form) => form.stateTaxRefund);
+    const refunded = sumBy(lastYear, (form) => form.stateTaxRefund);
+    const total = roundCents(refunded + earlier);
+
+    if (total === 0) {
+        return { refunded: 0, taxable: 0, reason: null };
+    }
+    if (refunded === 0 || !priorYear) {
+        return { refunded: total, taxable: total, reason: 'Assumed deducted on an earlier return' };
+    }
+    if (priorYear.method !== 'itemized') {
+        return { refunded: total, taxable: earlier, reason: 'Not taxable: you took the standard deduction last year' };
+    }
+
+    const taxes = priorYear.itemized && priorYear.itemized.taxes;
+    if (taxes && taxes.salesTaxElected) {
+        return { refunded: total, taxable: earlier, reason: 'Not taxable: you deducted sales tax instead of income tax last year' };
+    }
+
+    let recovered = refunded;
+    if (taxes && taxes.saltCap !== undefined) {
+        const deductionWithoutRefund = Math.min(toAmount(taxes.stateAndLocalTaxes) - refunded, toAmount(taxes.saltCap));
+        recovered = roundCents(Math.max(0, toAmount(taxes.saltDeduction) - deductionWithoutRefund));
+    }
+    const benefit = itemizedExcess(priorYear);
+    const taxable = roundCents(Math.min(recovered, benefit) + earlier);
+
+    let reason = "Deducted on last year's return";
+    if (recovered < refunded) {
+        reason = `Taxable only as far as it lowered last year's ${formatMoney(toAmount(taxes.saltCap))} SALT deduction`;
+    } else if (benefit < refunded) {
+        reason = `Taxable up to the ${formatMoney(benefit)} your itemized deductions exceeded the standard deduction last year`;
+    }
+    return { refunded: total, taxable, reason };
+}
+
+// Totals from the return's 1099s. forms holds each variant under its
+// documentKey (see services/form1099s.js), already limited to the return's owners.
+function summarizeForm1099s(forms, { taxYear, priorYearDeductions = null }) {
+    const ints = forms.form1099INTs || [];
+    const divs = forms.form1099DIVs || [];
+    const necs = forms.form1099NECs || [];
+    const miscs = forms.form1099MISCs || [];
+    const rs = forms.form1099Rs || [];
+    const gs = forms.form1099Gs || [];
+    const all = [...ints, ...divs, ...necs, ...miscs, ...rs, ...gs];
+    const warnings = [];
+
+    for (const form of rs) {
+        if (/1/.test(form.distributionCode || '')) {
+            warnings.push(`${form.payerName}: early distribution (code 1); an additional 10% tax may apply unless an exception does (Form 5329)`);
+        }
+        if (form.taxableAmountNotDetermined && !isDirectRollover(form)) {
+            warnings.push(`${form.payerName}: the payer did not determine the taxable amount; the gross distribution was used`);
+        }
+    }
+    for (const form of divs) {
+        if (toAmount(form.qualifiedDividends) > toAmount(form.ordinaryDividends)) {
+            warnings.push(`${form.payerName}: qualified dividends (box 1b) cannot be more than total ordinary dividends (box 1a)`);
+        }
+    }
+
+    const otherIncome = roundCents(sumBy(miscs, (form) => form.otherIncome) + sumBy(gs, (form) => form.taxableGrants));
+
+    return {
+        count: all.length,
+        // Form 1040 lines 2a/2b, 3a/3b, 4a-5b and 7
+        taxableInterest: roundCents(sumBy(ints, (form) => form.interestIncome) + sumBy(ints, (form) => form.treasuryInterest)),
+        taxExemptInterest: roundCents(sumBy(ints, (form) => form.taxExemptInterest) + sumBy(divs, (form) => form.exemptInterestDividends)),
+        ordinaryDividends: sumBy(divs, (form) => form.ordinaryDividends),
+        qualifiedDividends: sumBy(divs, (form) => Math.min(toAmount(form.qualifiedDividends), toAmount(form.ordinaryDividends))),
+        capitalGainDistributions: sumBy(divs, (form) => form.capitalGainDistributions),
+        section199ADividends: sumBy(divs, (form) => form.section199ADividends),
+        iraDistributions: summarizeDistributions(rs.filter((form) => form.isIraSepSimple)),
+        pensionsAndAnnuities: summarizeDistributions(rs.filter((form) => !form.isIraSepSimple)),
+        // Schedule 1, Part I
+        nonemployeeCompensation: sumBy(necs, (form) => form.nonemployeeCompensation),
+        rentsAndRoyalties: roundCents(sumBy(miscs, (form) => form.rents) + sumBy(miscs, (form) => form.royalties)),
+        unemploymentCompensation: sumBy(gs, (form) => form.unemploymentCompensation),
+        stateTaxRefund: stateTaxRefundIncome(gs, taxYear, priorYearDeductions),
+        otherIncome,
+        // Schedule 1, line 18
+        earlyWithdrawalPenalty: sumBy(ints, (form) => form.earlyWithdrawalPenalty),
+        // Foreign tax credit (Schedule 3) and Form 1040 line 25b
+        foreignTaxPaid: roundCents(sumBy(ints, (form) => form.foreignTaxPaid) + sumBy(divs, (form) => form.foreignTaxPaid)),
+        federalTaxWithheld: sumBy(all, (form) => form.federalTaxWithheld),
+        warnings
+    };
+}
+
+module.exports = {
+    FORM_1099_KEYS,
+    summarizeForm1099s,
+    taxableDistribution
+};
@@ -0,0 +1,101 @@
+// The Form 1099 variants, keyed by the type used in URLs. Each entry lists the
+// variant's own boxes; the payer, recipient and withholding columns are shared
+// (see models/form1099.js).
+const Form1099INT = require('../models/Form1099INT');
+const Form1099DIV = require('../models/Form1099DIV');
+const Form1099NEC = require('../models/Form1099NEC');
+const Form1099MISC = require('../models/Form1099MISC');
+const Form1099R = require('../models/Form1099R');
+const Form1099G = require('../models/Form1099G');
+const {
+    extractForm1099INTData,
+    extractForm1099DIVData,
+    extractForm1099NECData,
+    extractForm1099MISCData,
+    extractForm1099RData,
+    extractForm1099GData
+} = require('./form1099Extractor');
+
+const FORM_1099_TYPES = {
+    int: {
+        Model: Form1099INT,
+        label: '1099-INT',
+        // Key in loadDocuments / computeTaxReturn
+        documentKey: 'form1099INTs',
+        extract: extractForm1099INTData,
+        moneyFields: ['interestIncome', 'earlyWithdrawalPenalty', 'treasuryInterest', 'foreignTaxPaid', 'taxExemptInterest', 'privateActivityBondInterest'],
+        booleanFields: []
+    },
+    div: {
+        Model: Form1099DIV,
+        label: '1099-DIV',
+        documentKey: 'form1099DIVs',
+        extract: extractForm1099DIVData,
+        moneyFields: ['ordinaryDividends', 'qualifiedDividends', 'capitalGainDistributions', 'nondividendDistributions', 'section199ADividends', 'foreignTaxPaid', 'exemptInterestDividends'],
+        booleanFields: []
+    },
+    nec: {
+        Model: Form1099NEC,
+        label: '1099-NEC',
+        documentKey: 'form1099NECs',
+        extract: extractForm1099NECData,
+        moneyFields: ['nonemployeeCompensation'],
+        booleanFields: ['directSales'],
+        otherFields: ['businessId']
+    },
+    misc: {
+        Model: Form1099MISC,
+        label: '1099-MISC',
+        documentKey: 'form1099MISCs',
+        extract: extractForm1099MISCData,
+        moneyFields: ['rents', 'royalties', 'otherIncome'],
+        booleanFields: []
+    },
+    r: {
+        Model: Form1099R,
+        label: '1099-R',
+        documentKey: 'form1099Rs',
+        extract: extractForm1099RData,
+        moneyFields: ['grossDistribution', 'taxableAmount', 'employeeContributions'],
+        booleanFields: ['taxableAmountNotDetermined', 'totalDistribution', 'isIraSepSimple'],
+        otherFields: ['distributionCode']
+    },
+    g: {
+        Model: Form1099G,
+        label: '1099-G',
+        documentKey: 'form1099Gs',
+        extract: extractForm1099GData,
+        moneyFields: ['unemploymentCompensation', 'stateTaxRefund', 'taxableGrants'],
+        booleanFields: [],
+        otherFields: ['refundTaxYear']
+    }
+};
+
+const FORM_1099_MODELS = Object.values(FORM_1099_TYPES).map((type) => type.Model);
+
+// Fields shared by every variant that the user can edit
+const COMMON_FIELDS = [
+    'taxYear',
+    'owner',
+    'payerName',
+    'payerAddress',
+    'payerTIN',
+    'recipientName',
+    'recipientTIN',
+    'accountNumber',
+    'federalTaxWithheld',
+    'state',
+    'stateTaxWithheld',
+    'notes'
+];
+
+function editableFields(type) {
+    const { moneyFields, booleanFields, otherFields = [] } = FORM_1099_TYPES[type];
+    return [...COMMON_FIELDS, ...moneyFields, ...booleanFields, ...otherFields];
+}
+
+module.exports = {
+    FORM_1099_TYPES,
+    FORM_1099_MODELS,
+    editableFields
+};
@@ -0,0 +1,15 @@
+// Development transport: print the message instead of sending it
+module.exports = {
+    name: 'console',
+    async send(message) {
+        console.log([
+            '--- mail ---',
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '------------'
+        ].join('\n'));
+        return { transport: 'console' };
+    }
+};
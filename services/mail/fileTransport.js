@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write each message to MAIL_FILE_DIR as JSON so tests and local tools can read
+// the links out of it
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../uploads/mail');
+
+module.exports = {
+    name: 'file',
+    async send(message) {
+        if (!fs.existsSync(MAIL_FILE_DIR)) {
+            fs.mkdirSync(MAIL_FILE_DIR, { recursive: true });
+        }
+
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(MAIL_FILE_DIR, fileName);
+        fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        return { transport: 'file', filePath };
+    }
+};
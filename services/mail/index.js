@@ -0,0 +1,42 @@
+// Outgoing mail. The transport is chosen by MAIL_TRANSPORT (console, file or
+// smtp; console by default outside production) and more can be added with
+// registerTransport.
+// A transport is { name, send({ from, to, subject, text, html }) }.
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const smtpTransport = require('./smtpTransport');
+
+const transports = {};
+
+function registerTransport(transport) {
+    transports[transport.name] = transport;
+}
+
+registerTransport(consoleTransport);
+registerTransport(fileTransport);
+registerTransport(smtpTransport);
+
+function getTransport() {
+    // Console output would put reset links in production logs
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    return transport;
+}
+
+async function sendMail(message) {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Tax Filing App <no-reply@localhost>',
+        ...message
+    });
+}
+
+module.exports = {
+    sendMail,
+    registerTransport
+};
@@ -0,0 +1,46 @@
+// Links in emails point at the frontend, which posts the token back to the API
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+function greeting(user) {
+    return user.firstName ? `Hi ${user.firstName},` : 'Hi,';
+}
+
+function passwordResetEmail(user, token, expiresInMinutes) {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+            greeting(user),
+            '',
+            'We received a request to reset the password for your account.',
+            `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+            '',
+            link,
+            '',
+            'If you did not ask for this, you can ignore this email; your password has not changed.'
+        ].join('\n')
+    };
+}
+
+function verificationEmail(user, token) {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+            greeting(user),
+            '',
+            'Please confirm this is your email address by opening the link below:',
+            '',
+            link,
+            '',
+            'If you did not create an account, you can ignore this email.'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    passwordResetEmail,
+    verificationEmail
+};
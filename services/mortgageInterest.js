@@ -0,0 +1,176 @@
+// Home mortgage interest deduction (Pub. 936): debt limits by origination
+// date, proration when the average balance is over the limit, box 4 refunds
+// and box 5 mortgage insurance premiums.
+const { statusKey } = require('../config/taxYears');
+const { toAmount, roundCents, sumBy, itemizedExcess } = require('./taxMath');
+
+// Debt taken out on or before October 13, 1987 has no limit; debt taken out
+// after December 15, 2017 has the lower limit
+const GRANDFATHERED_BEFORE = '1987-10-14';
+const LOWER_LIMIT_FROM = '2017-12-16';
+
+function formatMoney(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+}
+
+function originationDateOf(form) {
+    if (!form.originationDate) {
+        return null;
+    }
+    return new Date(form.originationDate).toISOString().slice(0, 10);
+}
+
+// 'grandfathered', 'before2018' or 'after2017'. Without an origination date
+// the lower limit is assumed.
+function debtCategory(form) {
+    const date = originationDateOf(form);
+    if (!date || date >= LOWER_LIMIT_FROM) {
+        return 'after2017';
+    }
+    return date < GRANDFATHERED_BEFORE ? 'grandfathered' : 'before2018';
+}
+
+function averageBalanceOf(form) {
+    return form.averageBalance !== null && form.averageBalance !== undefined
+        ? toAmount(form.averageBalance)
+        : toAmount(form.outstandingPrincipal);
+}
+
+// Pub. 936 Table 1, lines 1-11
+function qualifiedLoanLimit(balances, limits) {
+    const olderLimit = Math.max(balances.grandfathered, limits.before2018);
+    const olderDebt = Math.min(balances.grandfathered + balances.before2018, olderLimit);
+    return Math.min(Math.max(olderDebt, limits.after2017), olderDebt + balances.after2017);
+}
+
+// Box 5 premiums, where the year allows them, phase out above an AGI threshold
+function insurancePremiumDeduction(form1098s, agi, filingStatus, table) {
+    const paid = sumBy(form1098s, (form) => form.mortgageInsurancePremiums);
+    const rules = table.mortgageInsurancePremiums;
+    if (!rules) {
+        return {
+            paid,
+            deduction: 0,
+            reason: paid > 0 ? `Mortgage insurance premiums are not deductible for ${table.taxYear}` : null
+        };
+    }
+
+    const married = filingStatus === 'married-separate';
+    const start = married ? rules.phaseOutStart / 2 : rules.phaseOutStart;
+    const step = married ? rules.phaseOutStep / 2 : rules.phaseOutStep;
+    const steps = Math.ceil(Math.max(0, agi - start) / step);
+    const fraction = Math.max(0, 1 - steps * rules.phaseOutRate);
+    return {
+        paid,
+        deduction: roundCents(paid * fraction),
+        reason: fraction < 1 ? `Reduced for AGI above ${formatMoney(start)}` : null
+    };
+}
+
+// Box 4 refunds of interest deducted in an earlier year are income to the
+// extent the deduction lowered that year's tax (Schedule 1, line 8z).
+// priorYear is last year's computed deductions, if we have them.
+function mortgageInterestRefundIncome(form1098s, priorYear) {
+    const refunded = sumBy(
+        (form1098s || []).filter((form) => !form.refundOfCurrentYearInterest),
+        (form) => form.refundOverpaidInterest
+    );
+    if (refunded === 0) {
+        return { refunded, taxable: 0, reason: null };
+    }
+    if (!priorYear) {
+        return { refunded, taxable: refunded, reason: "Assumed deducted on last year's return" };
+    }
+    if (priorYear.method !== 'itemized') {
+        return { refunded, taxable: 0, reason: 'Not taxable: you took the standard deduction last year' };
+    }
+
+    const benefit = itemizedExcess(priorYear);
+    const taxable = Math.min(refunded, benefit);
+    return {
+        refunded,
+        taxable,
+        reason: taxable < refunded
+            ? `Taxable up to the ${formatMoney(benefit)} your itemized deductions exceeded the standard deduction last year`
+            : "Deducted on last year's return"
+    };
+}
+
+// Deductible home mortgage interest and points from the return's 1098s
+function calculateMortgageInterest(form1098s, { filingStatus, agi, table }) {
+    const key = statusKey(filingStatus);
+    const limits = {
+        before2018: table.mortgageDebtLimit.before2018[key],
+        after2017: table.mortgageDebtLimit.after2017[key]
+    };
+    const warnings = [];
+
+    const loans = (form1098s || []).map((form) => {
+        const currentYearRefund = form.refundOfCurrentYearInterest ? toAmount(form.refundOverpaidInterest) : 0;
+        const interest = roundCents(Math.max(0, toAmount(form.mortgageInterestReceived) - currentYearRefund));
+        const loan = {
+            id: form.id,
+            lenderName: form.lenderName,
+            originationDate: originationDateOf(form),
+            category: debtCategory(form),
+            averageBalance: averageBalanceOf(form),
+            interest,
+            points: toAmount(form.pointsPaidPurchase),
+            currentYearRefund,
+            qualifies: true,
+            reason: null
+        };
+
+        if (!loan.originationDate) {
+            warnings.push(`No origination date for ${form.lenderName}; the ${formatMoney(limits.after2017)} limit was used`);
+        }
+        if (form.numberOfProperties > 1) {
+            warnings.push(`${form.lenderName} covers ${form.numberOfProperties} properties; only your main home and one second home qualify`);
+        }
+        if (form.usedToBuyBuildOrImprove === false && loan.category !== 'grandfathered') {
+            loan.qualifies = false;
+            loan.reason = 'Home equity debt not used to buy, build or improve the home';
+        }
+        return loan;
+    });
+
+    const qualifying = loans.filter((loan) => loan.qualifies);
+    const balances = {
+        grandfathered: sumBy(qualifying.filter((loan) => loan.category === 'grandfathered'), (loan) => loan.averageBalance),
+        before2018: sumBy(qualifying.filter((loan) => loan.category === 'before2018'), (loan) => loan.averageBalance),
+        after2017: sumBy(qualifying.filter((loan) => loan.category === 'after2017'), (loan) => loan.averageBalance)
+    };
+    const totalBalance = roundCents(balances.grandfathered + balances.before2018 + balances.after2017);
+    const limit = qualifiedLoanLimit(balances, limits);
+
+    // Table 1 lines 12-16: interest is prorated when the balance is over the
+    // limit, with the ratio rounded to three places
+    const interestPaid = sumBy(qualifying, (loan) => loan.interest + loan.points);
+    const deductibleShare = totalBalance > limit ? Math.round((limit / totalBalance) * 1000) / 1000 : 1;
+    const deductibleInterest = roundCents(interestPaid * deductibleShare);
+    const premiums = insurancePremiumDeduction(form1098s || [], agi, filingStatus, table);
+
+    for (const loan of qualifying) {
+        if (deductibleShare < 1) {
+            loan.reason = `${Math.round(deductibleShare * 1000) / 10}% deductible: average balances of ${formatMoney(totalBalance)} are over the ${formatMoney(limit)} limit`;
+        }
+    }
+
+    return {
+        loans,
+        averageBalances: { ...balances, total: totalBalance },
+        limits,
+        qualifiedLoanLimit: limit,
+        interestPaid,
+        deductibleShare,
+        deductibleInterest,
+        nondeductibleInterest: roundCents(sumBy(loans, (loan) => loan.interest + loan.points) - deductibleInterest),
+        insurancePremiums: premiums,
+        warnings
+    };
+}
+
+module.exports = {
+    calculateMortgageInterest,
+    mortgageInterestRefundIncome
+};
@@ -0,0 +1,52 @@
+// Drawing helpers shared by the generated forms (pdfkit)
+const { maskValue } = require('./fieldEncryption');
+const { formatTaxpayerId } = require('./taxpayerIds');
+
+function formatMoney(value) {
+    const amount = parseFloat(value);
+    return (Number.isFinite(amount) ? amount : 0).toLocaleString('en-US', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+}
+
+// Generated PDFs only ever show the last four digits of an SSN or EIN, the
+// same as API responses; the full number is only shown through the reveal endpoint
+function maskedTaxpayerId(value) {
+    return value ? maskValue(formatTaxpayerId(value)) : '';
+}
+
+function maskedEmployerId(value) {
+    return value ? maskValue(value) : '';
+}
+
+// Draw one labelled box of the form with its value underneath the label
+function drawBox(doc, { x, y, width, height, label, value }) {
+    doc.rect(x, y, width, height).stroke();
+    doc.fontSize(7).fillColor('#444').text(label, x + 4, y + 4, { width: width - 8 });
+    doc.fontSize(10).fillColor('#000').text(value === null || value === undefined ? '' : String(value), x + 4, y + height - 16, {
+        width: width - 8,
+        ellipsis: true,
+        lineBreak: false
+    });
+}
+
+// Large diagonal text across the page, drawn before the page content so the
+// form stays readable on top of it
+function drawWatermark(doc, text) {
+    const { width, height } = doc.page;
+    doc.save();
+    doc.rotate(-45, { origin: [width / 2, height / 2] });
+    doc.fillOpacity(0.12).fillColor('#000').fontSize(120)
+        .text(text, 0, height / 2 - 60, { width, align: 'center', lineBreak: false });
+    doc.restore();
+    doc.fillColor('#000');
+}
+
+module.exports = {
+    formatMoney,
+    drawBox,
+    maskedTaxpayerId,
+    maskedEmployerId,
+    drawWatermark
+};
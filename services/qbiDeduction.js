@@ -0,0 +1,80 @@
+// Qualified business income deduction (IRC 199A). Below the taxable income
+// threshold it is 20% of QBI (Form 8995). Above it (Form 8995-A) each
+// business's deduction is limited by the W-2 wages it paid and the basis of
+// its property, and specified service businesses lose it, both phased in over
+// the phase-in range.
+const { statusKey } = require('../config/taxYears');
+const { roundCents, sumBy } = require('./taxMath');
+
+// QBI is net profit less the part of the owner's SE tax deduction that comes
+// from this business
+function qualifiedBusinessIncome(scheduleC, scheduleSE, scheduleCs) {
+    const person = scheduleSE.byOwner[scheduleC.owner];
+    const ownerProfit = sumBy(scheduleCs.filter((other) => other.owner === scheduleC.owner && other.netProfit > 0),
+        (other) => other.netProfit);
+    if (!person || scheduleC.netProfit <= 0 || ownerProfit <= 0) {
+        return scheduleC.netProfit;
+    }
+    return roundCents(scheduleC.netProfit - person.deduction * (scheduleC.netProfit / ownerProfit));
+}
+
+// Form 8995-A, Part II for one business. phaseIn is how far taxable income is
+// through the phase-in range, 0 to 1.
+function limitedComponent(qbi, scheduleC, phaseIn, rate) {
+    // Specified service businesses count only the applicable percentage
+    const applicable = scheduleC.isSpecifiedService ? 1 - phaseIn : 1;
+    const income = qbi * applicable;
+    const wages = scheduleC.w2Wages * applicable;
+    const basis = scheduleC.qualifiedPropertyBasis * applicable;
+
+    const full = income * rate;
+    const wageLimit = Math.max(wages * 0.5, wages * 0.25 + basis * 0.025);
+    if (full <= wageLimit) {
+        return full;
+    }
+    return phaseIn >= 1 ? wageLimit : full - (full - wageLimit) * phaseIn;
+}
+
+// taxableIncome is before the QBI deduction; netCapitalGain is the qualified
+// dividends and capital gains taxed at the lower rates
+function calculateQbiDeduction({ scheduleCs, scheduleSE, reitDividends = 0, taxableIncome, netCapitalGain, filingStatus, table }) {
+    const rules = table.qualifiedBusinessIncome;
+    const key = statusKey(filingStatus);
+    const threshold = rules.threshold[key];
+    const phaseIn = Math.min(1, Math.max(0, (taxableIncome - threshold) / rules.phaseInRange[key]));
+
+    const businesses = scheduleCs.map((scheduleC) => {
+        const qbi = qualifiedBusinessIncome(scheduleC, scheduleSE, scheduleCs);
+        // Losses reduce the other businesses' deduction without any limit
+        const component = qbi <= 0 || phaseIn === 0
+            ? qbi * rules.rate
+            : limitedComponent(qbi, scheduleC, phaseIn, rules.rate);
+        return {
+            businessId: scheduleC.businessId,
+            name: scheduleC.name,
+            qualifiedBusinessIncome: qbi,
+            component: roundCents(component)
+        };
+    });
+
+    const totalQbi = sumBy(businesses, (business) => business.qualifiedBusinessIncome);
+    const businessComponent = Math.max(0, sumBy(businesses, (business) => business.component));
+    const reitComponent = roundCents(Math.max(0, reitDividends) * rules.rate);
+    const incomeLimit = roundCents(Math.max(0, taxableIncome - netCapitalGain) * rules.rate);
+
+    return {
+        form: phaseIn === 0 ? '8995' : '8995-A',
+        threshold,
+        businesses,
+        qualifiedBusinessIncome: totalQbi,
+        reitDividends: roundCents(reitDividends),
+        incomeLimit,
+        deduction: roundCents(Math.min(businessComponent + reitComponent, incomeLimit)),
+        // A net loss carries forward and reduces next year's QBI
+        lossCarryforward: roundCents(Math.max(0, -totalQbi))
+    };
+}
+
+module.exports = {
+    calculateQbiDeduction
+};
@@ -0,0 +1,45 @@
+// Counter storage for rate limits. RATE_LIMIT_STORE=redis (with REDIS_URL)
+// shares counters across instances; otherwise they live in memory.
+// A store is { name, increment(key, windowMs) -> { count, resetAt }, reset(key) }.
+const createMemoryStore = require('./memoryStore');
+const createRedisStore = require('./redisStore');
+
+let store = null;
+
+function createStoreFromEnv() {
+    if (process.env.RATE_LIMIT_STORE !== 'redis') {
+        return createMemoryStore();
+    }
+
+    if (!process.env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+    }
+
+    // ioredis is only needed when Redis is configured, so it is not a dependency
+    let Redis;
+    try {
+        Redis = require('ioredis');
+    } catch (error) {
+        throw new Error('RATE_LIMIT_STORE=redis requires the ioredis package (npm install ioredis)');
+    }
+    return createRedisStore(new Redis(process.env.REDIS_URL));
+}
+
+function getStore() {
+    if (!store) {
+        store = createStoreFromEnv();
+    }
+    return store;
+}
+
+// Swap the store, e.g. to pass an existing Redis client
+function setStore(customStore) {
+    store = customStore;
+}
+
+module.exports = {
+    getStore,
+    setStore,
+    createMemoryStore,
+    createRedisStore
+};
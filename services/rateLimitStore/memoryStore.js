@@ -0,0 +1,36 @@
+// Fixed-window counters kept in this process. Fine for a single instance;
+// use the Redis store when running more than one.
+function createMemoryStore({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    const counters = new Map();
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }, cleanupIntervalMs);
+    cleanup.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count++;
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+}
+
+module.exports = createMemoryStore;
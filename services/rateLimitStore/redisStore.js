@@ -0,0 +1,32 @@
+// Fixed-window counters in Redis (or any server speaking its protocol, such as
+// Valkey or KeyDB), shared by every instance. `client` is an ioredis-style
+// client: eval(script, numKeys, ...args) and del(key).
+
+// Increment and set the expiry on first use in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+    return {
+        name: 'redis',
+
+        async increment(key, windowMs) {
+            const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, prefix + key, windowMs);
+            return {
+                count: Number(count),
+                resetAt: new Date(Date.now() + Math.max(0, Number(ttl)))
+            };
+        },
+
+        async reset(key) {
+            await client.del(prefix + key);
+        }
+    };
+}
+
+module.exports = createRedisStore;
@@ -0,0 +1,147 @@
+// Schedule A (Form 1040) itemized deductions from the user's entries and their
+// W-2s and 1098s. Line numbers follow the form.
+const { statusKey } = require('../config/taxYears');
+const { roundCents, sumBy } = require('./taxMath');
+const { calculateMortgageInterest } = require('./mortgageInterest');
+
+function totalOf(items, category) {
+    return sumBy(items.filter((item) => item.category === category), (item) => item.amount);
+}
+
+// Line 1-4: expenses above the AGI floor
+function medicalDeduction(items, agi, rules) {
+    const expenses = totalOf(items, 'medical');
+    const agiFloor = roundCents(Math.max(0, agi) * rules.medicalAgiFloor);
+    return {
+        expenses,
+        agiFloor,
+        deduction: roundCents(Math.max(0, expenses - agiFloor))
+    };
+}
+
+// State and local tax cap, reduced for high incomes from 2025
+function saltCap(filingStatus, modifiedAgi, table) {
+    const key = statusKey(filingStatus);
+    const cap = table.saltCap[key];
+    const phaseDown = table.saltPhaseDown;
+    if (!phaseDown) {
+        return cap;
+    }
+    const excess = Math.max(0, modifiedAgi - phaseDown.threshold[key]);
+    return roundCents(Math.max(phaseDown.floor[key], cap - excess * phaseDown.rate));
+}
+
+// Lines 5-7. Income taxes and general sales taxes are alternatives; the larger
+// is used.
+function taxesDeduction(items, w2Summary, form1098s, agi, filingStatus, table) {
+    const withheld = roundCents(w2Summary.stateTaxWithheld + w2Summary.localTaxWithheld);
+    const incomeTaxes = roundCents(withheld + totalOf(items, 'state_local_income_tax'));
+    const generalSalesTax = totalOf(items, 'general_sales_tax');
+    const salesTaxElected = generalSalesTax > incomeTaxes;
+
+    const realEstateTaxes = roundCents(sumBy(form1098s, (form) => form.realEstateTaxes) + totalOf(items, 'real_estate_tax'));
+    const personalPropertyTaxes = totalOf(items, 'personal_property_tax');
+    const stateAndLocalTaxes = roundCents(
+        (salesTaxElected ? generalSalesTax : incomeTaxes) + realEstateTaxes + personalPropertyTaxes
+    );
+
+    const cap = saltCap(filingStatus, agi, table);
+    const saltDeduction = Math.min(stateAndLocalTaxes, cap);
+    const otherTaxes = totalOf(items, 'other_tax');
+
+    return {
+        incomeTaxes,
+        incomeTaxWithheld: withheld,
+        generalSalesTax,
+        salesTaxElected,
+        realEstateTaxes,
+        personalPropertyTaxes,
+        stateAndLocalTaxes,
+        saltCap: cap,
+        saltDeduction,
+        otherTaxes,
+        total: roundCents(saltDeduction + otherTaxes)
+    };
+}
+
+// Lines 8-10. Interest and points on a 1098 are limited by the mortgage debt
+// rules; amounts entered by hand are taken as already deductible.
+function interestDeduction(items, form1098s, agi, filingStatus, table) {
+    const mortgage = calculateMortgageInterest(form1098s, { filingStatus, agi, table });
+    const notReportedOn1098 = totalOf(items, 'mortgage_interest');
+    const pointsNotReported = totalOf(items, 'mortgage_points');
+    return {
+        reportedOn1098: mortgage.deductibleInterest,
+        notReportedOn1098,
+        pointsNotReported,
+        mortgageInsurancePremiums: mortgage.insurancePremiums.deduction,
+        total: roundCents(mortgage.deductibleInterest + notReportedOn1098 + pointsNotReported + mortgage.insurancePremiums.deduction),
+        mortgage
+    };
+}
+
+// Lines 11-14. Cash gifts (with any carryover) are limited first; non-cash
+// gifts fit within their own limit and whatever room the cash limit leaves.
+// Anything over the limits carries forward up to five years.
+function charityDeduction(items, agi, rules) {
+    const cash = totalOf(items, 'charity_cash');
+    const noncash = totalOf(items, 'charity_noncash');
+    const carryover = totalOf(items, 'charity_carryover');
+    const base = Math.max(0, agi);
+
+    const cashLimit = roundCents(base * rules.charityCashLimit);
+    const cashAllowed = Math.min(roundCents(cash + carryover), cashLimit);
+    const noncashLimit = roundCents(Math.min(base * rules.charityNoncashLimit, cashLimit - cashAllowed));
+    const noncashAllowed = Math.min(noncash, noncashLimit);
+    const deduction = roundCents(cashAllowed + noncashAllowed);
+
+    return {
+        cash,
+        noncash,
+        carryover,
+        limit: cashLimit,
+        deduction,
+        carryoverToNextYear: roundCents(cash + noncash + carryover - deduction)
+    };
+}
+
+// Schedule A for a return. items are ItemizedDeduction rows; w2Forms and
+// form1098s have already been limited to the return's owners.
+function calculateScheduleA({ items, w2Summary, form1098s, agi, filingStatus, table }) {
+    const entries = items || [];
+    const statements = form1098s || [];
+    const rules = table.itemizedDeductions;
+
+    const medical = medicalDeduction(entries, agi, rules);
+    const taxes = taxesDeduction(entries, w2Summary, statements, agi, filingStatus, table);
+    const interest = interestDeduction(entries, statements, agi, filingStatus, table);
+    const charity = charityDeduction(entries, agi, rules);
+    const other = totalOf(entries, 'other');
+
+    return {
+        medical,
+        taxes,
+        interest,
+        charity,
+        other,
+        total: roundCents(medical.deduction + taxes.total + interest.total + charity.deduction + other)
+    };
+}
+
+// Itemize only when Schedule A beats the standard deduction
+function compareWithStandardDeduction(scheduleA, standardDeduction) {
+    const method = scheduleA.total > standardDeduction ? 'itemized' : 'standard';
+    return {
+        method,
+        standardDeduction,
+        itemizedDeduction: scheduleA.total,
+        amount: method === 'itemized' ? scheduleA.total : standardDeduction,
+        difference: roundCents(Math.abs(scheduleA.total - standardDeduction))
+    };
+}
+
+module.exports = {
+    calculateScheduleA,
+    compareWithStandardDeduction,
+    saltCap
+};
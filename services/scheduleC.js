@@ -0,0 +1,180 @@
+// Schedule C (Form 1040) profit or loss from a sole proprietorship or
+// single-member LLC: receipts, including 1099-NEC income, expenses by
+// category, car and truck expenses and business use of the home. Line numbers
+// follow the form.
+const { toAmount, roundCents, sumBy } = require('./taxMath');
+
+const OWNERS = ['taxpayer', 'spouse'];
+
+function percentOf(part, whole) {
+    return whole > 0 ? Math.min(1, part / whole) : 0;
+}
+
+// Line 9. Parking and tolls are added under either method.
+function carAndTruckExpenses(business, rules) {
+    const businessMiles = toAmount(business.businessMiles);
+    const parkingAndTolls = toAmount(business.parkingAndTolls);
+    const method = business.vehicleMethod || 'none';
+    let vehicleCost = 0;
+    let businessUse = null;
+
+    if (method === 'standard_mileage') {
+        // Only 2022 has a second rate; otherwise every mile is at the one rate
+        const milesFromJuly = rules.standardMileageRateFromJuly
+            ? Math.min(businessMiles, toAmount(business.businessMilesFromJuly))
+            : 0;
+        vehicleCost = (businessMiles - milesFromJuly) * rules.standardMileageRate +
+            milesFromJuly * (rules.standardMileageRateFromJuly || 0);
+    } else if (method === 'actual') {
+        businessUse = percentOf(businessMiles, toAmount(business.totalMiles));
+        vehicleCost = toAmount(business.vehicleExpenses) * businessUse;
+    }
+
+    return {
+        method,
+        businessMiles,
+        businessUsePercent: businessUse === null ? null : roundCents(businessUse * 100),
+        parkingAndTolls,
+        deduction: roundCents(vehicleCost + parkingAndTolls)
+    };
+}
+
+// Line 30. Either method is limited to the tentative profit; under the regular
+// method (Form 8829) the disallowed part carries over to next year, under the
+// simplified method it is lost.
+function homeOfficeDeduction(business, tentativeProfit, rules) {
+    const method = business.homeOfficeMethod || 'none';
+    const officeSquareFeet = toAmount(business.homeOfficeSquareFeet);
+    const incomeLimit = Math.max(0, tentativeProfit);
+
+    if (method === 'simplified') {
+        const squareFeet = Math.min(officeSquareFeet, rules.homeOfficeMaxSquareFeet);
+        const allowable = roundCents(squareFeet * rules.homeOfficeRate);
+        return {
+            method,
+            squareFeet,
+            businessUsePercent: null,
+            allowable,
+            deduction: Math.min(allowable, incomeLimit),
+            carryover: 0
+        };
+    }
+
+    if (method === 'regular') {
+        const businessUse = percentOf(officeSquareFeet, toAmount(business.homeSquareFeet));
+        const allowable = roundCents(toAmount(business.homeExpenses) * businessUse + toAmount(business.homeOfficeCarryover));
+        const deduction = roundCents(Math.min(allowable, incomeLimit));
+        return {
+            method,
+            squareFeet: officeSquareFeet,
+            businessUsePercent: roundCents(businessUse * 100),
+            allowable,
+            deduction,
+            carryover: roundCents(allowable - deduction)
+        };
+    }
+
+    return { method, squareFeet: 0, businessUsePercent: null, allowable: 0, deduction: 0, carryover: 0 };
+}
+
+// Part II, lines 8-27, by category. Meals are limited to the deductible share.
+function categoryExpenses(business, rules) {
+    const entered = business.expenses || {};
+    return Object.fromEntries(Object.entries(entered).map(([category, amount]) => [
+        category,
+        category === 'meals' ? roundCents(toAmount(amount) * rules.mealsDeductible) : roundCents(toAmount(amount))
+    ]));
+}
+
+// One Schedule C. form1099NECs are the 1099-NECs whose income belongs to this
+// business.
+function calculateScheduleC(business, form1099NECs, table) {
+    const rules = table.scheduleC;
+    const warnings = [];
+
+    const nonemployeeCompensation = sumBy(form1099NECs, (form) => form.nonemployeeCompensation);
+    const grossReceipts = roundCents(toAmount(business.grossReceipts) + nonemployeeCompensation);
+    const returnsAndAllowances = toAmount(business.returnsAndAllowances);
+    const costOfGoodsSold = toAmount(business.costOfGoodsSold);
+    const grossProfit = roundCents(grossReceipts - returnsAndAllowances - costOfGoodsSold);
+    const otherIncome = toAmount(business.otherIncome);
+    const grossIncome = roundCents(grossProfit + otherIncome);
+
+    const expenses = categoryExpenses(business, rules);
+    const carAndTruck = carAndTruckExpenses(business, rules);
+    const totalExpenses = roundCents(sumBy(Object.values(expenses), (amount) => amount) + carAndTruck.deduction);
+    const tentativeProfit = roundCents(grossIncome - totalExpenses);
+
+    const homeOffice = homeOfficeDeduction(business, tentativeProfit, rules);
+    const netProfit = roundCents(tentativeProfit - homeOffice.deduction);
+
+    if (homeOffice.deduction < homeOffice.allowable) {
+        warnings.push(homeOffice.method === 'regular'
+            ? `${business.name}: home office expenses over the business's profit carry over to next year`
+            : `${business.name}: the simplified home office deduction cannot be more than the business's profit`);
+    }
+    if (carAndTruck.method === 'actual' && !toAmount(business.totalMiles)) {
+        warnings.push(`${business.name}: enter the vehicle's total miles to work out its business use`);
+    }
+    if (netProfit < 0) {
+        warnings.push(`${business.name}: a loss is allowed only if all of the investment is at risk and the activity is not a hobby`);
+    }
+
+    return {
+        businessId: business.id || null,
+        name: business.name,
+        owner: business.owner || 'taxpayer',
+        // Part I
+        grossReceipts,
+        nonemployeeCompensation,
+        returnsAndAllowances,
+        costOfGoodsSold,
+        grossProfit,
+        otherIncome,
+        grossIncome,
+        // Part II
+        expenses: {
+            ...expenses,
+            carAndTruck
+        },
+        totalExpenses,
+        tentativeProfit,
+        homeOffice,
+        netProfit,
+        // Used by the QBI deduction
+        isSpecifiedService: Boolean(business.isSpecifiedService),
+        w2Wages: toAmount(expenses.wages),
+        qualifiedPropertyBasis: toAmount(business.qualifiedPropertyBasis),
+        warnings
+    };
+}
+
+// Every Schedule C on the return. A 1099-NEC not linked to one of these
+// businesses goes on its owner's first business; an owner with 1099-NEC
+// income and no business gets a Schedule C with just that income.
+function calculateScheduleCs(businesses, form1099NECs, table) {
+    const ids = new Set(businesses.map((business) => business.id));
+    const linked = (business) => form1099NECs.filter((form) => form.businessId === business.id);
+    const unlinked = form1099NECs.filter((form) => !ids.has(form.businessId));
+    const ownerOf = (document) => document.owner || 'taxpayer';
+
+    const schedules = [];
+    for (const owner of OWNERS) {
+        const owned = businesses.filter((business) => ownerOf(business) === owner);
+        const unlinkedForms = unlinked.filter((form) => ownerOf(form) === owner);
+
+        owned.forEach((business, index) => {
+            const forms = index === 0 ? [...linked(business), ...unlinkedForms] : linked(business);
+            schedules.push(calculateScheduleC(business, forms, table));
+        });
+        if (owned.length === 0 && unlinkedForms.length > 0) {
+            schedules.push(calculateScheduleC({ name: '1099-NEC income', owner }, unlinkedForms, table));
+        }
+    }
+    return schedules;
+}
+
+module.exports = {
+    calculateScheduleC,
+    calculateScheduleCs
+};
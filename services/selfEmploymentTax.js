@@ -0,0 +1,68 @@
+// Schedule SE self-employment tax, figured separately for each spouse from
+// the net profit on their own Schedule Cs
+const { roundCents, sumBy } = require('./taxMath');
+
+const OWNERS = ['taxpayer', 'spouse'];
+
+// One person's Schedule SE. socialSecurityWages are their W-2 boxes 3 and 7,
+// which use up part of the social security wage base first.
+function calculateSelfEmploymentTax(netProfit, socialSecurityWages, table) {
+    const rules = table.selfEmploymentTax;
+    const netEarnings = roundCents(Math.max(0, netProfit) * rules.netEarningsRate);
+
+    if (netEarnings < rules.minimumNetEarnings) {
+        return {
+            netProfit,
+            netEarnings,
+            socialSecurityTax: 0,
+            medicareTax: 0,
+            tax: 0,
+            deduction: 0
+        };
+    }
+
+    const wageBaseLeft = Math.max(0, table.socialSecurityWageBase - socialSecurityWages);
+    const socialSecurityTax = roundCents(Math.min(netEarnings, wageBaseLeft) * rules.socialSecurityRate);
+    const medicareTax = roundCents(netEarnings * rules.medicareRate);
+    const tax = roundCents(socialSecurityTax + medicareTax);
+
+    return {
+        netProfit,
+        netEarnings,
+        socialSecurityTax,
+        medicareTax,
+        tax,
+        // Schedule 1, line 15
+        deduction: roundCents(tax / 2)
+    };
+}
+
+// Schedule SE for everyone on the return with a Schedule C. w2Summary is
+// summarizeW2Forms' result, for each owner's social security wages.
+function calculateScheduleSE(scheduleCs, w2Summary, table) {
+    const byOwner = {};
+    for (const owner of OWNERS) {
+        const owned = scheduleCs.filter((scheduleC) => scheduleC.owner === owner);
+        if (owned.length > 0) {
+            const person = w2Summary.byOwner[owner];
+            byOwner[owner] = calculateSelfEmploymentTax(
+                sumBy(owned, (scheduleC) => scheduleC.netProfit),
+                person ? person.socialSecurityWages : 0,
+                table
+            );
+        }
+    }
+
+    const people = Object.values(byOwner);
+    return {
+        byOwner,
+        netEarnings: sumBy(people, (person) => person.netEarnings),
+        tax: sumBy(people, (person) => person.tax),
+        deduction: sumBy(people, (person) => person.deduction)
+    };
+}
+
+module.exports = {
+    calculateSelfEmploymentTax,
+    calculateScheduleSE
+};
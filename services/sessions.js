@@ -0,0 +1,137 @@
+// Access and refresh tokens. Access tokens are short-lived JWTs carrying the
+// session id; refresh tokens are opaque "<sessionId>.<secret>" strings that are
+// rotated on every use and checked against the hash stored on the Session.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+function jwtSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not set');
+    }
+    return process.env.JWT_SECRET;
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// role is informational for clients; permission checks re-read it from the database
+function signAccessToken(user, session) {
+    return jwt.sign(
+        { user: { id: user.id, email: user.email, role: user.role }, sid: session.id },
+        jwtSecret(),
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+function verifyAccessToken(token) {
+    return jwt.verify(token, jwtSecret());
+}
+
+function deviceInfo(req) {
+    return {
+        deviceName: req.body && req.body.deviceName ? String(req.body.deviceName).slice(0, 255) : null,
+        userAgent: req.get('User-Agent') || null,
+        ipAddress: req.ip || null
+    };
+}
+
+function tokenResponse(user, session, secret) {
+    return {
+        token: signAccessToken(user, session),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshTokenExpiresAt: session.expiresAt
+    };
+}
+
+// Start a session for a freshly authenticated user
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+    const secret = newSecret();
+    const session = await Session.create({
+        userId: user.id,
+        refreshTokenHash: hashToken(secret),
+        twoFactorVerified,
+        ...deviceInfo(req),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+    });
+    return { session, ...tokenResponse(user, session, secret) };
+}
+
+function isActive(session) {
+    return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+}
+
+async function revokeSession(session, reason) {
+    if (!session.revokedAt) {
+        await session.update({ revokedAt: new Date(), revokedReason: reason });
+    }
+}
+
+async function revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        where.id = { [Op.ne]: exceptSessionId };
+    }
+    const [count] = await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where });
+    return count;
+}
+
+// Swap a refresh token for a new access/refresh pair. Returns null when the
+// token is unknown, expired or revoked. Presenting a token that was already
+// rotated away revokes the session, since only a copy of it could do that.
+async function rotateRefreshToken(refreshToken, loadUser) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+        return null;
+    }
+
+    const session = await Session.findByPk(sessionId);
+    if (!isActive(session)) {
+        return null;
+    }
+
+    if (hashToken(secret) !== session.refreshTokenHash) {
+        await revokeSession(session, 'token_reuse');
+        return null;
+    }
+
+    const user = await loadUser(session.userId);
+    if (!user) {
+        await revokeSession(session, 'revoked');
+        return null;
+    }
+
+    const nextSecret = newSecret();
+    await session.update({
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+    });
+
+    return { user, session, ...tokenResponse(user, session, nextSecret) };
+}
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    verifyAccessToken,
+    isActive,
+    jwtSecret
+};
@@ -0,0 +1,326 @@
+const { getTaxTable, statusKey } = require('../config/taxYears');
+const { toAmount, roundCents, sumBy, ageAtYearEnd } = require('./taxMath');
+const { calculateDependentCredits } = require('./dependentCredits');
+const { SOCIAL_SECURITY_RATE } = require('./w2Validation');
+const { calculateScheduleA, compareWithStandardDeduction } = require('./scheduleA');
+const { mortgageInterestRefundIncome } = require('./mortgageInterest');
+const { FORM_1099_KEYS, summarizeForm1099s } = require('./form1099Income');
+const { calculateScheduleCs } = require('./scheduleC');
+const { calculateScheduleSE } = require('./selfEmploymentTax');
+const { calculateQbiDeduction } = require('./qbiDeduction');
+
+const OWNERS = ['taxpayer', 'spouse'];
+
+function ownerOf(document) {
+    return document.owner || 'taxpayer';
+}
+
+// A joint return covers both spouses' documents; any other return only the
+// taxpayer's own
+function documentsForReturn(documents, filingStatus) {
+    return filingStatus === 'married-joint'
+        ? documents || []
+        : (documents || []).filter((document) => ownerOf(document) === 'taxpayer');
+}
+
+// Apply a progressive bracket schedule to taxable income
+function calculateBracketTax(taxableIncome, brackets) {
+    let tax = 0;
+    let lowerBound = 0;
+
+    for (const { upTo, rate } of brackets) {
+        if (taxableIncome <= lowerBound) {
+            break;
+        }
+        tax += (Math.min(taxableIncome, upTo) - lowerBound) * rate;
+        lowerBound = upTo;
+    }
+
+    return roundCents(tax);
+}
+
+// Qualified Dividends and Capital Gain Tax Worksheet: preferential income is
+// taxed at 0%, 15% or 20% depending on where it falls above ordinary income
+function calculateIncomeTax(taxableIncome, preferentialIncome, key, table) {
+    const regularTax = calculateBracketTax(taxableIncome, table.brackets[key]);
+    const preferential = Math.min(Math.max(0, preferentialIncome), taxableIncome);
+    if (preferential === 0) {
+        return regularTax;
+    }
+
+    const ordinary = taxableIncome - preferential;
+    const zeroBand = Math.min(taxableIncome, table.capitalGainRates.zeroUpTo[key]);
+    const atZero = zeroBand - Math.min(ordinary, zeroBand);
+    const fifteenBand = Math.min(taxableIncome, table.capitalGainRates.fifteenUpTo[key]);
+    const atFifteen = Math.min(preferential - atZero, Math.max(0, fifteenBand - (ordinary + atZero)));
+    const atTwenty = preferential - atZero - atFifteen;
+
+    const tax = calculateBracketTax(ordinary, table.brackets[key]) + atFifteen * 0.15 + atTwenty * 0.20;
+    return roundCents(Math.min(tax, regularTax));
+}
+
+// Social security tax withheld above the annual maximum. Each employer
+// withholds up to the wage base, so someone with two or more employers can
+// overpay; the excess is refunded on Schedule 3, line 11. Overwithholding by a
+// single employer is the employer's to correct.
+function excessSocialSecurityTax(forms, table) {
+    if (!table || forms.length < 2) {
+        return 0;
+    }
+    const maximum = roundCents(table.socialSecurityWageBase * SOCIAL_SECURITY_RATE);
+    const withheld = sumBy(forms, (form) => form.socialSecurityTax);
+    return roundCents(Math.max(0, withheld - maximum));
+}
+
+// Totals across all W-2s for the year (boxes 1, 2, 17 and 19), with a
+// breakdown per spouse. Per-person limits such as the social security wage
+// base are applied to each spouse's W-2s separately.
+function summarizeW2Forms(w2Forms, table = null) {
+    const forms = w2Forms || [];
+    const byOwner = {};
+    for (const owner of OWNERS) {
+        const owned = forms.filter((form) => ownerOf(form) === owner);
+        if (owned.length > 0) {
+            byOwner[owner] = {
+                count: owned.length,
+                wages: sumBy(owned, (form) => form.wages),
+                federalTaxWithheld: sumBy(owned, (form) => form.federalTaxWithheld),
+                // Boxes 3 and 7, which count against the wage base for Schedule SE
+                socialSecurityWages: roundCents(sumBy(owned, (form) => form.socialSecurityWages) + sumBy(owned, (form) => form.socialSecurityTips)),
+                socialSecurityTaxWithheld: sumBy(owned, (form) => form.socialSecurityTax),
+                excessSocialSecurityTax: excessSocialSecurityTax(owned, table)
+            };
+        }
+    }
+
+    return {
+        count: forms.length,
+        wages: sumBy(forms, (form) => form.wages),
+        federalTaxWithheld: sumBy(forms, (form) => form.federalTaxWithheld),
+        stateTaxWithheld: sumBy(forms, (form) => sumBy(form.stateTaxInfo, (row) => row.stateTaxWithheld)),
+        localTaxWithheld: sumBy(forms, (form) => sumBy(form.localTaxInfo, (row) => row.localTaxWithheld)),
+        excessSocialSecurityTax: sumBy(Object.values(byOwner), (person) => person.excessSocialSecurityTax),
+        byOwner
+    };
+}
+
+// Student loan interest deduction (Schedule 1, line 21) with the MAGI phase-out.
+// MAGI here is income before the deduction itself.
+function calculateStudentLoanInterestDeduction(form1098Es, modifiedAgi, filingStatus, table) {
+    const rules = table.studentLoanInterest;
+    const interestPaid = sumBy(form1098Es, (form) => form.studentLoanInterest);
+    const eligibleInterest = Math.min(interestPaid, rules.maxDeduction);
+    const range = rules.phaseOut[filingStatus];
+
+    if (!range) {
+        return {
+            modifiedAgi,
+            interestPaid,
+            eligibleInterest,
+            phaseOutReduction: eligibleInterest,
+            deduction: 0,
+            reason: 'Not allowed when married filing separately'
+        };
+    }
+
+    const phaseOutFraction = Math.min(1, Math.max(0, (modifiedAgi - range.start) / (range.end - range.start)));
+    const phaseOutReduction = roundCents(eligibleInterest * Math.round(phaseOutFraction * 1000) / 1000);
+
+    return {
+        modifiedAgi,
+        interestPaid,
+        eligibleInterest,
+        phaseOutReduction,
+        deduction: roundCents(eligibleInterest - phaseOutReduction),
+        reason: phaseOutFraction === 0 ? null : `Reduced for modified AGI above $${range.start.toLocaleString('en-US')}`
+    };
+}
+
+// Compute the federal Form 1040 for one tax year from the user's documents.
+// priorYearDeductions is last year's computed deductions, for refunds of
+// amounts deducted then.
+function computeTaxReturn({ taxYear, filingStatus, dependents, priorYearDeductions = null, ...documents }) {
+    const table = getTaxTable(taxYear);
+    if (!table) {
+        throw new Error(`Tax year ${taxYear} is not supported`);
+    }
+    const key = statusKey(filingStatus);
+    if (!table.brackets[key]) {
+        throw new Error(`Unknown filing status: ${filingStatus}`);
+    }
+
+    const w2Forms = documentsForReturn(documents.w2Forms, filingStatus);
+    const form1098s = documentsForReturn(documents.form1098s, filingStatus);
+    const form1098Es = documentsForReturn(documents.form1098Es, filingStatus);
+    const itemizedDeductions = documentsForReturn(documents.itemizedDeductions, filingStatus);
+    const businesses = documentsForReturn(documents.businesses, filingStatus);
+    const form1099s = Object.fromEntries(FORM_1099_KEYS.map((documentKey) => [
+        documentKey,
+        documentsForReturn(documents[documentKey], filingStatus)
+    ]));
+
+    const w2Summary = summarizeW2Forms(w2Forms, table);
+    const form1099Summary = summarizeForm1099s(form1099s, { taxYear, priorYearDeductions });
+    const mortgageInterestRefund = mortgageInterestRefundIncome(form1098s, priorYearDeductions);
+    const scheduleCs = calculateScheduleCs(businesses, form1099s.form1099NECs, table);
+    const businessIncome = sumBy(scheduleCs, (scheduleC) => scheduleC.netProfit);
+    const scheduleSE = calculateScheduleSE(scheduleCs, w2Summary, table);
+    const otherIncome = roundCents(
+        mortgageInterestRefund.taxable + form1099Summary.stateTaxRefund.taxable + form1099Summary.otherIncome
+    );
+    const totalIncome = roundCents(
+        w2Summary.wages +
+        form1099Summary.taxableInterest +
+        form1099Summary.ordinaryDividends +
+        form1099Summary.iraDistributions.taxable +
+        form1099Summary.pensionsAndAnnuities.taxable +
+        form1099Summary.capitalGainDistributions +
+        businessIncome +
+        form1099Summary.rentsAndRoyalties +
+        form1099Summary.unemploymentCompensation +
+        otherIncome
+    );
+
+    // The student loan interest phase-out uses MAGI: AGI before that deduction
+    const earlyWithdrawalPenalty = form1099Summary.earlyWithdrawalPenalty;
+    const selfEmploymentTaxDeduction = scheduleSE.deduction;
+    const studentLoanInterest = calculateStudentLoanInterestDeduction(
+        form1098Es, roundCents(totalIncome - earlyWithdrawalPenalty - selfEmploymentTaxDeduction), filingStatus, table
+    );
+    const totalAdjustments = roundCents(earlyWithdrawalPenalty + selfEmploymentTaxDeduction + studentLoanInterest.deduction);
+    const adjustedGrossIncome = roundCents(totalIncome - totalAdjustments);
+
+    const scheduleA = calculateScheduleA({
+        items: itemizedDeductions,
+        w2Summary,
+        form1098s,
+        agi: adjustedGrossIncome,
+        filingStatus,
+        table
+    });
+    const comparison = compareWithStandardDeduction(scheduleA, table.standardDeduction[key]);
+    const deduction = comparison.amount;
+
+    const preferentialIncome = roundCents(form1099Summary.qualifiedDividends + form1099Summary.capitalGainDistributions);
+    const qbi = calculateQbiDeduction({
+        scheduleCs,
+        scheduleSE,
+        reitDividends: form1099Summary.section199ADividends,
+        taxableIncome: roundCents(Math.max(0, adjustedGrossIncome - deduction)),
+        netCapitalGain: preferentialIncome,
+        filingStatus,
+        table
+    });
+    const taxableIncome = roundCents(Math.max(0, adjustedGrossIncome - deduction - qbi.deduction));
+    const incomeTax = calculateIncomeTax(taxableIncome, preferentialIncome, key, table);
+
+    const dependentCredits = calculateDependentCredits(dependents, {
+        taxYear,
+        filingStatus,
+        agi: adjustedGrossIncome,
+        // Net earnings from self-employment count after the SE tax deduction
+        earnedIncome: roundCents(w2Summary.wages + businessIncome - selfEmploymentTaxDeduction),
+        taxLiability: incomeTax,
+        table
+    });
+    const nonrefundableCredits = dependentCredits.nonrefundableCredit;
+    // Self-employment tax is an other tax (Schedule 2) and is not reduced by
+    // the nonrefundable credits
+    const selfEmploymentTax = scheduleSE.tax;
+    const totalTax = roundCents(incomeTax - nonrefundableCredits + selfEmploymentTax);
+
+    // The Additional Child Tax Credit and excess social security tax are
+    // refundable and count as payments
+    const totalPayments = roundCents(
+        w2Summary.federalTaxWithheld +
+        form1099Summary.federalTaxWithheld +
+        w2Summary.excessSocialSecurityTax +
+        dependentCredits.additionalChildTaxCredit
+    );
+    const balance = roundCents(totalPayments - totalTax);
+
+    return {
+        taxYear,
+        filingStatus,
+        income: {
+            wages: w2Summary.wages,
+            wagesByOwner: Object.fromEntries(Object.entries(w2Summary.byOwner).map(([owner, person]) => [owner, person.wages])),
+            taxableInterest: form1099Summary.taxableInterest,
+            taxExemptInterest: form1099Summary.taxExemptInterest,
+            ordinaryDividends: form1099Summary.ordinaryDividends,
+            qualifiedDividends: form1099Summary.qualifiedDividends,
+            iraDistributions: form1099Summary.iraDistributions,
+            pensionsAndAnnuities: form1099Summary.pensionsAndAnnuities,
+            capitalGainDistributions: form1099Summary.capitalGainDistributions,
+            businessIncome,
+            rentsAndRoyalties: form1099Summary.rentsAndRoyalties,
+            unemploymentCompensation: form1099Summary.unemploymentCompensation,
+            otherIncome: {
+                mortgageInterestRefund,
+                stateTaxRefund: form1099Summary.stateTaxRefund,
+                other: form1099Summary.otherIncome,
+                total: otherIncome
+            },
+            totalIncome,
+            adjustedGrossIncome,
+            warnings: [...form1099Summary.warnings, ...scheduleCs.flatMap((scheduleC) => scheduleC.warnings)]
+        },
+        business: {
+            scheduleC: scheduleCs,
+            selfEmploymentTax: scheduleSE
+        },
+        adjustments: {
+            earlyWithdrawalPenalty,
+            selfEmploymentTaxDeduction,
+            studentLoanInterest,
+            total: totalAdjustments
+        },
+        deductions: {
+            ...comparison,
+            itemized: scheduleA,
+            // Taken in addition to the standard or itemized deduction
+            qualifiedBusinessIncome: qbi
+        },
+        taxableIncome,
+        tax: {
+            incomeTax,
+            nonrefundableCredits,
+            selfEmploymentTax,
+            totalTax,
+            effectiveRate: adjustedGrossIncome > 0 ? roundCents((totalTax / adjustedGrossIncome) * 100) : 0
+        },
+        credits: {
+            dependents: dependentCredits
+        },
+        payments: {
+            federalTaxWithheld: w2Summary.federalTaxWithheld,
+            form1099TaxWithheld: form1099Summary.federalTaxWithheld,
+            excessSocialSecurityTax: w2Summary.excessSocialSecurityTax,
+            additionalChildTaxCredit: dependentCredits.additionalChildTaxCredit,
+            total: totalPayments
+        },
+        refund: Math.max(0, balance),
+        amountOwed: Math.max(0, -balance),
+        documents: {
+            w2Count: w2Summary.count,
+            form1098Count: (form1098s || []).length,
+            form1098ECount: (form1098Es || []).length,
+            itemizedDeductionCount: itemizedDeductions.length,
+            form1099Count: form1099Summary.count,
+            businessCount: businesses.length,
+            dependentCount: (dependents || []).length
+        }
+    };
+}
+
+module.exports = {
+    computeTaxReturn,
+    documentsForReturn,
+    calculateStudentLoanInterestDeduction,
+    calculateBracketTax,
+    calculateIncomeTax,
+    summarizeW2Forms,
+    ageAtYearEnd,
+    toAmount,
+    roundCents
+};
@@ -0,0 +1,46 @@
+// Small numeric helpers shared by the tax calculators
+
+// DECIMAL columns come back from pg as strings; treat anything unparseable as zero
+function toAmount(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : 0;
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function sumBy(rows, getter) {
+    return roundCents((rows || []).reduce((total, row) => total + toAmount(getter(row)), 0));
+}
+
+// Age on December 31 of the tax year
+function ageAtYearEnd(birthDate, taxYear) {
+    if (!birthDate) {
+        return null;
+    }
+    const born = new Date(birthDate);
+    if (Number.isNaN(born.getTime())) {
+        return null;
+    }
+    return taxYear - born.getUTCFullYear();
+}
+
+// How much last year's itemized deductions exceeded the standard deduction.
+// A deduction recovered this year is income only up to this amount (the tax
+// benefit rule). deductions is last year's computed deductions.
+function itemizedExcess(deductions) {
+    if (!deductions || deductions.method !== 'itemized') {
+        return 0;
+    }
+    const itemized = toAmount(deductions.itemized && deductions.itemized.total);
+    return roundCents(Math.max(0, itemized - toAmount(deductions.standardDeduction)));
+}
+
+module.exports = {
+    toAmount,
+    roundCents,
+    sumBy,
+    ageAtYearEnd,
+    itemizedExcess
+};
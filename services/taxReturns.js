@@ -0,0 +1,230 @@
+// Tax return lifecycle: opening a year, copying the profile forward from the
+// previous year and linking uploaded documents to the return they belong to.
+const { Op } = require('sequelize');
+const TaxReturn = require('../models/TaxReturn');
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const W2Form = require('../models/W2Form');
+const Form1098 = require('../models/Form1098');
+const Form1098E = require('../models/Form1098E');
+const ItemizedDeduction = require('../models/ItemizedDeduction');
+const Business = require('../models/Business');
+const { FORM_1099_TYPES } = require('./form1099s');
+const { defaultTaxYear } = require('../config/taxYears');
+const { computeTaxReturn } = require('./taxCalculator');
+const { encryptField } = require('./fieldEncryption');
+
+// Document models owned by a tax return through taxReturnId, keyed as
+// computeTaxReturn takes them
+const DOCUMENTS = {
+    w2Forms: W2Form,
+    form1098s: Form1098,
+    form1098Es: Form1098E,
+    itemizedDeductions: ItemizedDeduction,
+    businesses: Business,
+    ...Object.fromEntries(Object.values(FORM_1099_TYPES).map(({ documentKey, Model }) => [documentKey, Model]))
+};
+const DOCUMENT_MODELS = Object.values(DOCUMENTS);
+
+function snapshotDependents(dependents) {
+    return dependents.map((dependent) => ({
+        id: dependent.id,
+        name: dependent.name,
+        relationship: dependent.relationship,
+        ssn: encryptField(dependent.ssn),
+        tinType: dependent.tinType,
+        birthDate: dependent.birthDate,
+        monthsLivedWithTaxpayer: dependent.monthsLivedWithTaxpayer,
+        isFullTimeStudent: dependent.isFullTimeStudent,
+        isPermanentlyDisabled: dependent.isPermanentlyDisabled,
+        supportProvidedPercent: dependent.supportProvidedPercent,
+        paidOverHalfOwnSupport: dependent.paidOverHalfOwnSupport,
+        grossIncome: dependent.grossIncome,
+        filesJointReturn: dependent.filesJointReturn,
+        isCitizenOrResident: dependent.isCitizenOrResident
+    }));
+}
+
+// Profile data that carries over from one year to the next. Amounts in
+// income/deductions are year-specific and always start empty.
+async function profileFrom(userId, previous) {
+    const dependents = await Dependent.findAll({ where: { userId } });
+
+    if (previous) {
+        return {
+            filingStatus: previous.filingStatus,
+            spouseFirstName: previous.spouseFirstName,
+            spouseLastName: previous.spouseLastName,
+            spouseSsn: previous.spouseSsn,
+            spouseBirthDate: previous.spouseBirthDate,
+            dependentsSnapshot: snapshotDependents(dependents),
+            copiedFromYear: previous.taxYear
+        };
+    }
+
+    const user = await User.findByPk(userId);
+    return {
+        filingStatus: user ? user.filingStatus : null,
+        dependentsSnapshot: snapshotDependents(dependents)
+    };
+}
+
+// Most recent return before taxYear, to copy the profile from
+async function findPriorTaxReturn(userId, taxYear) {
+    return TaxReturn.findOne({
+        where: { userId, taxYear: { [Op.lt]: taxYear } },
+        order: [['taxYear', 'DESC']]
+    });
+}
+
+// Attach documents created before the return existed
+async function claimDocuments(taxReturn) {
+    await Promise.all(DOCUMENT_MODELS.map((Model) => Model.update(
+        { taxReturnId: taxReturn.id },
+        {
+            where: { userId: taxReturn.userId, taxYear: taxReturn.taxYear, taxReturnId: null },
+            hooks: false
+        }
+    )));
+}
+
+// Create the return for a year, copying the profile from the latest prior year
+async function openTaxReturn(userId, taxYear, { copyForward = true } = {}) {
+    const previous = copyForward ? await findPriorTaxReturn(userId, taxYear) : null;
+    const profile = await profileFrom(userId, previous);
+
+    const [taxReturn, created] = await TaxReturn.findOrCreate({
+        where: { userId, taxYear },
+        defaults: profile
+    });
+
+    if (created) {
+        await claimDocuments(taxReturn);
+    }
+    return taxReturn;
+}
+
+async function findOrOpenTaxReturn(userId, taxYear) {
+    const existing = await TaxReturn.findOne({ where: { userId, taxYear } });
+    return existing || openTaxReturn(userId, taxYear);
+}
+
+// The return for a year without opening it, for read-only previews. A year
+// that has not been opened gets an unsaved return with the profile it would
+// be opened with.
+async function findOrPreviewTaxReturn(userId, taxYear) {
+    const existing = await TaxReturn.findOne({ where: { userId, taxYear } });
+    if (existing) {
+        return existing;
+    }
+
+    const previous = await findPriorTaxReturn(userId, taxYear);
+    return TaxReturn.build({ userId, taxYear, ...(await profileFrom(userId, previous)) });
+}
+
+// Re-copy the profile into an existing return, e.g. after editing last year's
+async function copyForward(taxReturn, fromYear) {
+    const previous = fromYear
+        ? await TaxReturn.findOne({ where: { userId: taxReturn.userId, taxYear: fromYear } })
+        : await findPriorTaxReturn(taxReturn.userId, taxReturn.taxYear);
+
+    if (!previous) {
+        return null;
+    }
+
+    await taxReturn.update(await profileFrom(taxReturn.userId, previous));
+    return taxReturn;
+}
+
+// Year to use when a request does not name one: the user's latest return,
+// else the previous calendar year
+async function resolveTaxYear(userId, requestedYear) {
+    const year = parseInt(requestedYear, 10);
+    if (Number.isInteger(year)) {
+        return year;
+    }
+
+    const latest = await TaxReturn.findOne({
+        where: { userId },
+        order: [['taxYear', 'DESC']]
+    });
+    return latest ? latest.taxYear : defaultTaxYear();
+}
+
+// Documents for a year whose return has been filed are part of that return
+async function isFiledYear(userId, taxYear) {
+    const taxReturn = await TaxReturn.findOne({ where: { userId, taxYear }, attributes: ['status'] });
+    return Boolean(taxReturn && taxReturn.status === 'filed');
+}
+
+// Everything computeTaxReturn needs besides the dependents: the return's
+// documents and last year's computed deductions. An unsaved preview return
+// gets the year's documents that claimDocuments would attach to it.
+async function loadDocuments(taxReturn) {
+    const where = taxReturn.isNewRecord
+        ? { userId: taxReturn.userId, taxYear: taxReturn.taxYear, taxReturnId: null }
+        : { taxReturnId: taxReturn.id };
+    const documents = await Promise.all(Object.entries(DOCUMENTS).map(async ([documentKey, Model]) => [
+        documentKey,
+        await Model.findAll({
+            where,
+            order: [['createdAt', 'ASC']]
+        })
+    ]));
+    const previous = await TaxReturn.findOne({
+        where: { userId: taxReturn.userId, taxYear: taxReturn.taxYear - 1 },
+        attributes: ['results']
+    });
+    const priorYearDeductions = previous && previous.results ? previous.results.deductions : null;
+    return { ...Object.fromEntries(documents), priorYearDeductions };
+}
+
+// Compute the return from its own documents and store the results with the
+// current dependents. Filed returns keep the results they were filed with, so
+// callers must not pass one.
+async function computeAndStore(taxReturn) {
+    const dependents = await Dependent.findAll({ where: { userId: taxReturn.userId } });
+    taxReturn.dependentsSnapshot = snapshotDependents(dependents);
+
+    const documents = await loadDocuments(taxReturn);
+    const results = computeTaxReturn({
+        taxYear: taxReturn.taxYear,
+        filingStatus: taxReturn.filingStatus,
+        dependents: taxReturn.dependentsSnapshot || [],
+        ...documents
+    });
+
+    await taxReturn.update({
+        dependentsSnapshot: taxReturn.dependentsSnapshot,
+        results,
+        computedAt: new Date()
+    });
+    return taxReturn;
+}
+
+// Keep taxReturnId pointing at the return for the document's (userId, taxYear),
+// opening that return if this is the first document of the year
+function registerTaxReturnHooks() {
+    for (const Model of DOCUMENT_MODELS) {
+        Model.addHook('beforeSave', 'linkTaxReturn', async (document) => {
+            if (document.taxReturnId && !document.changed('taxYear')) {
+                return;
+            }
+            const taxReturn = await findOrOpenTaxReturn(document.userId, document.taxYear);
+            document.taxReturnId = taxReturn.id;
+        });
+    }
+}
+
+module.exports = {
+    openTaxReturn,
+    findOrOpenTaxReturn,
+    findOrPreviewTaxReturn,
+    copyForward,
+    resolveTaxYear,
+    isFiledYear,
+    loadDocuments,
+    computeAndStore,
+    snapshotDependents,
+    registerTaxReturnHooks
+};
@@ -0,0 +1,56 @@
+// Format checks for individual taxpayer identification numbers. All three are
+// nine digits; the area/group ranges tell them apart:
+//   SSN   AAA-GG-SSSS, area not 000, 666 or 900-999, group not 00, serial not 0000
+//   ITIN  9NN-GG-NNNN with group 50-65, 70-88, 90-92 or 94-99
+//   ATIN  9NN-93-NNNN, issued for children pending adoption
+
+const TIN_FORMAT = /^\d{3}-?\d{2}-?\d{4}$/;
+
+function digitsOf(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+function isItinGroup(group) {
+    return (group >= 50 && group <= 65) || (group >= 70 && group <= 88) ||
+        (group >= 90 && group <= 92) || (group >= 94 && group <= 99);
+}
+
+// 'ssn', 'itin', 'atin', or null when the value is none of them
+function classifyTaxpayerId(value) {
+    const text = String(value || '').trim();
+    if (!TIN_FORMAT.test(text)) {
+        return null;
+    }
+
+    const digits = digitsOf(text);
+    const area = parseInt(digits.slice(0, 3), 10);
+    const group = parseInt(digits.slice(3, 5), 10);
+    const serial = parseInt(digits.slice(5), 10);
+
+    if (area >= 900) {
+        if (group === 93) {
+            return 'atin';
+        }
+        return isItinGroup(group) ? 'itin' : null;
+    }
+    if (area === 0 || area === 666 || group === 0 || serial === 0) {
+        return null;
+    }
+    return 'ssn';
+}
+
+// Canonical AAA-GG-SSSS form so the same number typed two ways compares equal
+function formatTaxpayerId(value) {
+    const digits = digitsOf(value);
+    return digits.length === 9 ? `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}` : value;
+}
+
+function sameTaxpayerId(a, b) {
+    return Boolean(a && b) && digitsOf(a).length === 9 && digitsOf(a) === digitsOf(b);
+}
+
+module.exports = {
+    classifyTaxpayerId,
+    formatTaxpayerId,
+    sameTaxpayerId
+};
@@ -0,0 +1,54 @@
+// Shared regex helpers for pulling values out of extracted document text
+
+const MONEY = '\\$?([\\d,]+\\.?\\d*)';
+
+// Remove commas and ensure proper decimal format
+function normalizeMoney(value) {
+    const amount = value.replace(/[$,\s]/g, '');
+    // If no decimal point, add .00
+    return amount.includes('.') ? amount : amount + '.00';
+}
+
+// Try each pattern in order and report which one matched and the text around it
+function matchField(text, patterns) {
+    for (let index = 0; index < patterns.length; index++) {
+        const match = text.match(patterns[index]);
+        if (match && match[1]) {
+            return {
+                value: match[1].trim(),
+                snippet: match[0].trim().slice(0, 120),
+                patternIndex: index
+            };
+        }
+    }
+    return null;
+}
+
+// Helper function to extract text fields
+function extractField(text, patterns) {
+    const match = matchField(text, patterns);
+    return match ? match.value : null;
+}
+
+// Helper function to extract and format money fields
+function extractMoneyField(text, patterns) {
+    const match = matchField(text, patterns);
+    return match ? normalizeMoney(match.value) : null;
+}
+
+// Checkbox caption followed directly by its mark: X, [X], ☒ or ✓. Only spaces
+// may come between them, so the mark of a neighbouring box on the same line
+// (e.g. "2b Taxable amount not determined [ ]  Total distribution [X]") is not
+// taken for this one.
+function isChecked(text, caption) {
+    return new RegExp(`${caption}[ \\t:]*(?:\\[[ \\t]*(?:X|☒|✓)[ \\t]*\\]|X(?![A-Za-z0-9])|☒|✓)`, 'i').test(text);
+}
+
+module.exports = {
+    MONEY,
+    normalizeMoney,
+    matchField,
+    extractField,
+    extractMoneyField,
+    isChecked
+};
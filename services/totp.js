@@ -0,0 +1,111 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30-second steps, base32 secrets.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const ISSUER = process.env.TOTP_ISSUER || 'Tax Filing App';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, now = Date.now()) {
+    return hotp(base32Decode(secret), currentStep(now));
+}
+
+// Returns the time step the code belongs to, or null. Steps at or before
+// lastUsedStep are rejected so a code cannot be replayed.
+function verifyCode(secret, code, lastUsedStep = null, now = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(candidate)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const step = currentStep(now);
+    for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+        const counter = step + offset;
+        if (lastUsedStep !== null && counter <= lastUsedStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, counter)), Buffer.from(candidate))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI for authenticator apps; the frontend renders it as a QR code
+function provisioningUri(secret, accountName) {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    provisioningUri,
+    base32Encode,
+    base32Decode
+};
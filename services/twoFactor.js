@@ -0,0 +1,78 @@
+// Second factor for sign-in: TOTP codes from an authenticator app, or one-time
+// backup codes. Also issues the short-lived challenge token that links the
+// password step of /login to the code step.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('./sessions');
+const { verifyCode } = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// Ten codes like "4f9c-1a2b"; only their hashes are stored
+function generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return {
+        codes,
+        stored: codes.map((code) => ({ hash: hashBackupCode(code), usedAt: null }))
+    };
+}
+
+function remainingBackupCodes(user) {
+    return (user.totpBackupCodes || []).filter((entry) => !entry.usedAt).length;
+}
+
+// Check a TOTP or backup code and record its use on the user. Returns
+// 'totp', 'backup' or null.
+async function verifySecondFactor(user, { code, backupCode }) {
+    if (code && user.totpSecret) {
+        const step = verifyCode(user.totpSecret, code, user.totpLastUsedStep);
+        if (step !== null) {
+            await user.update({ totpLastUsedStep: step });
+            return 'totp';
+        }
+    }
+
+    if (backupCode) {
+        const hash = hashBackupCode(String(backupCode));
+        const entries = user.totpBackupCodes || [];
+        const match = entries.find((entry) => !entry.usedAt && entry.hash === hash);
+        if (match) {
+            await user.update({
+                totpBackupCodes: entries.map((entry) => (entry === match ? { ...entry, usedAt: new Date().toISOString() } : entry))
+            });
+            return 'backup';
+        }
+    }
+
+    return null;
+}
+
+function signChallengeToken(user) {
+    return jwt.sign({ sub: user.id }, jwtSecret(), { audience: 'login_challenge', expiresIn: CHALLENGE_TTL });
+}
+
+// User id from a challenge token, or null if it is invalid or expired
+function verifyChallengeToken(token) {
+    try {
+        return jwt.verify(String(token || ''), jwtSecret(), { audience: 'login_challenge' }).sub;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    generateBackupCodes,
+    remainingBackupCodes,
+    verifySecondFactor,
+    signChallengeToken,
+    verifyChallengeToken
+};
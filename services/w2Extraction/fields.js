@@ -0,0 +1,39 @@
+// Every value we try to read off a W-2, the W2Form column it is stored in, and
+// the printed caption used to locate it. Required fields must be found (or
+// confirmed by the user) before a W-2 counts as processed. Sensitive fields are
+// only stored encrypted in their column, never in extractedData.
+const W2_FIELDS = [
+    { key: 'employeeSSN', column: 'employeeSSN', type: 'text', required: true, sensitive: true, label: "a Employee's social security number", caption: /Employee's\s*social\s*security\s*number/i },
+    { key: 'employerEIN', column: 'employerEIN', type: 'text', required: true, label: 'b Employer identification number (EIN)', caption: /Employer\s*identification\s*number/i },
+    { key: 'employerName', column: 'employer', type: 'text', required: true, label: "c Employer's name" },
+    { key: 'employerAddress', column: 'employerAddress', type: 'text', label: "c Employer's address and ZIP code" },
+    { key: 'employeeName', column: 'employeeName', type: 'text', required: true, label: "e Employee's name" },
+    { key: 'employeeAddress', column: 'employeeAddress', type: 'text', label: "f Employee's address and ZIP code" },
+    { key: 'box1_wages', column: 'wages', type: 'money', required: true, label: '1 Wages, tips, other compensation', caption: /Wages,\s*tips,\s*other\s*comp/i },
+    { key: 'box2_federalTax', column: 'federalTaxWithheld', type: 'money', required: true, label: '2 Federal income tax withheld', caption: /Federal\s*income\s*tax\s*withheld/i },
+    { key: 'box3_socialSecurityWages', column: 'socialSecurityWages', type: 'money', required: true, label: '3 Social security wages', caption: /Social\s*security\s*wages/i },
+    { key: 'box4_socialSecurityTax', column: 'socialSecurityTax', type: 'money', required: true, label: '4 Social security tax withheld', caption: /Social\s*security\s*tax\s*withheld/i },
+    { key: 'box5_medicareWages', column: 'medicareWages', type: 'money', required: true, label: '5 Medicare wages and tips', caption: /Medicare\s*wages\s*and\s*tips/i },
+    { key: 'box6_medicareTax', column: 'medicareTax', type: 'money', required: true, label: '6 Medicare tax withheld', caption: /Medicare\s*tax\s*withheld/i },
+    { key: 'box7_socialSecurityTips', column: 'socialSecurityTips', type: 'money', label: '7 Social security tips', caption: /Social\s*security\s*tips/i },
+    { key: 'box8_allocatedTips', column: 'allocatedTips', type: 'money', label: '8 Allocated tips', caption: /Allocated\s*tips/i },
+    { key: 'box10_dependentCareBenefits', column: 'dependentCareBenefits', type: 'money', label: '10 Dependent care benefits', caption: /Dependent\s*care\s*benefits/i },
+    { key: 'box11_nonqualifiedPlans', column: 'nonqualifiedPlans', type: 'money', label: '11 Nonqualified plans', caption: /Nonqualified\s*plans/i },
+    { key: 'box12', column: 'box12', type: 'list', label: '12a-12d Codes and amounts' },
+    { key: 'box13_statutoryEmployee', column: 'statutoryEmployee', type: 'checkbox', label: '13 Statutory employee' },
+    { key: 'box13_retirementPlan', column: 'retirementPlan', type: 'checkbox', label: '13 Retirement plan' },
+    { key: 'box13_thirdPartySickPay', column: 'thirdPartySickPay', type: 'checkbox', label: '13 Third-party sick pay' },
+    { key: 'box14_other', column: 'other', type: 'list', label: '14 Other' },
+    { key: 'stateTaxInfo', column: 'stateTaxInfo', type: 'list', label: '15-17 State, state wages and state income tax' },
+    { key: 'localTaxInfo', column: 'localTaxInfo', type: 'list', label: '18-20 Local wages, local income tax and locality' }
+];
+
+const W2_FIELDS_BY_KEY = W2_FIELDS.reduce((byKey, field) => {
+    byKey[field.key] = field;
+    return byKey;
+}, {});
+
+module.exports = {
+    W2_FIELDS,
+    W2_FIELDS_BY_KEY
+};
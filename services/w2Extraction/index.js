@@ -0,0 +1,216 @@
+// Pluggable W-2 extraction. Each strategy reads the document ({ text, items }
+// from services/documentText.js) and returns
+// { [fieldKey]: { value, confidence, source } } for the fields it
+// found. Results are merged per field, keeping the most confident reading, so
+// every stored value carries its confidence and the snippet it came from.
+const { W2_FIELDS, W2_FIELDS_BY_KEY } = require('./fields');
+const templateStrategy = require('./templateStrategy');
+const layoutStrategy = require('./layoutStrategy');
+const regexStrategy = require('./regexStrategy');
+const { maskValue } = require('../fieldEncryption');
+
+const STRATEGIES = [templateStrategy, layoutStrategy, regexStrategy];
+
+// Fields below this confidence must be confirmed by the user before the W-2 is processed
+const REVIEW_THRESHOLD = 0.75;
+
+// Two strategies reading the same value raise confidence; disagreement lowers it
+const AGREEMENT_BONUS = 0.05;
+const DISAGREEMENT_PENALTY = 0.15;
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function roundConfidence(value) {
+    return Math.round(Math.min(0.99, Math.max(0, value)) * 100) / 100;
+}
+
+// Value used when a field was not found: unchecked boxes and empty lists are
+// the natural default, but amounts and identifiers stay null so a failed parse
+// never reads as $0.00
+function emptyValue(field) {
+    if (field.type === 'checkbox') {
+        return false;
+    }
+    if (field.type === 'list') {
+        return [];
+    }
+    return null;
+}
+
+function mergeCandidates(field, candidates) {
+    if (candidates.length === 0) {
+        return {
+            value: emptyValue(field),
+            confidence: 0,
+            source: null,
+            strategy: null
+        };
+    }
+
+    const best = candidates.reduce((top, candidate) => (candidate.confidence > top.confidence ? candidate : top));
+    const agreeing = candidates.filter((candidate) => candidate !== best && sameValue(candidate.value, best.value));
+    const conflicting = candidates.filter((candidate) => !sameValue(candidate.value, best.value));
+
+    const merged = {
+        value: best.value,
+        confidence: roundConfidence(
+            best.confidence + agreeing.length * AGREEMENT_BONUS - (conflicting.length > 0 ? DISAGREEMENT_PENALTY : 0)
+        ),
+        source: best.source,
+        strategy: best.strategy
+    };
+    if (conflicting.length > 0) {
+        merged.alternatives = conflicting.map(({ strategy, value, source }) => ({ strategy, value, source }));
+    }
+    return merged;
+}
+
+function needsReview(field, result) {
+    if (result.confirmed) {
+        return false;
+    }
+    if (result.confidence === 0) {
+        return Boolean(field.required);
+    }
+    return result.confidence < REVIEW_THRESHOLD;
+}
+
+// Flat field values plus the review list, derived from per-field results
+function summarizeFields(fields) {
+    const values = {};
+    const reviewRequired = [];
+
+    for (const field of W2_FIELDS) {
+        const result = fields[field.key];
+        values[field.key] = result.value;
+        if (needsReview(field, result)) {
+            reviewRequired.push(field.key);
+        }
+    }
+
+    return { values, reviewRequired };
+}
+
+// Run every strategy over the document and merge the results. The flat field
+// values sit at the top level (the shape /w2-data has always returned), with
+// per-field confidence and source snippets under `fields`.
+function extractW2(document, strategies = STRATEGIES) {
+    const candidates = {};
+    const strategiesUsed = [];
+    const confidenceFactor = document.confidenceFactor || 1;
+
+    for (const strategy of strategies) {
+        const results = strategy.extract(document) || {};
+        const keys = Object.keys(results);
+        if (keys.length > 0) {
+            strategiesUsed.push(strategy.name);
+        }
+        for (const key of keys) {
+            (candidates[key] = candidates[key] || []).push({
+                ...results[key],
+                confidence: results[key].confidence * confidenceFactor,
+                strategy: strategy.name
+            });
+        }
+    }
+
+    const fields = {};
+    for (const field of W2_FIELDS) {
+        fields[field.key] = mergeCandidates(field, candidates[field.key] || []);
+    }
+
+    const template = templateStrategy.detectTemplate(document.text || '');
+
+    const { values, reviewRequired } = summarizeFields(fields);
+
+    return {
+        ...values,
+        fields,
+        reviewRequired,
+        template: template ? template.name : null,
+        strategies: strategiesUsed,
+        readMethod: document.method || null
+    };
+}
+
+// Apply user review: `corrections` replaces values, `confirmations` accepts the
+// extracted value as-is. Both mark the field confirmed with full confidence.
+function applyReview(extractedData, corrections = {}, confirmations = []) {
+    const fields = { ...extractedData.fields };
+
+    for (const key of confirmations) {
+        if (fields[key]) {
+            fields[key] = { ...fields[key], confidence: 1, confirmed: true };
+        }
+    }
+
+    for (const [key, value] of Object.entries(corrections)) {
+        if (W2_FIELDS_BY_KEY[key]) {
+            fields[key] = {
+                ...fields[key],
+                value,
+                confidence: 1,
+                source: 'user',
+                strategy: 'user',
+                confirmed: true
+            };
+        }
+    }
+
+    const { values, reviewRequired } = summarizeFields(fields);
+
+    return {
+        ...extractedData,
+        ...values,
+        fields,
+        reviewRequired,
+        reviewedAt: new Date().toISOString()
+    };
+}
+
+// Mask sensitive values (and the snippets they were read from) before
+// extractedData is stored or returned; the full value lives in its encrypted column
+function redactExtractedData(extractedData) {
+    const redacted = { ...extractedData, fields: { ...extractedData.fields } };
+
+    for (const field of W2_FIELDS.filter((candidate) => candidate.sensitive)) {
+        redacted[field.key] = maskValue(extractedData[field.key]);
+        const result = redacted.fields[field.key];
+        if (result) {
+            redacted.fields[field.key] = {
+                ...result,
+                value: maskValue(result.value),
+                source: maskValue(result.source),
+                ...(result.alternatives ? {
+                    alternatives: result.alternatives.map((alternative) => ({
+                        ...alternative,
+                        value: maskValue(alternative.value),
+                        source: maskValue(alternative.source)
+                    }))
+                } : {})
+            };
+        }
+    }
+
+    return redacted;
+}
+
+// Map extracted values onto W2Form columns
+function toW2FormFields(extractedData) {
+    return W2_FIELDS.reduce((columns, field) => {
+        columns[field.column] = extractedData[field.key] === undefined ? emptyValue(field) : extractedData[field.key];
+        return columns;
+    }, {});
+}
+
+module.exports = {
+    REVIEW_THRESHOLD,
+    W2_FIELDS,
+    STRATEGIES,
+    extractW2,
+    applyReview,
+    toW2FormFields,
+    redactExtractedData
+};
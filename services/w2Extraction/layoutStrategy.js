@@ -0,0 +1,86 @@
+// Layout-aware strategy: find each box caption on the page and take the value
+// printed inside the same box, i.e. just below or to the right of the caption.
+// Only available when the document carries text positions (text-based PDFs).
+const { normalizeMoney } = require('../textPatterns');
+const { W2_FIELDS } = require('./fields');
+
+const CONFIDENCE = 0.9;
+
+const VALUE_PATTERNS = {
+    money: /^\$?\s*([\d,]+\.\d{2})$/,
+    employeeSSN: /^((?:\d{3}|X{3}|\*{3})-?(?:\d{2}|X{2}|\*{2})-?\d{4})$/,
+    employerEIN: /^(\d{2}-?\d{7})$/
+};
+
+// How far from the caption's top-left corner a value may sit and still be in the same box
+const MAX_BELOW = 30;
+const MAX_RIGHT = 200;
+
+function valuePatternFor(field) {
+    return field.type === 'money' ? VALUE_PATTERNS.money : VALUE_PATTERNS[field.key];
+}
+
+function findValueNear(caption, items, pattern) {
+    let best = null;
+
+    for (const item of items) {
+        if (item.page !== caption.page || item === caption) {
+            continue;
+        }
+        const match = item.str.trim().match(pattern);
+        if (!match) {
+            continue;
+        }
+
+        const below = caption.y - item.y;
+        const right = item.x - caption.x;
+        const sameLine = Math.abs(below) <= 2 && item.x >= caption.x + caption.width;
+        const underneath = below > 2 && below <= MAX_BELOW && right >= -20 && right <= MAX_RIGHT;
+        if (!sameLine && !underneath) {
+            continue;
+        }
+
+        const distance = Math.abs(below) + Math.abs(right) / 4;
+        if (!best || distance < best.distance) {
+            best = { item, value: match[1], distance };
+        }
+    }
+
+    return best;
+}
+
+function extract({ items }) {
+    const results = {};
+    if (!items || items.length === 0) {
+        return results;
+    }
+
+    for (const field of W2_FIELDS) {
+        const pattern = valuePatternFor(field);
+        if (!field.caption || !pattern) {
+            continue;
+        }
+
+        // W-2 PDFs usually repeat the form (Copy B, C, 2); the first copy wins
+        const caption = items.find((item) => field.caption.test(item.str));
+        if (!caption) {
+            continue;
+        }
+
+        const found = findValueNear(caption, items, pattern);
+        if (found) {
+            results[field.key] = {
+                value: field.type === 'money' ? normalizeMoney(found.value) : found.value,
+                confidence: CONFIDENCE,
+                source: `${caption.str.trim()} | ${found.item.str.trim()} (page ${caption.page})`
+            };
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    name: 'layout',
+    extract
+};
@@ -0,0 +1,369 @@
+// Regex fallback strategy: works on plain text from any source (PDF, DOCX, OCR)
+// but cannot tell which box a number sits in, so its confidence is modest.
+// Note: These patterns may need adjustment based on your specific W-2 format
+const { MONEY, normalizeMoney, matchField, extractMoneyField, extractField } = require('../textPatterns');
+
+// Valid box 12 codes (see the General Instructions for Forms W-2 and W-3)
+const BOX12_CODES = [
+    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q', 'R', 'S', 'T',
+    'V', 'W', 'Y', 'Z', 'AA', 'BB', 'DD', 'EE', 'FF', 'GG', 'HH', 'II'
+];
+
+const STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+    'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+    'WV', 'WI', 'WY', 'PR', 'GU', 'VI', 'AS', 'MP'
+];
+
+// Marks that payroll software uses to tick a box 13 checkbox
+const CHECK_MARK = '(?:X|x|☒|☑|✓|✔|\\[x\\]|\\[X\\])';
+
+// Any line that starts another box caption ("c Employer's...", "12a See...", "15 State").
+// Captions are matched by wording so street numbers in addresses are not mistaken for boxes.
+const BOX_CAPTION = /^\s*(?:[a-f]\s+(?:Employee|Employer|Control)|\d{1,2}[a-d]?\s+(?:Wages|Federal|Social|Medicare|Allocated|Dependent|Nonqualified|See|Statutory|Other|State|Local|Locality|Employer)|Form\s+W-2)/i;
+
+// Confidence by pattern position: the captioned pattern is the most specific,
+// "Box N" less so, and the bare keyword fallbacks can hit the wrong box
+const PATTERN_CONFIDENCE = [0.8, 0.65, 0.4];
+
+const SCALAR_PATTERNS = {
+    // Box a: Employee's social security number
+    employeeSSN: [
+        /Employee's\s*social\s*security\s*number[:\s]*((?:\d{3}|X{3}|\*{3})-?(?:\d{2}|X{2}|\*{2})-?\d{4})/i,
+        /\bSSN[:\s]*((?:\d{3}|X{3}|\*{3})-?(?:\d{2}|X{2}|\*{2})-?\d{4})/i,
+        /\b(\d{3}-\d{2}-\d{4})\b/
+    ],
+    // Box b: Employer identification number
+    employerEIN: [
+        /Employer\s*identification\s*number\s*\(?EIN\)?[:\s]*(\d{2}-?\d{7})/i,
+        /\bEIN[:\s]*(\d{2}-?\d{7})/i,
+        /\b(\d{2}-\d{7})\b/
+    ],
+    // Box e: Employee's name
+    employeeName: [
+        /Employee's\s*first\s*name\s*and\s*initial[^\n]*\n([A-Za-z][A-Za-z\s,.'-]+?)(?:\n|$)/i,
+        /Employee's name[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i,
+        /Employee[:\s]*([A-Za-z\s,.-]+?)(?:\n|Employer)/i,
+        /^([A-Za-z\s,.-]+?)(?:\n.*?SSN|Social Security)/im
+    ],
+    // Box c: Employer's name when it is not laid out as an address block
+    employerName: [
+        /Employer's name[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i,
+        /Employer[:\s]*([A-Za-z\s,.-]+?)(?:\n|EIN)/i,
+        /Company[:\s]*([A-Za-z\s,.-]+?)(?:\n|$)/i
+    ],
+    // Box 1: Wages, tips, other compensation
+    box1_wages: [
+        /1\s*Wages,?\s*tips,?\s*other\s*compensation[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*1[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Wages[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 2: Federal income tax withheld
+    box2_federalTax: [
+        /2\s*Federal\s*income\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*2[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Federal\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 3: Social security wages
+    box3_socialSecurityWages: [
+        /3\s*Social\s*security\s*wages[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*3[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Social\s*security\s*wages[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 4: Social security tax withheld
+    box4_socialSecurityTax: [
+        /4\s*Social\s*security\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*4[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Social\s*security\s*tax[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 5: Medicare wages and tips
+    box5_medicareWages: [
+        /5\s*Medicare\s*wages\s*and\s*tips[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*5[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Medicare\s*wages[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 6: Medicare tax withheld
+    box6_medicareTax: [
+        /6\s*Medicare\s*tax\s*withheld[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Box\s*6[:\s]*\$?([\d,]+\.?\d*)/i,
+        /Medicare\s*tax[:\s]*\$?([\d,]+\.?\d*)/i
+    ],
+    // Box 7: Social security tips
+    box7_socialSecurityTips: [
+        new RegExp(`7\\s*Social\\s*security\\s*tips[:\\s]*${MONEY}`, 'i'),
+        new RegExp(`Box\\s*7[:\\s]*${MONEY}`, 'i')
+    ],
+    // Box 8: Allocated tips
+    box8_allocatedTips: [
+        new RegExp(`8\\s*Allocated\\s*tips[:\\s]*${MONEY}`, 'i'),
+        new RegExp(`Box\\s*8[:\\s]*${MONEY}`, 'i')
+    ],
+    // Box 10: Dependent care benefits
+    box10_dependentCareBenefits: [
+        new RegExp(`10\\s*Dependent\\s*care\\s*benefits[:\\s]*${MONEY}`, 'i'),
+        new RegExp(`Box\\s*10[:\\s]*${MONEY}`, 'i')
+    ],
+    // Box 11: Nonqualified plans
+    box11_nonqualifiedPlans: [
+        new RegExp(`11\\s*Nonqualified\\s*plans[:\\s]*${MONEY}`, 'i'),
+        new RegExp(`Box\\s*11[:\\s]*${MONEY}`, 'i')
+    ]
+};
+
+const CHECKBOX_LABELS = {
+    box13_statutoryEmployee: 'Statutory\\s*employee',
+    box13_retirementPlan: 'Retirement\\s*plan',
+    box13_thirdPartySickPay: 'Third-?\\s*party\\s*sick\\s*pay'
+};
+
+const MONEY_KEYS = Object.keys(SCALAR_PATTERNS).filter((key) => key.startsWith('box'));
+
+function scalarResult(text, key) {
+    const match = matchField(text, SCALAR_PATTERNS[key]);
+    if (!match) {
+        return null;
+    }
+    return {
+        value: MONEY_KEYS.includes(key) ? normalizeMoney(match.value) : match.value,
+        confidence: PATTERN_CONFIDENCE[Math.min(match.patternIndex, PATTERN_CONFIDENCE.length - 1)],
+        source: match.snippet
+    };
+}
+
+function listResult(value, confidence, source) {
+    return value.length > 0 ? { value, confidence, source } : null;
+}
+
+// Run the regex fallback over plain text. Fields that are not found are left
+// out of the result rather than defaulted, so a missing box never reads as $0.
+function extract({ text }) {
+    const results = {};
+    const put = (key, result) => {
+        if (result) {
+            results[key] = result;
+        }
+    };
+
+    for (const key of Object.keys(SCALAR_PATTERNS)) {
+        put(key, scalarResult(text, key));
+    }
+
+    // Box c: Employer's name, address, and ZIP code
+    const employerBlock = extractBlock(text, /Employer's\s*name,\s*address,?\s*and\s*ZIP\s*code/i);
+    if (employerBlock) {
+        put('employerName', { value: employerBlock[0], confidence: 0.8, source: employerBlock.join(' / ') });
+        const employerAddress = formatAddress(employerBlock.slice(1));
+        if (employerAddress) {
+            put('employerAddress', { value: employerAddress, confidence: 0.8, source: employerBlock.join(' / ') });
+        }
+    }
+
+    // Box e/f: Employee's name and address
+    const employeeBlock = extractBlock(text, /Employee's\s*address\s*and\s*ZIP\s*code/i)
+        || extractBlock(text, /Employee's\s*first\s*name\s*and\s*initial[^\n]*/i);
+    if (employeeBlock) {
+        const employeeAddress = formatAddress(employeeBlock, results.employeeName && results.employeeName.value);
+        if (employeeAddress) {
+            put('employeeAddress', { value: employeeAddress, confidence: 0.8, source: employeeBlock.join(' / ') });
+        }
+    }
+
+    const box12 = extractBox12(text);
+    put('box12', listResult(box12, 0.8, box12.map((entry) => `${entry.code} ${entry.amount}`).join(', ')));
+    if (box12.length === 0) {
+        // A 12a-12d caption with nothing readable after it may hide codes the
+        // patterns missed, so the user confirms the box is empty
+        const caption = text.match(/\b12[a-d]\b[^\n]*(?:\n[^\n]*)?/);
+        put('box12', caption ? { value: [], confidence: 0.4, source: caption[0].trim() } : null);
+    }
+
+    const looseMark = findLooseBox13Mark(text);
+    for (const [key, label] of Object.entries(CHECKBOX_LABELS)) {
+        const snippet = extractCheckbox(text, label);
+        if (snippet) {
+            put(key, { value: true, confidence: 0.8, source: snippet });
+        } else if (looseMark) {
+            // The mark could belong to any of the boxes; the user decides
+            put(key, { value: false, confidence: 0.4, source: looseMark });
+        }
+    }
+
+    const box14 = extractBox14(text);
+    put('box14_other', listResult(box14, 0.6, box14.map((entry) => `${entry.description} ${entry.amount}`).join(', ')));
+
+    const { stateTaxInfo, localTaxInfo, tabular } = extractStateAndLocalRows(text);
+    const rowConfidence = tabular ? 0.8 : 0.65;
+    put('stateTaxInfo', listResult(stateTaxInfo, rowConfidence, stateTaxInfo.map((row) => `${row.state} ${row.stateWages} ${row.stateTaxWithheld}`).join(', ')));
+    put('localTaxInfo', listResult(localTaxInfo, rowConfidence, localTaxInfo.map((row) => `${row.localityName || ''} ${row.localWages} ${row.localTaxWithheld}`.trim()).join(', ')));
+
+    return results;
+}
+
+// Lines that follow a caption, up to the next box caption (max 4 lines)
+function extractBlock(text, captionPattern) {
+    const match = text.match(captionPattern);
+    if (!match) {
+        return null;
+    }
+
+    const lines = [];
+    for (const line of text.slice(match.index + match[0].length).split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            if (lines.length > 0) {
+                break;
+            }
+            continue;
+        }
+        if (BOX_CAPTION.test(trimmed) || lines.length === 4) {
+            break;
+        }
+        lines.push(trimmed);
+    }
+
+    return lines.length > 0 ? lines : null;
+}
+
+// Join address lines, dropping the person's name if it heads the block
+function formatAddress(lines, name) {
+    const addressLines = name && lines[0] === name ? lines.slice(1) : lines;
+    return addressLines.length > 0 ? addressLines.join(', ') : null;
+}
+
+// Box 12a-12d: one code/amount pair per slot, e.g. "12a D 5,000.00" or "Code DD $8,412.00".
+// The pair may also sit on the line below the caption, as on the standard form:
+// "12a See instructions for box 12" then "D 5,000.00".
+function extractBox12(text) {
+    const entries = [];
+    const codes = BOX12_CODES.slice().sort((a, b) => b.length - a.length).join('|');
+    const caption = '\\b12[a-d]\\b(?:[ \\t]*See\\s*instructions\\s*for\\s*box\\s*12\\b)?[^\\n\\d$]*?(?:\\n[ \\t]*)?';
+    const pattern = new RegExp(`(?:${caption}|\\bCode\\s+)\\b(${codes})\\b\\s*[:\\-]?\\s*${MONEY}`, 'gi');
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const code = match[1].toUpperCase();
+        const amount = normalizeMoney(match[2]);
+        if (!entries.some((entry) => entry.code === code && entry.amount === amount)) {
+            entries.push({ code, amount });
+        }
+    }
+
+    return entries.slice(0, 4);
+}
+
+// Box 13 checkboxes: a check mark right after the caption, or at the start of
+// the caption's line (some payroll providers print the box first). The mark
+// must be on the caption's own line.
+// Returns the matched snippet, or null when the box is not ticked.
+function extractCheckbox(text, label) {
+    const after = new RegExp(`${label}[ \\t]*[:\\-]?[ \\t]*${CHECK_MARK}(?![A-Za-z])`);
+    const before = new RegExp(`(?:^|\\n)[ \\t]*${CHECK_MARK}[ \\t]+${label}`);
+    const match = text.match(after) || text.match(before);
+    return match ? match[0].trim() : null;
+}
+
+// A line holding only check marks below the box 13 captions cannot be tied
+// to one box. Returns the captions and the mark as a snippet, or null.
+function findLooseBox13Mark(text) {
+    const labels = Object.values(CHECKBOX_LABELS).map((label) => new RegExp(label));
+    const markLine = new RegExp(`^[ \\t]*${CHECK_MARK}(?:[ \\t]+${CHECK_MARK})*[ \\t]*$`);
+    const lines = text.split('\n');
+
+    for (let index = 1; index < lines.length; index++) {
+        const captions = lines.slice(Math.max(0, index - 2), index).join(' ');
+        if (markLine.test(lines[index]) && labels.some((label) => label.test(captions))) {
+            return `${captions.trim()} / ${lines[index].trim()}`;
+        }
+    }
+    return null;
+}
+
+// Box 14: free-form "description amount" pairs between the box 14 and box 15 captions
+function extractBox14(text) {
+    const match = text.match(/\b14\s*Other\b([\s\S]*?)(?:\b15\s*State\b|$)/i);
+    if (!match) {
+        return [];
+    }
+
+    const entries = [];
+    const pattern = /([A-Za-z][A-Za-z0-9 /&.-]*?)\s*[:\-]?\s*\$?([\d,]+\.\d{2})/g;
+    let entry;
+    while ((entry = pattern.exec(match[1])) !== null) {
+        entries.push({
+            description: entry[1].trim(),
+            amount: normalizeMoney(entry[2])
+        });
+    }
+    return entries;
+}
+
+// Boxes 15-20. Each row reads: state, employer state ID, state wages, state tax,
+// and optionally local wages, local tax and locality name. A W-2 can carry
+// several rows when the employee worked in more than one state or locality.
+function extractStateAndLocalRows(text) {
+    const stateTaxInfo = [];
+    const localTaxInfo = [];
+    const amount = '\\$?([\\d,]+\\.\\d{2})';
+    const rowPattern = new RegExp(
+        `^\\s*(${STATE_CODES.join('|')})\\s*[|\\s]\\s*([A-Z0-9][A-Z0-9-]*)\\s+${amount}\\s+${amount}` +
+        `(?:\\s+${amount}\\s+${amount}(?:\\s+([A-Za-z][A-Za-z .'-]*))?)?\\s*$`,
+        'gm'
+    );
+
+    let row;
+    const tabular = rowPattern.test(text);
+    rowPattern.lastIndex = 0;
+    while ((row = rowPattern.exec(text)) !== null) {
+        stateTaxInfo.push({
+            state: row[1],
+            employerStateId: row[2],
+            stateWages: normalizeMoney(row[3]),
+            stateTaxWithheld: normalizeMoney(row[4])
+        });
+        if (row[5]) {
+            localTaxInfo.push({
+                state: row[1],
+                localWages: normalizeMoney(row[5]),
+                localTaxWithheld: normalizeMoney(row[6]),
+                localityName: row[7] ? row[7].trim() : null
+            });
+        }
+    }
+
+    // Fall back to individually labelled boxes when there is no tabular row
+    if (stateTaxInfo.length === 0) {
+        const stateWages = extractMoneyField(text, [new RegExp(`16\\s*State\\s*wages,?\\s*tips,?\\s*etc\\.?[:\\s]*${MONEY}`, 'i')]);
+        const stateTaxWithheld = extractMoneyField(text, [new RegExp(`17\\s*State\\s*income\\s*tax[:\\s]*${MONEY}`, 'i')]);
+        if (stateWages || stateTaxWithheld) {
+            stateTaxInfo.push({
+                state: extractField(text, [new RegExp(`15\\s*State[:\\s]+(${STATE_CODES.join('|')})\\b`)]),
+                employerStateId: extractField(text, [/Employer's\s*state\s*ID\s*number[:\s]*([A-Z0-9][A-Z0-9-]+)/i]),
+                stateWages: stateWages || '0.00',
+                stateTaxWithheld: stateTaxWithheld || '0.00'
+            });
+        }
+    }
+
+    if (localTaxInfo.length === 0) {
+        const localWages = extractMoneyField(text, [new RegExp(`18\\s*Local\\s*wages,?\\s*tips,?\\s*etc\\.?[:\\s]*${MONEY}`, 'i')]);
+        const localTaxWithheld = extractMoneyField(text, [new RegExp(`19\\s*Local\\s*income\\s*tax[:\\s]*${MONEY}`, 'i')]);
+        if (localWages || localTaxWithheld) {
+            localTaxInfo.push({
+                state: stateTaxInfo[0] ? stateTaxInfo[0].state : null,
+                localWages: localWages || '0.00',
+                localTaxWithheld: localTaxWithheld || '0.00',
+                localityName: extractField(text, [/20\s*Locality\s*name[:\s]*([A-Za-z][A-Za-z .'-]*?)\s*(?:\n|$)/i])
+            });
+        }
+    }
+
+    return { stateTaxInfo, localTaxInfo, tabular };
+}
+
+module.exports = {
+    name: 'regex',
+    extract,
+    BOX12_CODES,
+    STATE_CODES
+};
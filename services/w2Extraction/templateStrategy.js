@@ -0,0 +1,39 @@
+// Payroll-provider template strategy: when the document identifies its
+// provider, that provider's exact wording is trusted over generic patterns.
+const { matchField, normalizeMoney } = require('../textPatterns');
+const { W2_FIELDS_BY_KEY } = require('./fields');
+const TEMPLATES = require('./templates');
+
+const CONFIDENCE = 0.95;
+
+function detectTemplate(text) {
+    return TEMPLATES.find((template) => template.detect.test(text)) || null;
+}
+
+function extract({ text }) {
+    const results = {};
+    const template = detectTemplate(text || '');
+    if (!template) {
+        return results;
+    }
+
+    for (const [key, patterns] of Object.entries(template.fields)) {
+        const match = matchField(text, patterns);
+        if (match) {
+            const field = W2_FIELDS_BY_KEY[key];
+            results[key] = {
+                value: field && field.type === 'money' ? normalizeMoney(match.value) : match.value,
+                confidence: CONFIDENCE,
+                source: `${template.name}: ${match.snippet}`
+            };
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    name: 'template',
+    extract,
+    detectTemplate
+};
@@ -0,0 +1,33 @@
+// Known payroll-provider W-2 layouts. Each template is recognised by `detect`
+// and supplies patterns that only make sense for that provider's print format,
+// typically the earnings summary printed alongside the W-2 copies.
+// Add a provider by appending an entry; keys must match W2_FIELDS.
+const AMOUNT = '\\$?\\s*([\\d,]+\\.\\d{2})';
+
+module.exports = [
+    {
+        name: 'adp',
+        detect: /\bADP\b|Automatic\s+Data\s+Processing/i,
+        fields: {
+            box1_wages: [new RegExp(`Federal\\s+Taxable\\s+Wages\\s*${AMOUNT}`, 'i')],
+            box2_federalTax: [new RegExp(`Federal\\s+Income\\s+Tax\\s*(?:Withheld)?\\s*${AMOUNT}`, 'i')],
+            box3_socialSecurityWages: [new RegExp(`Social\\s+Security\\s+Taxable\\s+Wages\\s*${AMOUNT}`, 'i')],
+            box4_socialSecurityTax: [new RegExp(`Social\\s+Security\\s+Tax\\s*(?:Withheld)?\\s*${AMOUNT}`, 'i')],
+            box5_medicareWages: [new RegExp(`Medicare\\s+Taxable\\s+Wages\\s*${AMOUNT}`, 'i')],
+            box6_medicareTax: [new RegExp(`Medicare\\s+Tax\\s*(?:Withheld)?\\s*${AMOUNT}`, 'i')],
+            employerEIN: [/Employer\s+(?:Federal\s+)?ID\s+(?:Number)?[:\s]*(\d{2}-\d{7})/i]
+        }
+    },
+    {
+        name: 'paychex',
+        detect: /\bPaychex\b/i,
+        fields: {
+            box1_wages: [new RegExp(`Wages,\\s*Tips,\\s*Other\\s*Comp\\.?\\s*${AMOUNT}`, 'i')],
+            box2_federalTax: [new RegExp(`Fed(?:eral)?\\.?\\s+Income\\s+Tax\\s+W/?H\\s*${AMOUNT}`, 'i')],
+            box3_socialSecurityWages: [new RegExp(`Soc(?:ial)?\\.?\\s+Sec(?:urity)?\\.?\\s+Wages\\s*${AMOUNT}`, 'i')],
+            box4_socialSecurityTax: [new RegExp(`Soc(?:ial)?\\.?\\s+Sec(?:urity)?\\.?\\s+Tax\\s+W/?H\\s*${AMOUNT}`, 'i')],
+            box5_medicareWages: [new RegExp(`Medicare\\s+Wages\\s*(?:&|and)?\\s*Tips\\s*${AMOUNT}`, 'i')],
+            box6_medicareTax: [new RegExp(`Medicare\\s+Tax\\s+W/?H\\s*${AMOUNT}`, 'i')]
+        }
+    }
+];
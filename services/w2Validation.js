@@ -0,0 +1,150 @@
+// Arithmetic consistency checks for a stored W-2. None of these block the W-2:
+// they are returned as warnings so the user can compare against the paper form
+// and correct a misread box through the review workflow.
+const { getTaxTable } = require('../config/taxYears');
+const { toAmount, roundCents } = require('./taxMath');
+
+const SOCIAL_SECURITY_RATE = 0.062;
+const MEDICARE_RATE = 0.0145;
+
+// Employers withhold Additional Medicare Tax on wages they pay above $200,000,
+// whatever the employee's filing status
+const ADDITIONAL_MEDICARE_RATE = 0.009;
+const ADDITIONAL_MEDICARE_THRESHOLD = 200000;
+
+// Withholding is rounded per paycheck, so allow a small difference
+const TOLERANCE = 1;
+
+const EIN_FORMAT = /^\d{2}-?\d{7}$/;
+
+// EIN prefixes the IRS has never assigned
+const INVALID_EIN_PREFIXES = ['00', '07', '08', '09', '17', '18', '19', '28', '29', '49', '69', '70', '78', '79', '89', '96', '97'];
+
+function hasAmount(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function warning(code, fields, message, details = {}) {
+    return { code, fields, message, ...details };
+}
+
+function checkSocialSecurityTax(w2Form, warnings) {
+    if (!hasAmount(w2Form.socialSecurityWages) || !hasAmount(w2Form.socialSecurityTax)) {
+        return;
+    }
+
+    // Box 4 covers social security tips (box 7) as well as box 3 wages
+    const taxedWages = toAmount(w2Form.socialSecurityWages) + toAmount(w2Form.socialSecurityTips);
+    const expected = roundCents(taxedWages * SOCIAL_SECURITY_RATE);
+    const actual = toAmount(w2Form.socialSecurityTax);
+
+    if (Math.abs(actual - expected) > TOLERANCE) {
+        warnings.push(warning(
+            'social_security_tax_mismatch',
+            ['socialSecurityTax', 'socialSecurityWages'],
+            `Social security tax (box 4) should be 6.2% of social security wages and tips, about $${expected.toFixed(2)}.`,
+            { expected, actual }
+        ));
+    }
+}
+
+function checkSocialSecurityWageBase(w2Form, table, warnings) {
+    if (!table || !hasAmount(w2Form.socialSecurityWages)) {
+        return;
+    }
+
+    const wageBase = table.socialSecurityWageBase;
+    const actual = roundCents(toAmount(w2Form.socialSecurityWages) + toAmount(w2Form.socialSecurityTips));
+
+    if (actual > wageBase) {
+        warnings.push(warning(
+            'social_security_wage_base_exceeded',
+            ['socialSecurityWages', 'socialSecurityTips'],
+            `Social security wages and tips (boxes 3 and 7) exceed the ${table.taxYear} wage base of $${wageBase.toFixed(2)}.`,
+            { expected: wageBase, actual }
+        ));
+    }
+}
+
+function checkMedicareTax(w2Form, warnings) {
+    if (!hasAmount(w2Form.medicareWages) || !hasAmount(w2Form.medicareTax)) {
+        return;
+    }
+
+    const medicareWages = toAmount(w2Form.medicareWages);
+    const additional = Math.max(0, medicareWages - ADDITIONAL_MEDICARE_THRESHOLD) * ADDITIONAL_MEDICARE_RATE;
+    const expected = roundCents(medicareWages * MEDICARE_RATE + additional);
+    const actual = toAmount(w2Form.medicareTax);
+
+    if (Math.abs(actual - expected) > TOLERANCE) {
+        warnings.push(warning(
+            'medicare_tax_mismatch',
+            ['medicareTax', 'medicareWages'],
+            additional > 0
+                ? `Medicare tax (box 6) should be 1.45% of Medicare wages plus 0.9% Additional Medicare Tax above $200,000, about $${expected.toFixed(2)}.`
+                : `Medicare tax (box 6) should be 1.45% of Medicare wages, about $${expected.toFixed(2)}.`,
+            { expected, actual }
+        ));
+    }
+}
+
+function checkFederalWithholding(w2Form, warnings) {
+    if (!hasAmount(w2Form.wages) || !hasAmount(w2Form.federalTaxWithheld)) {
+        return;
+    }
+
+    const wages = toAmount(w2Form.wages);
+    const withheld = toAmount(w2Form.federalTaxWithheld);
+
+    if (withheld > wages) {
+        warnings.push(warning(
+            'federal_withholding_exceeds_wages',
+            ['federalTaxWithheld', 'wages'],
+            'Federal income tax withheld (box 2) is greater than wages (box 1).',
+            { expected: wages, actual: withheld }
+        ));
+    }
+}
+
+function checkEmployerEIN(w2Form, warnings) {
+    if (!w2Form.employerEIN) {
+        return;
+    }
+
+    const ein = String(w2Form.employerEIN).trim();
+    if (!EIN_FORMAT.test(ein)) {
+        warnings.push(warning(
+            'invalid_ein_format',
+            ['employerEIN'],
+            'Employer identification number (box b) should be nine digits in the format XX-XXXXXXX.',
+            { actual: ein }
+        ));
+    } else if (INVALID_EIN_PREFIXES.includes(ein.slice(0, 2))) {
+        warnings.push(warning(
+            'invalid_ein_prefix',
+            ['employerEIN'],
+            `Employer identification number (box b) starts with ${ein.slice(0, 2)}, which the IRS does not assign.`,
+            { actual: ein }
+        ));
+    }
+}
+
+// Check a W2Form (or anything with the same columns) and return a list of
+// { code, fields, message, expected?, actual } warnings
+function validateW2Form(w2Form) {
+    const warnings = [];
+    const table = getTaxTable(w2Form.taxYear);
+
+    checkSocialSecurityTax(w2Form, warnings);
+    checkSocialSecurityWageBase(w2Form, table, warnings);
+    checkMedicareTax(w2Form, warnings);
+    checkFederalWithholding(w2Form, warnings);
+    checkEmployerEIN(w2Form, warnings);
+
+    return warnings;
+}
+
+module.exports = {
+    validateW2Form,
+    SOCIAL_SECURITY_RATE
+};
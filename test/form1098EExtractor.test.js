@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractForm1098EData } = require('../services/form1098EExtractor');
+
+const CAPTION = '2 If checked, box 1 does not include loan origination fees and/or capitalized interest for loans made before September 1, 2004';
+
+test('1098-E: box 2 is checked when the mark follows the caption', () => {
+    assert.strictEqual(extractForm1098EData(`${CAPTION} [X]`).excludesOriginationFees, true);
+    assert.strictEqual(extractForm1098EData('2 If checked X').excludesOriginationFees, true);
+    assert.strictEqual(extractForm1098EData(`${CAPTION} ☒`).excludesOriginationFees, true);
+});
+
+test('1098-E: an unchecked box 2 is not read from later text', () => {
+    assert.strictEqual(extractForm1098EData(`${CAPTION} [ ]   Tax year 2024`).excludesOriginationFees, false);
+    assert.strictEqual(extractForm1098EData(`${CAPTION}\nXYZ Lending`).excludesOriginationFees, false);
+    assert.strictEqual(extractForm1098EData(`${CAPTION}\nX`).excludesOriginationFees, false);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PDFDocument = require('pdfkit');
+const { renderForm1098E } = require('../services/form1098EPdf');
+
+// Render uncompressed and read back the lines of text pdfkit writes as hex strings
+function renderText(form) {
+    const doc = new PDFDocument({ compress: false });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve) => doc.on('end', resolve));
+    renderForm1098E(doc, form);
+    doc.end();
+    return done.then(() => {
+        const source = Buffer.concat(chunks).toString('latin1');
+        // Each TJ array holds one line, split into hex runs around kerning offsets
+        return [...source.matchAll(/\[([^\]]*)\]\s*TJ/g)]
+            .map((line) => [...line[1].matchAll(/<([0-9a-f]+)>/g)]
+                .map((run) => Buffer.from(run[1], 'hex').toString('latin1'))
+                .join(''))
+            .join('\n');
+    });
+}
+
+test('1098-E PDF: lender and borrower TINs are masked', async () => {
+    const text = await renderText({
+        taxYear: 2024,
+        lenderName: 'XYZ Lending',
+        lenderTIN: '12-3456789',
+        borrowerName: 'Jane Doe',
+        borrowerSSN: '123-45-6789',
+        studentLoanInterest: '1234.50',
+        excludesOriginationFees: false
+    });
+
+    assert.match(text, /Lender TIN: \*\*-\*\*\*6789/);
+    assert.match(text, /Borrower TIN: \*\*\*-\*\*-6789/);
+    assert.doesNotMatch(text, /12-3456789|123-45-6789|123456789/);
+});
+
+test('1098-E PDF: missing TINs print N/A', async () => {
+    const text = await renderText({ taxYear: 2024, lenderName: 'XYZ Lending', studentLoanInterest: '0' });
+
+    assert.match(text, /Lender TIN: N\/A/);
+    assert.match(text, /Borrower TIN: N\/A/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractForm1099RData, extractForm1099NECData } = require('../services/form1099Extractor');
+
+test('1099-R: adjacent checkboxes on one line are read separately', () => {
+    const data = extractForm1099RData([
+        '1 Gross distribution $10,000.00',
+        '2a Taxable amount $4,000.00',
+        '2b Taxable amount not determined [ ]   Total distribution [X]'
+    ].join('\n'));
+
+    assert.strictEqual(data.taxableAmount, '4000.00');
+    assert.strictEqual(data.taxableAmountNotDetermined, false);
+    assert.strictEqual(data.totalDistribution, true);
+});
+
+test('1099-R: a mark right after its caption is read', () => {
+    const data = extractForm1099RData('2b Taxable amount not determined X   Total distribution\nIRA/ SEP/ SIMPLE ☒');
+
+    assert.strictEqual(data.taxableAmountNotDetermined, true);
+    assert.strictEqual(data.totalDistribution, false);
+    assert.strictEqual(data.isIraSepSimple, true);
+});
+
+test('1099-R: a mark on the next line is not taken for the caption above it', () => {
+    const data = extractForm1099RData('IRA/ SEP/ SIMPLE\nX 7 Distribution code(s) 7');
+
+    assert.strictEqual(data.isIraSepSimple, false);
+});
+
+test('1099-NEC: direct sales checkbox after the full caption', () => {
+    const caption = '2 Payer made direct sales totaling $5,000 or more of consumer products to recipient for resale';
+
+    assert.strictEqual(extractForm1099NECData(`${caption} [X]`).directSales, true);
+    assert.strictEqual(extractForm1099NECData(`${caption} [ ]   4 Federal income tax withheld X`).directSales, false);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeTaxReturn } = require('../services/taxCalculator');
+
+test('student loan interest: MAGI includes Schedule C profit less half of SE tax', () => {
+    const { adjustments } = computeTaxReturn({
+        taxYear: 2024,
+        filingStatus: 'single',
+        dependents: [],
+        w2Forms: [{ wages: '60000', owner: 'taxpayer' }],
+        form1098Es: [{ studentLoanInterest: '2500' }],
+        form1099NECs: [{ nonemployeeCompensation: '30000' }]
+    });
+    const { selfEmploymentTaxDeduction, studentLoanInterest } = adjustments;
+
+    assert.ok(selfEmploymentTaxDeduction > 0);
+    assert.strictEqual(studentLoanInterest.modifiedAgi, Math.round((90000 - selfEmploymentTaxDeduction) * 100) / 100);
+    assert.ok(studentLoanInterest.phaseOutReduction > 0);
+    assert.strictEqual(studentLoanInterest.deduction, studentLoanInterest.eligibleInterest - studentLoanInterest.phaseOutReduction);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const regexStrategy = require('../services/w2Extraction/regexStrategy');
+const { extractW2 } = require('../services/w2Extraction');
+
+test('box 12: code and amount on the line below the standard caption', () => {
+    const results = regexStrategy.extract({ text: '12a See instructions for box 12\nD 5,000.00\n12b\nDD 8,412.00' });
+
+    assert.deepStrictEqual(results.box12.value, [
+        { code: 'D', amount: '5000.00' },
+        { code: 'DD', amount: '8412.00' }
+    ]);
+    assert.strictEqual(results.box12.confidence, 0.8);
+});
+
+test('box 12: a caption with nothing readable is flagged for review', () => {
+    const extracted = extractW2({ text: '12a See instructions for box 12\nCode ?? 5,000.00' });
+
+    assert.deepStrictEqual(extracted.box12, []);
+    assert.ok(extracted.reviewRequired.includes('box12'));
+});
+
+test('box 13: a mark after the caption on the same line is read', () => {
+    const results = regexStrategy.extract({ text: '13 Statutory employee   Retirement plan X   Third-party sick pay' });
+
+    assert.strictEqual(results.box13_retirementPlan.value, true);
+    assert.strictEqual(results.box13_statutoryEmployee, undefined);
+    assert.strictEqual(results.box13_thirdPartySickPay, undefined);
+});
+
+test('box 13: a mark below the caption row is not guessed but flagged for review', () => {
+    const extracted = extractW2({ text: '13 Statutory employee   Retirement plan   Third-party sick pay\n            X' });
+
+    assert.strictEqual(extracted.box13_thirdPartySickPay, false);
+    for (const key of ['box13_statutoryEmployee', 'box13_retirementPlan', 'box13_thirdPartySickPay']) {
+        assert.ok(extracted.reviewRequired.includes(key), key);
+    }
+});